@@ -0,0 +1,316 @@
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { getConnection, sql } = require("./db");
+const { string, email, boolean, oneOf, validate } = require("./validation");
+require("dotenv").config();
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "8h";
+const PASSWORD_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+// bcrypt only reads the first 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+
+// Compared against for unknown emails, so response times do not reveal them
+let dummyPasswordHash;
+
+/**
+ * Roles from least to most privileged; each includes the ones before it
+ * viewer: read submissions, jobs and deliveries
+ * operator: also generate, preview and (re)send certificates
+ * admin: also manage events, templates, users, revocations and test sends
+ */
+const ROLES = ["viewer", "operator", "admin"];
+
+// Columns safe to return from the API (never the password hash)
+const USER_COLUMNS =
+  "id, email, name, role, is_active, last_login_at, created_at, updated_at";
+
+function getJwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("Authentication secret is not configured");
+  }
+  return process.env.JWT_SECRET;
+}
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, PASSWORD_ROUNDS);
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|null>} - User without password hash
+ */
+async function getUserById(id) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("id", sql.Int, id)
+    .query(`SELECT ${USER_COLUMNS} FROM admin_users WHERE id = @id`);
+  return result.recordset[0] || null;
+}
+
+/**
+ * @param {string} email
+ * @returns {Promise<Object|null>} - User without password hash
+ */
+async function getUserByEmail(email) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("email", sql.NVarChar(255), normalizeEmail(email))
+    .query(`SELECT ${USER_COLUMNS} FROM admin_users WHERE email = @email`);
+  return result.recordset[0] || null;
+}
+
+/**
+ * @returns {Promise<Object[]>}
+ */
+async function listUsers() {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .query(`SELECT ${USER_COLUMNS} FROM admin_users ORDER BY email`);
+  return result.recordset;
+}
+
+/**
+ * @param {Object} data - { email, name, password, role }
+ * @returns {Promise<Object>} - The created user
+ */
+async function createUser({ email, name, password, role = "viewer" }) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("email", sql.NVarChar(255), normalizeEmail(email))
+    .input("name", sql.NVarChar(255), name || null)
+    .input("password_hash", sql.NVarChar(255), await hashPassword(password))
+    .input("role", sql.NVarChar(20), role).query(`
+      INSERT INTO admin_users (email, name, password_hash, role)
+      OUTPUT INSERTED.id
+      VALUES (@email, @name, @password_hash, @role)
+    `);
+  return getUserById(result.recordset[0].id);
+}
+
+/**
+ * @param {number} id
+ * @param {Object} data - Any of { name, password, role, is_active }
+ * @returns {Promise<Object|null>} - The updated user, or null if not found
+ */
+async function updateUser(id, { name, password, role, is_active }) {
+  const pool = await getConnection();
+  const request = pool.request().input("id", sql.Int, id);
+  const sets = ["updated_at = GETDATE()"];
+
+  if (name !== undefined) {
+    request.input("name", sql.NVarChar(255), name);
+    sets.push("name = @name");
+  }
+  if (password !== undefined) {
+    request.input(
+      "password_hash",
+      sql.NVarChar(255),
+      await hashPassword(password)
+    );
+    sets.push("password_hash = @password_hash");
+  }
+  if (role !== undefined) {
+    request.input("role", sql.NVarChar(20), role);
+    sets.push("role = @role");
+  }
+  if (is_active !== undefined) {
+    request.input("is_active", sql.Bit, Boolean(is_active));
+    sets.push("is_active = @is_active");
+  }
+
+  const result = await request.query(
+    `UPDATE admin_users SET ${sets.join(", ")} WHERE id = @id`
+  );
+  return result.rowsAffected[0] > 0 ? getUserById(id) : null;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if not found
+ */
+async function deleteUser(id) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("id", sql.Int, id)
+    .query("DELETE FROM admin_users WHERE id = @id");
+  return result.rowsAffected[0] > 0;
+}
+
+/**
+ * Check an email and password and issue a token
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object|null>} - { token, expiresIn, user }, or null
+ */
+async function login(email, password) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("email", sql.NVarChar(255), normalizeEmail(email))
+    .query("SELECT * FROM admin_users WHERE email = @email");
+
+  const user = result.recordset[0];
+  if (!user && !dummyPasswordHash) {
+    dummyPasswordHash = await hashPassword("not-a-real-password");
+  }
+  const passwordMatches = await bcrypt.compare(
+    String(password || ""),
+    user ? user.password_hash : dummyPasswordHash
+  );
+  if (!user || !user.is_active || !passwordMatches) {
+    return null;
+  }
+
+  await pool
+    .request()
+    .input("id", sql.Int, user.id)
+    .query("UPDATE admin_users SET last_login_at = GETDATE() WHERE id = @id");
+
+  const token = jwt.sign({ role: user.role }, getJwtSecret(), {
+    subject: String(user.id),
+    expiresIn: JWT_EXPIRES_IN,
+  });
+  return { token, expiresIn: JWT_EXPIRES_IN, user: await getUserById(user.id) };
+}
+
+/**
+ * Express middleware allowing signed-in users with at least `role`
+ * The user is re-read on every request, so deactivating someone or
+ * changing their role takes effect before their token expires.
+ * @param {string} [role="viewer"]
+ * @returns {Function} - Sets req.user
+ */
+function requireRole(role = "viewer") {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, getJwtSecret());
+    } catch (error) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+
+    try {
+      const user = await getUserById(parseInt(claims.sub));
+      if (!user || !user.is_active) {
+        return res.status(401).json({ error: "Invalid or expired token" });
+      }
+      if (!hasRole(user, role)) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error("Error authenticating request:", error);
+      res.status(500).json({ error: "Failed to authenticate request" });
+    }
+  };
+}
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are
+ * no users yet, so a fresh install can be signed in to
+ */
+async function ensureInitialAdmin() {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .query("SELECT COUNT(*) AS count FROM admin_users");
+  if (result.recordset[0].count > 0) {
+    return;
+  }
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn(
+      "✗ No admin users exist; set ADMIN_EMAIL and ADMIN_PASSWORD to create one"
+    );
+    return;
+  }
+
+  await createUser({
+    email: ADMIN_EMAIL,
+    name: "Administrator",
+    password: ADMIN_PASSWORD,
+    role: "admin",
+  });
+  console.log(`✓ Initial admin user created: ${normalizeEmail(ADMIN_EMAIL)}`);
+}
+
+/**
+ * Passwords are taken as typed, never trimmed or normalised
+ */
+function password(input, field) {
+  if (
+    typeof input !== "string" ||
+    input.length < MIN_PASSWORD_LENGTH ||
+    Buffer.byteLength(input) > MAX_PASSWORD_LENGTH
+  ) {
+    return {
+      error: `${field} must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long`,
+    };
+  }
+  return { value: input };
+}
+
+const USER_SCHEMA = {
+  email: email({ required: true }),
+  name: string({ maxLength: 255 }),
+  password,
+  role: oneOf(ROLES),
+  is_active: boolean(),
+};
+
+/**
+ * Check and normalise a user payload before it is saved
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields present
+ * @returns {{value: Object, errors: {field: string, message: string}[]}}
+ */
+function validateUser(data, { partial = false } = {}) {
+  return validate(USER_SCHEMA, data, { partial });
+}
+
+module.exports = {
+  ROLES,
+  login,
+  requireRole,
+  listUsers,
+  getUserById,
+  getUserByEmail,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureInitialAdmin,
+  validateUser,
+};
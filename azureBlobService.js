@@ -45,7 +45,13 @@ async function initializeBlobStorage() {
   }
 }
 
-function generateBlobSASUrl(blobName, expiresInYears = 1) {
+/**
+ * A read-only link to a blob
+ * @param {string} blobName
+ * @param {number} [expiresIn] - Lifetime in seconds (default one year)
+ * @returns {string}
+ */
+function generateBlobSASUrl(blobName, expiresIn = 365 * 24 * 60 * 60) {
   if (!AZURE_STORAGE_ACCOUNT_NAME || !AZURE_STORAGE_ACCOUNT_KEY) {
     throw new Error("Azure Storage account name or key not configured");
   }
@@ -66,9 +72,7 @@ function generateBlobSASUrl(blobName, expiresInYears = 1) {
   // ⏪ Start time: 5 minutes in the past (IMPORTANT)
   const startsOn = new Date(now.getTime() - 5 * 60 * 1000);
 
-  // ⏩ Expiry time: +1 year
-  const expiresOn = new Date(now);
-  expiresOn.setFullYear(expiresOn.getFullYear() + expiresInYears);
+  const expiresOn = new Date(now.getTime() + expiresIn * 1000);
 
   const sasToken = generateBlobSASQueryParameters(
     {
@@ -89,7 +93,6 @@ function generateBlobSASUrl(blobName, expiresInYears = 1) {
  * @param {string} blobName - Name of the blob (file name)
  * @param {Buffer|string} content - File content
  * @param {string} contentType - MIME type
- * @returns {Promise<string>} - Public URL of the uploaded blob
  */
 async function uploadToBlob(
   blobName,
@@ -108,17 +111,89 @@ async function uploadToBlob(
       blobHTTPHeaders: { blobContentType: contentType },
     });
 
-    // Generate SAS URL valid for 1 year
-    const secureUrl = generateBlobSASUrl(blobName, 1);
-
     console.log(`✓ File uploaded successfully: ${blobName}`);
-    return secureUrl;
   } catch (error) {
     console.error("Error uploading to Azure Blob Storage:", error.message);
     throw error;
   }
 }
 
+/**
+ * Download a blob into memory
+ * @param {string} blobName - Name of the blob
+ * @returns {Promise<Buffer|null>} - null if there is no such blob
+ */
+async function downloadBlob(blobName) {
+  try {
+    if (!containerClient) {
+      await initializeBlobStorage();
+    }
+
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+    return await blockBlobClient.downloadToBuffer();
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    console.error("Error downloading from Azure Blob Storage:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Size, ETag, modification date and content type of a blob
+ * @param {string} blobName - Name of the blob
+ * @returns {Promise<Object|null>} - { size, etag, lastModified, contentType },
+ *   null if there is no such blob
+ */
+async function getBlobProperties(blobName) {
+  try {
+    if (!containerClient) {
+      await initializeBlobStorage();
+    }
+
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+    const properties = await blockBlobClient.getProperties();
+    return {
+      size: properties.contentLength,
+      etag: properties.etag,
+      lastModified: properties.lastModified,
+      contentType: properties.contentType,
+    };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    console.error("Error reading blob properties:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Stream a blob, or part of it, without holding it in memory
+ * @param {string} blobName - Name of the blob
+ * @param {Object} [range] - { start, end }, byte offsets, end inclusive;
+ *   the whole blob when omitted
+ * @returns {Promise<stream.Readable>}
+ */
+async function streamBlob(blobName, { start = 0, end } = {}) {
+  try {
+    if (!containerClient) {
+      await initializeBlobStorage();
+    }
+
+    const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+    const response = await blockBlobClient.download(
+      start,
+      end === undefined ? undefined : end - start + 1
+    );
+    return response.readableStreamBody;
+  } catch (error) {
+    console.error("Error streaming from Azure Blob Storage:", error.message);
+    throw error;
+  }
+}
+
 /**
  * Delete a file from Azure Blob Storage
  * @param {string} blobName - Name of the blob to delete
@@ -176,10 +251,33 @@ function getBlobUrl(blobName) {
   return blockBlobClient.url;
 }
 
+// The storage interface (see storage.js) backed by Azure Blob Storage
+const azureBlobStorage = {
+  name: "azure",
+  init: initializeBlobStorage,
+  put: uploadToBlob,
+  get: downloadBlob,
+  stat: getBlobProperties,
+  stream: streamBlob,
+  exists: blobExists,
+  delete: deleteFromBlob,
+  signedUrl: async (blobName, { expiresIn } = {}) => {
+    if (!containerClient) {
+      await initializeBlobStorage();
+    }
+    return generateBlobSASUrl(blobName, expiresIn);
+  },
+};
+
 module.exports = {
   initializeBlobStorage,
   uploadToBlob,
+  downloadBlob,
+  getBlobProperties,
+  streamBlob,
   deleteFromBlob,
   blobExists,
   getBlobUrl,
+  generateBlobSASUrl,
+  azureBlobStorage,
 };
@@ -0,0 +1,104 @@
+require("dotenv").config();
+
+/**
+ * Verification endpoints of the supported CAPTCHA services; all take the
+ * same form fields (secret, response, remoteip) and answer { success }
+ */
+const SITEVERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify",
+};
+
+/**
+ * A provider backed by a siteverify endpoint
+ * Providers implement verify(token, remoteIp) resolving to
+ * { success, errors }.
+ * @param {string} url
+ * @param {string} secret
+ * @returns {Object}
+ */
+function createSiteVerifyProvider(url, secret) {
+  return {
+    async verify(token, remoteIp) {
+      const form = new URLSearchParams({ secret, response: token });
+      if (remoteIp) {
+        form.set("remoteip", remoteIp);
+      }
+      const response = await fetch(url, { method: "POST", body: form });
+      if (!response.ok) {
+        throw new Error(`CAPTCHA verification returned ${response.status}`);
+      }
+      const result = await response.json();
+      return {
+        success: result.success === true,
+        errors: result["error-codes"] || [],
+      };
+    },
+  };
+}
+
+/**
+ * The provider named by CAPTCHA_PROVIDER, or null when CAPTCHAs are off
+ */
+function createProviderFromEnv() {
+  const name = process.env.CAPTCHA_PROVIDER;
+  if (!name || name === "none") {
+    return null;
+  }
+  if (!SITEVERIFY_URLS[name]) {
+    throw new Error(
+      `CAPTCHA_PROVIDER must be one of none, ${Object.keys(
+        SITEVERIFY_URLS
+      ).join(", ")}`
+    );
+  }
+  if (!process.env.CAPTCHA_SECRET) {
+    throw new Error("CAPTCHA_SECRET is not configured");
+  }
+  return createSiteVerifyProvider(
+    SITEVERIFY_URLS[name],
+    process.env.CAPTCHA_SECRET
+  );
+}
+
+let provider = createProviderFromEnv();
+
+/**
+ * Use another provider, e.g. a stub in tests; null turns CAPTCHAs off
+ * @param {Object|null} captchaProvider - Implements verify(token, remoteIp)
+ */
+function setCaptchaProvider(captchaProvider) {
+  provider = captchaProvider;
+}
+
+function isCaptchaEnabled() {
+  return Boolean(provider);
+}
+
+/**
+ * Check a token from the client's CAPTCHA widget
+ * @param {string} token
+ * @param {string} [remoteIp]
+ * @returns {Promise<boolean>} - Always true when CAPTCHAs are off
+ */
+async function verifyCaptcha(token, remoteIp) {
+  if (!provider) {
+    return true;
+  }
+  if (!token) {
+    return false;
+  }
+  const { success, errors } = await provider.verify(token, remoteIp);
+  if (!success) {
+    console.warn(`✗ CAPTCHA rejected: ${errors.join(", ") || "no reason"}`);
+  }
+  return success;
+}
+
+module.exports = {
+  createSiteVerifyProvider,
+  setCaptchaProvider,
+  isCaptchaEnabled,
+  verifyCaptcha,
+};
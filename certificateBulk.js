@@ -0,0 +1,266 @@
+const { getConnection } = require("./db");
+const submissions = require("./submissionsRepository");
+const {
+  FILTER_FIELDS,
+  parseSubmissionFilters,
+} = require("./submissionFilters");
+const {
+  string,
+  number,
+  boolean,
+  oneOf,
+  array,
+  object,
+  validate,
+} = require("./validation");
+const {
+  preferredChannel,
+  enqueueRegenerateJob,
+  enqueueResendJob,
+} = require("./certificateJobs");
+const { createBatch, failBatch, wakeJobWorker } = require("./jobQueue");
+
+const BULK_ACTIONS = [
+  "regenerate",
+  "resend-email",
+  "resend-sms",
+  "resend-preferred",
+];
+const MAX_SUBMISSIONS = 5000;
+// Jobs of one bulk operation running at once, so a large resend neither
+// floods the mail server nor holds up new registrations
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 10;
+// Jobs queued per transaction
+const CHUNK_SIZE = 100;
+
+const BULK_SCHEMA = {
+  action: oneOf(BULK_ACTIONS, { required: true }),
+  ids: array(number({ integer: true, min: 1 }), { maxItems: MAX_SUBMISSIONS }),
+  filter: object(
+    // Same names and formats as the /api/data query string
+    Object.fromEntries(
+      FILTER_FIELDS.map((field) => [field, string({ maxLength: 255 })])
+    )
+  ),
+  concurrency: number({ integer: true, min: 1, max: MAX_CONCURRENCY }),
+  dryRun: boolean(),
+};
+
+/**
+ * Read the body of POST /api/certificates/bulk
+ * @param {Object} body - { action, ids } or { action, filter }, plus
+ *   optional concurrency and dryRun
+ * @returns {{request: Object, errors: {field: string, message: string}[]}}
+ */
+function parseBulkRequest(body = {}) {
+  const { value, errors } = validate(BULK_SCHEMA, {
+    ...body,
+    // Filter values may be sent as numbers or booleans
+    filter:
+      body.filter && typeof body.filter === "object"
+        ? Object.fromEntries(
+            Object.entries(body.filter).map(([key, entry]) => [
+              key,
+              entry === null ? null : String(entry),
+            ])
+          )
+        : body.filter,
+  });
+  const request = {
+    action: value.action,
+    dryRun: value.dryRun === true,
+    concurrency: value.concurrency || DEFAULT_CONCURRENCY,
+  };
+
+  if (errors.some(({ field }) => /^(ids|filter)\b/.test(field))) {
+    return { request, errors };
+  }
+
+  if (!value.ids === !value.filter) {
+    errors.push({ field: "ids", message: "provide either ids or filter" });
+  } else if (value.ids) {
+    if (value.ids.length === 0) {
+      errors.push({ field: "ids", message: "ids must be a non-empty list" });
+    }
+    request.ids = [...new Set(value.ids)];
+  } else {
+    const { filters, errors: filterErrors } = parseSubmissionFilters(
+      value.filter
+    );
+    errors.push(
+      ...filterErrors.map((message) => ({
+        field: `filter.${message.split(" ")[0]}`,
+        message: `filter.${message}`,
+      }))
+    );
+    // An empty filter would match every submission
+    if (filterErrors.length === 0 && Object.keys(filters).length === 0) {
+      errors.push({
+        field: "filter",
+        message: "filter must have at least one condition",
+      });
+    }
+    request.filters = filters;
+  }
+
+  return { request, errors };
+}
+
+/**
+ * The channel an action sends over for a participant, or why it is skipped
+ * @returns {{channel: string|null, skip: string|null}}
+ */
+function resolveAction(action, participant) {
+  if (participant.revoked_at) {
+    return { channel: null, skip: "certificate revoked" };
+  }
+
+  const channel =
+    action === "resend-email"
+      ? "email"
+      : action === "resend-sms"
+      ? "sms"
+      : action === "resend-preferred"
+      ? preferredChannel(participant)
+      : null;
+
+  if (channel === "email" && !(participant.email || "").trim()) {
+    return { channel, skip: "no email address" };
+  }
+  if (channel === "sms" && !(participant.phone || "").trim()) {
+    return { channel, skip: "no phone number" };
+  }
+  if (channel === "none") {
+    return { channel, skip: "no email address or phone number" };
+  }
+  return { channel, skip: null };
+}
+
+/**
+ * Find the submissions a bulk request covers and decide what happens to
+ * each, without changing anything
+ * @param {Object} request - From parseBulkRequest
+ * @returns {Promise<Object>} - { summary, eligible, skipped, notFound, errors }
+ */
+async function planBulkAction({ action, ids, filters }) {
+  const { matched, rows } = await submissions.findForBulk({
+    ids,
+    filters,
+    limit: MAX_SUBMISSIONS,
+  });
+  if (matched > MAX_SUBMISSIONS) {
+    return {
+      summary: { matched },
+      errors: [
+        {
+          field: "filter",
+          message: `filter matches ${matched} submissions; at most ${MAX_SUBMISSIONS} can be processed at once`,
+        },
+      ],
+    };
+  }
+
+  const found = new Set(rows.map((row) => row.id));
+  const notFound = ids ? ids.filter((id) => !found.has(id)) : [];
+  const eligible = [];
+  const skipped = [];
+  const channels = { email: 0, sms: 0 };
+
+  rows.forEach((row) => {
+    const { channel, skip } = resolveAction(action, row);
+    if (skip) {
+      skipped.push({ id: row.id, reason: skip });
+      return;
+    }
+    eligible.push({ id: row.id, channel });
+    if (channel) {
+      channels[channel]++;
+    }
+  });
+
+  const summary = {
+    matched,
+    eligible: eligible.length,
+    skipped: skipped.length,
+    notFound: notFound.length,
+  };
+  if (action !== "regenerate") {
+    summary.channels = channels;
+  }
+  return { summary, eligible, skipped, notFound, errors: [] };
+}
+
+/**
+ * Queue one job per eligible submission, grouped in a batch whose jobs run
+ * at most `concurrency` at a time
+ * Jobs go in CHUNK_SIZE at a time, each chunk in its own transaction. If a
+ * chunk fails, the chunks before it stay queued and the batch is marked
+ * failed with its total cut to them, as for an import.
+ * @param {Object} plan - From planBulkAction
+ * @param {Object} options
+ * @param {string} options.action
+ * @param {number} options.concurrency
+ * @param {number} [options.createdBy] - Admin user ID
+ * @returns {Promise<Object>} - { batch, queued, error } where queued lists
+ *   the submission IDs given a job; error is set when queueing stopped
+ *   part way
+ */
+async function runBulkAction(plan, { action, concurrency, createdBy }) {
+  const batch = await createBatch(action, {
+    createdBy,
+    total: plan.eligible.length,
+    maxConcurrency: concurrency,
+    summary: { action, ...plan.summary },
+  });
+
+  const pool = await getConnection();
+  const ids = plan.eligible.map(({ id }) => id);
+  let queued = 0;
+  try {
+    for (; queued < ids.length; queued += CHUNK_SIZE) {
+      const transaction = pool.transaction();
+      await transaction.begin();
+      try {
+        for (const id of ids.slice(queued, queued + CHUNK_SIZE)) {
+          const options = { transaction, batchId: batch.id };
+          if (action === "regenerate") {
+            await enqueueRegenerateJob(id, options);
+          } else {
+            // "preferred" is resolved again when the job runs, in case the
+            // participant's details change in the meantime
+            await enqueueResendJob(id, action.replace("resend-", ""), options);
+          }
+        }
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+      wakeJobWorker();
+    }
+  } catch (error) {
+    console.error(
+      `✗ Queueing ${action} stopped after ${queued} of ${ids.length} submissions (batch ${batch.id}):`,
+      error.message
+    );
+    await failBatch(batch.id, { total: queued, error: error.message });
+    return {
+      batch: { ...batch, total: queued, error: error.message },
+      queued: ids.slice(0, queued),
+      error,
+    };
+  }
+
+  console.log(
+    `✓ Queued ${action} for ${ids.length} submissions (batch ${batch.id})`
+  );
+  return { batch, queued: ids };
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  parseBulkRequest,
+  planBulkAction,
+  runBulkAction,
+};
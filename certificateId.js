@@ -0,0 +1,74 @@
+require("dotenv").config();
+
+// Public base URL used in the verification QR code
+const PUBLIC_BASE_URL = (
+  process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`
+).replace(/\/+$/, "");
+
+// Prefixes printed on older certificates or messages, mapped to the
+// prefix they stand for today
+const LEGACY_PREFIXES = { VVY: "YV" };
+
+/**
+ * Build the public certificate ID for a submission
+ * @param {number} id - Submission ID
+ * @param {Object} event - Event row the submission belongs to
+ * @returns {string} - e.g. "YV-12-2026"
+ */
+function formatCertificateId(id, event) {
+  const parts = [event.certificate_id_prefix, id];
+  if (event.certificate_id_suffix) {
+    parts.push(event.certificate_id_suffix);
+  }
+  return parts.join("-");
+}
+
+/**
+ * Extract the submission ID from a certificate ID
+ * @param {string} certificateId - e.g. "YV-12-2026"
+ * @returns {number|null} - Submission ID, or null if the format is unknown
+ */
+function parseCertificateId(certificateId) {
+  const match = /^[A-Z0-9]+-(\d+)(?:-[A-Z0-9]+)?$/i.exec(
+    String(certificateId || "").trim()
+  );
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check that a certificate ID is the one issued for a submission's event
+ * Also accepts the "VVY-12-2026" form sent in older SMS messages
+ * @param {string} certificateId
+ * @param {number} id - Submission ID
+ * @param {Object} event - Event row the submission belongs to
+ * @returns {boolean}
+ */
+function matchesCertificateId(certificateId, id, event) {
+  const [prefix, ...rest] = String(certificateId)
+    .trim()
+    .toUpperCase()
+    .split("-");
+  const normalised = [LEGACY_PREFIXES[prefix] || prefix, ...rest].join("-");
+  return normalised === formatCertificateId(id, event).toUpperCase();
+}
+
+/**
+ * Public URL where a certificate can be verified
+ * @param {string} certificateId
+ * @param {string} [signature] - Certificate signature to embed in the link
+ * @returns {string}
+ */
+function getVerificationUrl(certificateId, signature) {
+  const url = `${PUBLIC_BASE_URL}/api/verify/${encodeURIComponent(
+    certificateId
+  )}`;
+  return signature ? `${url}?sig=${encodeURIComponent(signature)}` : url;
+}
+
+module.exports = {
+  PUBLIC_BASE_URL,
+  formatCertificateId,
+  parseCertificateId,
+  matchesCertificateId,
+  getVerificationUrl,
+};
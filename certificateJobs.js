@@ -0,0 +1,267 @@
+const { defineJobType, enqueueJob } = require("./jobQueue");
+const { generateCertificate } = require("./certificateGenerator");
+const { hashCertificate } = require("./certificateSigning");
+const { getEventForSubmission } = require("./eventService");
+const { getTemplateForEvent } = require("./templateService");
+const storage = require("./storage");
+const { deliverCertificate } = require("./deliveryService");
+const submissions = require("./submissionsRepository");
+const { getCertificateLink } = require("./certificateLinks");
+const {
+  certificateFileName,
+  issuedLayoutWarnings,
+  recordCertificate,
+} = require("./certificateService");
+
+async function getSubmission(id) {
+  const participant = await submissions.findById(id);
+  if (!participant) {
+    throw new Error(`Submission ${id} not found`);
+  }
+  return participant;
+}
+
+/**
+ * Email when the participant has an address, otherwise SMS, otherwise none
+ * @param {Object} participant - Submission row
+ * @returns {string} - "email", "sms" or "none"
+ */
+function preferredChannel(participant) {
+  if (participant.email && participant.email.trim() !== "") {
+    return "email";
+  }
+  if (participant.phone && participant.phone.trim() !== "") {
+    return "sms";
+  }
+  return "none";
+}
+
+/**
+ * Delete a stored PDF that never became the submission's certificate,
+ * once a job has given up
+ */
+async function removeUnrecordedCertificate({ submissionId }, state) {
+  if (!state.fileName) {
+    return;
+  }
+  const participant = await submissions.findById(submissionId);
+  if (!participant || participant.certificate_path !== state.fileName) {
+    await storage.delete(state.fileName);
+  }
+}
+
+/**
+ * Step 1: draw the PDF in memory and put it in certificate storage
+ * The issue date is stored first so a re-run signs the same date
+ */
+async function generate({ submissionId }) {
+  await submissions.markIssued(submissionId);
+
+  const participant = await getSubmission(submissionId);
+  const event = await getEventForSubmission(participant);
+  const fileName = certificateFileName(submissionId);
+
+  const { pdf, fitted } = await generateCertificate(
+    participant,
+    event,
+    await getTemplateForEvent(event)
+  );
+  await storage.put(fileName, pdf, "application/pdf");
+
+  return {
+    fileName,
+    sha256: hashCertificate(pdf),
+    layoutWarnings: issuedLayoutWarnings(submissionId, fitted),
+  };
+}
+
+/**
+ * Step 2: record the stored PDF on the submission and get its short link
+ * If it is not in storage (e.g. the job was queued by a version that kept
+ * the PDF on local disk between steps) it is drawn again
+ */
+async function upload(payload, state) {
+  const changes = {};
+  if (
+    !state.fileName ||
+    !state.sha256 ||
+    !(await storage.exists(state.fileName))
+  ) {
+    Object.assign(changes, await generate(payload));
+  }
+
+  const { fileName, sha256 } = { ...state, ...changes };
+  const certificateUrl = await recordCertificate(
+    payload.submissionId,
+    fileName,
+    sha256
+  );
+
+  return { ...changes, certificateUrl };
+}
+
+// The job retries the deliver step with its own backoff; its attempt count
+// numbers the deliveries logged
+function deliverAttempt(job) {
+  return job.steps.find((step) => step.name === "deliver").attempts;
+}
+
+/**
+ * Step 3: email the PDF, or text the link when there is no email address
+ * A resend (payload.resend) delivers again over state.channel even when the
+ * certificate was sent before.
+ */
+async function deliver(payload, state, job) {
+  const participant = await getSubmission(payload.submissionId);
+  if (participant.certificate_sent && !payload.resend) {
+    return { sendMethod: participant.send_method };
+  }
+
+  const event = await getEventForSubmission(participant);
+  const channel = state.channel || preferredChannel(participant);
+  const changes = {};
+  let sendMethod = "none";
+
+  if (channel === "email") {
+    // The attachment must be the stored file, so a lost copy is redone
+    // together with its upload
+    let certificate =
+      participant.certificate_path &&
+      (await storage.get(participant.certificate_path));
+    if (!certificate) {
+      Object.assign(changes, await upload(payload, {}));
+      certificate = await storage.get(changes.fileName);
+    }
+
+    await deliverCertificate(participant, "email", {
+      event,
+      certificate,
+      attempt: deliverAttempt(job),
+    });
+    sendMethod = "email";
+    console.log(`✓ Certificate sent via EMAIL to ${participant.email}`);
+  } else if (channel === "sms") {
+    await deliverCertificate(participant, "sms", {
+      event,
+      certificateUrl: await getCertificateLink(participant.id),
+      attempt: deliverAttempt(job),
+    });
+    sendMethod = "sms";
+    console.log(`✓ Certificate sent via SMS to ${participant.phone}`);
+  }
+
+  return { ...changes, sendMethod };
+}
+
+/**
+ * First step of a resend: reuse the stored certificate, drawing and
+ * uploading it only when there is none yet
+ */
+async function prepare(payload) {
+  const participant = await getSubmission(payload.submissionId);
+  const channel =
+    payload.channel === "preferred"
+      ? preferredChannel(participant)
+      : payload.channel;
+  if (channel === "none") {
+    throw new Error("Participant has no email address or phone number");
+  }
+
+  if (
+    !participant.certificate_path ||
+    !(await storage.exists(participant.certificate_path))
+  ) {
+    return { ...(await upload(payload, {})), channel };
+  }
+
+  return {
+    certificateUrl: await getCertificateLink(participant.id),
+    channel,
+  };
+}
+
+const certificateResult = (state) => ({
+  certificateUrl: state.certificateUrl || null,
+  sendMethod: state.sendMethod || null,
+  layoutWarnings: state.layoutWarnings || [],
+});
+
+defineJobType("certificate", {
+  steps: [
+    { name: "generate", run: generate },
+    { name: "upload", run: upload },
+    { name: "deliver", run: deliver },
+  ],
+  result: certificateResult,
+  onFailed: removeUnrecordedCertificate,
+});
+
+// Redraw and re-upload (e.g. after a template fix) without sending
+defineJobType("certificate-regenerate", {
+  steps: [
+    { name: "generate", run: generate },
+    { name: "upload", run: upload },
+  ],
+  result: certificateResult,
+  onFailed: removeUnrecordedCertificate,
+});
+
+// Send an existing certificate again over payload.channel
+defineJobType("certificate-resend", {
+  steps: [
+    { name: "prepare", run: prepare },
+    { name: "deliver", run: deliver },
+  ],
+  result: certificateResult,
+  onFailed: removeUnrecordedCertificate,
+});
+
+/**
+ * Queue generating, uploading and delivering a submission's certificate
+ * @param {number} submissionId
+ * @param {Object} [options] - { transaction }, see enqueueJob
+ * @returns {Promise<Object>} - The queued job
+ */
+function enqueueCertificateJob(submissionId, options = {}) {
+  return enqueueJob(
+    "certificate",
+    { submissionId },
+    { ...options, submissionId }
+  );
+}
+
+/**
+ * Queue redrawing and re-uploading a submission's certificate
+ * @param {number} submissionId
+ * @param {Object} [options] - { transaction, batchId }, see enqueueJob
+ * @returns {Promise<Object>} - The queued job
+ */
+function enqueueRegenerateJob(submissionId, options = {}) {
+  return enqueueJob(
+    "certificate-regenerate",
+    { submissionId },
+    { ...options, submissionId }
+  );
+}
+
+/**
+ * Queue sending a submission's certificate again
+ * @param {number} submissionId
+ * @param {string} channel - "email", "sms" or "preferred"
+ * @param {Object} [options] - { transaction, batchId }, see enqueueJob
+ * @returns {Promise<Object>} - The queued job
+ */
+function enqueueResendJob(submissionId, channel, options = {}) {
+  return enqueueJob(
+    "certificate-resend",
+    { submissionId, channel, resend: true },
+    { ...options, submissionId }
+  );
+}
+
+module.exports = {
+  preferredChannel,
+  enqueueCertificateJob,
+  enqueueRegenerateJob,
+  enqueueResendJob,
+};
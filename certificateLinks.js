@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const { getConnection, sql } = require("./db");
+const { PUBLIC_BASE_URL } = require("./certificateId");
+const storage = require("./storage");
+require("dotenv").config();
+
+/**
+ * Short links to certificates: GET /c/:token
+ *
+ * A token only names a submission. Each visit checks it and redirects to a
+ * signed storage URL minted for that visit, so what ends up in an SMS or a
+ * browser history stops working SIGNED_URL_TTL_MINUTES later. Revoking a
+ * participant's tokens disables every link they were sent; the next send
+ * mints a new one.
+ */
+
+// How long the storage URL a short link redirects to stays valid
+const SIGNED_URL_TTL_MINUTES = parseInt(
+  process.env.SIGNED_URL_TTL_MINUTES || "15"
+);
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+function linkUrl(token) {
+  return `${PUBLIC_BASE_URL}/c/${token}`;
+}
+
+/**
+ * The short link to a submission's certificate, created on first use
+ * @param {number} submissionId
+ * @returns {Promise<string>} - e.g. https://example.org/c/3q2-7wVJd9lRk0aH
+ */
+async function getCertificateLink(submissionId) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("submission_id", sql.Int, submissionId).query(`
+      SELECT TOP (1) token FROM certificate_links
+      WHERE submission_id = @submission_id AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `);
+  if (result.recordset[0]) {
+    return linkUrl(result.recordset[0].token);
+  }
+
+  const token = crypto.randomBytes(12).toString("base64url");
+  await pool
+    .request()
+    .input("token", sql.NVarChar(64), token)
+    .input("submission_id", sql.Int, submissionId)
+    .query(
+      "INSERT INTO certificate_links (token, submission_id) VALUES (@token, @submission_id)"
+    );
+  return linkUrl(token);
+}
+
+/**
+ * The submission a short link points to
+ * @param {string} token
+ * @returns {Promise<Object|null>} - Submission row, or null if the token is
+ *   unknown or revoked
+ */
+async function findSubmissionByToken(token) {
+  if (!TOKEN_PATTERN.test(String(token))) {
+    return null;
+  }
+
+  const pool = await getConnection();
+  const result = await pool.request().input("token", sql.NVarChar(64), token)
+    .query(`
+      SELECT * FROM submissions WHERE id IN (
+        SELECT submission_id FROM certificate_links
+        WHERE token = @token AND revoked_at IS NULL
+      )
+    `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Disable every short link sent to a participant
+ * @param {number} submissionId
+ * @returns {Promise<number>} - How many links were revoked
+ */
+async function revokeCertificateLinks(submissionId) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("submission_id", sql.Int, submissionId)
+    .query(
+      "UPDATE certificate_links SET revoked_at = GETDATE() WHERE submission_id = @submission_id AND revoked_at IS NULL"
+    );
+  return result.rowsAffected[0];
+}
+
+/**
+ * A storage URL for a submission's certificate, valid for
+ * SIGNED_URL_TTL_MINUTES
+ * @param {Object} participant - Submission row with a certificate_path
+ * @returns {Promise<string>}
+ */
+function signCertificateUrl(participant) {
+  return storage.signedUrl(participant.certificate_path, {
+    expiresIn: SIGNED_URL_TTL_MINUTES * 60,
+  });
+}
+
+module.exports = {
+  getCertificateLink,
+  findSubmissionByToken,
+  revokeCertificateLinks,
+  signCertificateUrl,
+};
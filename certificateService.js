@@ -0,0 +1,181 @@
+const fs = require("fs");
+const path = require("path");
+const { generateCertificate } = require("./certificateGenerator");
+const { getLayoutWarnings } = require("./templateRenderer");
+const { hashCertificate } = require("./certificateSigning");
+const { getEventForSubmission } = require("./eventService");
+const { getTemplateForEvent } = require("./templateService");
+const storage = require("./storage");
+const submissions = require("./submissionsRepository");
+const { getCertificateLink } = require("./certificateLinks");
+
+// Certificates used to be written here before they were uploaded; files
+// left behind by a crash are removed on start
+const CERTIFICATES_DIR = path.join(__dirname, "certificates");
+const LEFTOVER_PATTERN = /^certificate_.*\.pdf$/;
+
+/**
+ * Storage name for a new certificate of a submission
+ * @param {number} submissionId
+ * @returns {string}
+ */
+function certificateFileName(submissionId) {
+  return `certificate_${submissionId}_${Date.now()}.pdf`;
+}
+
+/**
+ * Layout warnings of an issued certificate, logged so an overflow on a
+ * real certificate is noticed (previews only report them)
+ * @param {number} submissionId
+ * @param {Object[]} fitted - From generateCertificate
+ * @returns {Object[]} - From getLayoutWarnings
+ */
+function issuedLayoutWarnings(submissionId, fitted) {
+  const warnings = getLayoutWarnings(fitted);
+  warnings.forEach((warning) => {
+    console.warn(
+      `✗ Certificate ${submissionId}: text "${warning.text}" overflows its box (${warning.element})`
+    );
+  });
+  return warnings;
+}
+
+/**
+ * Record a stored certificate on its submission
+ * @param {number} submissionId
+ * @param {string} fileName - Storage name
+ * @param {string} sha256 - From hashCertificate
+ * @param {Object} [options]
+ * @param {Date} [options.issuedAt] - Issue date to store with it
+ * @returns {Promise<string>} - Short link to the certificate
+ */
+async function recordCertificate(
+  submissionId,
+  fileName,
+  sha256,
+  { issuedAt } = {}
+) {
+  await submissions.saveCertificate(submissionId, {
+    path: fileName,
+    sha256,
+    issuedAt,
+  });
+  return getCertificateLink(submissionId);
+}
+
+/**
+ * Draw, upload and record a new certificate for a submission row, without
+ * touching the disk
+ * The original issue date is kept on re-generation.
+ */
+async function drawCertificate(participant, event) {
+  const fileName = certificateFileName(participant.id);
+  const issuedAt = participant.certificate_issued_at || new Date();
+
+  const { pdf, fitted } = await generateCertificate(
+    { ...participant, certificate_issued_at: issuedAt },
+    event,
+    await getTemplateForEvent(event)
+  );
+  await storage.put(fileName, pdf, "application/pdf");
+  const certificateUrl = await recordCertificate(
+    participant.id,
+    fileName,
+    hashCertificate(pdf),
+    { issuedAt }
+  );
+
+  return {
+    participant: {
+      ...participant,
+      certificate_path: fileName,
+      certificate_issued_at: issuedAt,
+    },
+    event,
+    certificateUrl,
+    certificatePath: fileName,
+    layoutWarnings: issuedLayoutWarnings(participant.id, fitted),
+  };
+}
+
+/**
+ * Draw and upload a submission's certificate, replacing any stored one
+ * @param {number} id - Submission ID
+ * @returns {Promise<Object|null>} - { participant, event, certificateUrl,
+ *   certificatePath, layoutWarnings }, or null if there is no such
+ *   submission; participant is the row as updated
+ */
+async function regenerateCertificate(id) {
+  const participant = await submissions.findById(id);
+  if (!participant) {
+    return null;
+  }
+  return drawCertificate(participant, await getEventForSubmission(participant));
+}
+
+/**
+ * A submission's stored certificate, drawn and uploaded first when there is
+ * none yet or the stored file has gone missing
+ * @param {number} id - Submission ID
+ * @returns {Promise<Object|null>} - { participant, event, certificateUrl,
+ *   certificatePath }, or null if there is no such submission
+ */
+async function ensureCertificate(id) {
+  const participant = await submissions.findById(id);
+  if (!participant) {
+    return null;
+  }
+
+  const event = await getEventForSubmission(participant);
+  if (
+    participant.certificate_path &&
+    (await storage.exists(participant.certificate_path))
+  ) {
+    return {
+      participant,
+      event,
+      certificateUrl: await getCertificateLink(participant.id),
+      certificatePath: participant.certificate_path,
+    };
+  }
+  return drawCertificate(participant, event);
+}
+
+/**
+ * Delete temporary certificate PDFs left in certificates/ by earlier
+ * versions that wrote every certificate to disk before uploading it
+ * @returns {Promise<number>} - How many files were removed
+ */
+async function removeLeftoverCertificates() {
+  let names;
+  try {
+    names = await fs.promises.readdir(CERTIFICATES_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return 0;
+    }
+    throw error;
+  }
+
+  const leftovers = names.filter((name) => LEFTOVER_PATTERN.test(name));
+  await Promise.all(
+    leftovers.map((name) =>
+      fs.promises.rm(path.join(CERTIFICATES_DIR, name), { force: true })
+    )
+  );
+  if (leftovers.length > 0) {
+    console.log(
+      `✓ Removed ${leftovers.length} leftover certificate files from ${CERTIFICATES_DIR}`
+    );
+  }
+  return leftovers.length;
+}
+
+module.exports = {
+  certificateFileName,
+  issuedLayoutWarnings,
+  recordCertificate,
+  regenerateCertificate,
+  ensureCertificate,
+  removeLeftoverCertificates,
+};
@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+require("dotenv").config();
+
+const SIGNING_SECRET = process.env.CERTIFICATE_SIGNING_SECRET;
+
+// Custom keys written to the PDF Info dictionary
+const PAYLOAD_KEY = "CertificatePayload";
+const SIGNATURE_KEY = "CertificateSignature";
+
+// What signCertificate produces: 32 bytes of HMAC in base64url
+const SIGNATURE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+// The shape of a formatCertificateId result, e.g. YV-12-2026
+const CERTIFICATE_ID_PATTERN = /^[A-Z0-9]+-\d+(?:-[A-Z0-9]+)?$/i;
+
+/**
+ * Build the canonical representation of a certificate's fields
+ * The issue date is reduced to YYYY-MM-DD (UTC) so it survives the
+ * round trip through the DATETIME column unchanged
+ * @param {Object} fields - { certificateId, name, event, issuedOn }
+ * @returns {string} - Canonical JSON string
+ */
+function buildCanonicalPayload({ certificateId, name, event, issuedOn }) {
+  return JSON.stringify({
+    id: String(certificateId),
+    name: String(name).trim(),
+    event: String(event),
+    issued: new Date(issuedOn).toISOString().slice(0, 10),
+  });
+}
+
+/**
+ * Sign a certificate's canonical fields with HMAC-SHA256
+ * @param {Object} fields - { certificateId, name, event, issuedOn }
+ * @returns {string} - base64url signature
+ */
+function signCertificate(fields) {
+  if (!SIGNING_SECRET) {
+    throw new Error("Certificate signing secret is not configured");
+  }
+
+  return crypto
+    .createHmac("sha256", SIGNING_SECRET)
+    .update(buildCanonicalPayload(fields), "utf8")
+    .digest("base64url");
+}
+
+/**
+ * Check a signature against a certificate's canonical fields
+ * @param {Object} fields - { certificateId, name, event, issuedOn }
+ * @param {string} signature - base64url signature
+ * @returns {boolean}
+ */
+function verifyCertificateSignature(fields, signature) {
+  if (!signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(signCertificate(fields));
+  const actual = Buffer.from(String(signature));
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Metadata entries to merge into a PDFKit document's `info`
+ * @param {Object} fields - { certificateId, name, event, issuedOn }
+ * @returns {Object}
+ */
+function buildPdfMetadata(fields) {
+  return {
+    [PAYLOAD_KEY]: Buffer.from(buildCanonicalPayload(fields), "utf8").toString(
+      "base64url"
+    ),
+    [SIGNATURE_KEY]: signCertificate(fields),
+  };
+}
+
+/**
+ * Check a YYYY-MM-DD date as written by buildCanonicalPayload
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isIssueDate(value) {
+  return (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) &&
+    new Date(value).toISOString().slice(0, 10) === value
+  );
+}
+
+/**
+ * Read the signed payload back out of a PDF produced by generateCertificate
+ * The PDF may be any upload, so fields that could not have been signed
+ * (unknown ID format, impossible date, malformed signature) count as
+ * absent.
+ * @param {Buffer} pdfBuffer - Raw PDF bytes
+ * @returns {{fields: Object, signature: string}|null} - null if absent or
+ *   malformed
+ */
+function extractPdfMetadata(pdfBuffer) {
+  const text = pdfBuffer.toString("latin1");
+
+  // Both values are base64url, so they never contain escaped characters.
+  // PDFKit writes Info entries as indirect objects ("/Key 12 0 R"), but a
+  // direct string ("/Key (...)") is accepted as well.
+  const readEntry = (key) => {
+    const matches = [
+      ...text.matchAll(
+        new RegExp(
+          `/${key}\\s*(?:\\(([A-Za-z0-9_-]+)\\)|(\\d+)\\s+0\\s+R)`,
+          "g"
+        )
+      ),
+    ];
+    if (!matches.length) {
+      return null;
+    }
+
+    // Incremental updates append a new Info dictionary; the last one wins
+    const [, direct, objectNumber] = matches[matches.length - 1];
+    if (direct) {
+      return direct;
+    }
+
+    const objects = [
+      ...text.matchAll(
+        new RegExp(
+          `(?:^|\\s)${objectNumber}\\s+0\\s+obj\\s*\\(([A-Za-z0-9_-]+)\\)`,
+          "g"
+        )
+      ),
+    ];
+    return objects.length ? objects[objects.length - 1][1] : null;
+  };
+
+  const payload = readEntry(PAYLOAD_KEY);
+  const signature = readEntry(SIGNATURE_KEY);
+
+  if (!payload || !signature || !SIGNATURE_PATTERN.test(signature)) {
+    return null;
+  }
+
+  try {
+    const decoded = JSON.parse(
+      Buffer.from(payload, "base64url").toString("utf8")
+    );
+    if (
+      !decoded ||
+      typeof decoded.id !== "string" ||
+      !CERTIFICATE_ID_PATTERN.test(decoded.id) ||
+      typeof decoded.name !== "string" ||
+      typeof decoded.event !== "string" ||
+      !isIssueDate(decoded.issued)
+    ) {
+      return null;
+    }
+    return {
+      fields: {
+        certificateId: decoded.id,
+        name: decoded.name,
+        event: decoded.event,
+        issuedOn: decoded.issued,
+      },
+      signature,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * SHA-256 fingerprint of a generated certificate file
+ * @param {Buffer} buffer
+ * @returns {string} - hex digest
+ */
+function hashCertificate(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+module.exports = {
+  signCertificate,
+  verifyCertificateSignature,
+  buildPdfMetadata,
+  extractPdfMetadata,
+  hashCertificate,
+};
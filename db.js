@@ -1,4 +1,5 @@
 const sql = require("mssql");
+const { migrate, getMigrationStatus } = require("./migrator");
 require("dotenv").config();
 
 const config = {
@@ -38,56 +39,39 @@ async function getConnection() {
   }
 }
 
+/**
+ * Use another connection pool, e.g. an in-memory fake in tests
+ * It needs request() and transaction(), like an mssql ConnectionPool.
+ * @param {Object|null} connection
+ */
+function setConnection(connection) {
+  pool = connection;
+}
+
+/**
+ * Bring the schema up to date by applying pending migrations from
+ * migrations/ (see migrator.js)
+ * With MIGRATE_ON_START=false migrations are left to `npm run migrate`,
+ * and startup fails while any are pending.
+ */
 async function initializeDatabase() {
   try {
     const pool = await getConnection();
 
-    const createTableQuery = `
-      IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='submissions' AND xtype='U')
-      BEGIN
-        CREATE TABLE submissions (
-          id INT IDENTITY(1,1) PRIMARY KEY,
-          name NVARCHAR(255) NOT NULL,
-          email NVARCHAR(255) NULL,
-          phone NVARCHAR(50) NULL,
-          message NVARCHAR(MAX) NULL,
-
-          latitude FLOAT NULL,
-          longitude FLOAT NULL,
-          location_accuracy FLOAT NULL,
-          city NVARCHAR(100) NULL,
-          state NVARCHAR(100) NULL,
-          country NVARCHAR(100) NULL,
-          country_code NVARCHAR(10) NULL,
-          full_address NVARCHAR(MAX) NULL,
-          location_timestamp DATETIME NULL,
-
-          certificate_path NVARCHAR(500) NULL,
-          certificate_url NVARCHAR(1000) NULL,
-          certificate_sent BIT DEFAULT 0,
-          certificate_sent_at DATETIME NULL,
-
-          send_method NVARCHAR(20) NULL,
-          created_at DATETIME DEFAULT GETDATE()
+    if (process.env.MIGRATE_ON_START === "false") {
+      const pending = (await getMigrationStatus(pool)).filter(
+        (migration) => migration.status === "pending"
+      );
+      if (pending.length > 0) {
+        throw new Error(
+          `Pending migrations: ${pending
+            .map((migration) => migration.name)
+            .join(", ")}; run npm run migrate`
         );
-
-        CREATE INDEX idx_submissions_created_at ON submissions(created_at DESC);
-      END
-    `;
-
-    await pool.request().query(createTableQuery);
-    console.log("✓ Database table initialized");
-
-    // Add missing columns safely for existing DB
-    const alterTableQuery = `
-      IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='certificate_url')
-        ALTER TABLE submissions ADD certificate_url NVARCHAR(1000);
-
-      IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='send_method')
-        ALTER TABLE submissions ADD send_method NVARCHAR(20);
-    `;
-
-    await pool.request().query(alterTableQuery);
+      }
+    } else {
+      await migrate(pool);
+    }
     console.log("✓ Database schema verified");
   } catch (err) {
     console.error("Database initialization error:", err);
@@ -109,6 +93,7 @@ async function closeConnection() {
 
 module.exports = {
   getConnection,
+  setConnection,
   initializeDatabase,
   closeConnection,
   sql,
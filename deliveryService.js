@@ -0,0 +1,188 @@
+const { getConnection, sql } = require("./db");
+const submissions = require("./submissionsRepository");
+const { sendCertificateEmail } = require("./emailService");
+const { sendCertificateSMS } = require("./smsService");
+const { toE164 } = require("./validation");
+require("dotenv").config();
+
+/**
+ * Twilio message statuses mapped to the ones we record
+ */
+const SMS_STATUSES = {
+  accepted: "queued",
+  scheduled: "queued",
+  queued: "queued",
+  sending: "sending",
+  sent: "sent",
+  delivered: "delivered",
+  read: "delivered",
+  undelivered: "undelivered",
+  failed: "failed",
+  canceled: "failed",
+};
+
+// Callbacks can arrive out of order; a status never moves back a stage
+const STATUS_STAGES = {
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  undelivered: 3,
+  failed: 3,
+};
+
+/**
+ * Log the start of a delivery attempt
+ * @returns {Promise<number>} - Delivery ID
+ */
+async function recordAttempt(pool, submissionId, channel, recipient, attempt) {
+  const result = await pool
+    .request()
+    .input("submission_id", sql.Int, submissionId)
+    .input("channel", sql.NVarChar(20), channel)
+    .input("recipient", sql.NVarChar(255), recipient)
+    .input("attempt", sql.Int, attempt).query(`
+      INSERT INTO deliveries (submission_id, channel, recipient, attempt, status)
+      OUTPUT INSERTED.id
+      VALUES (@submission_id, @channel, @recipient, @attempt, 'sending')
+    `);
+  return result.recordset[0].id;
+}
+
+/**
+ * Record how a delivery attempt ended
+ */
+async function finishAttempt(pool, id, status, { messageId, error } = {}) {
+  await pool
+    .request()
+    .input("id", sql.Int, id)
+    .input("status", sql.NVarChar(20), status)
+    .input("provider_message_id", sql.NVarChar(255), messageId || null)
+    .input("error", sql.NVarChar(sql.MAX), error || null)
+    .query(
+      "UPDATE deliveries SET status = @status, provider_message_id = @provider_message_id, error = @error, updated_at = GETDATE() WHERE id = @id"
+    );
+}
+
+/**
+ * Send a certificate by email or SMS, logging the attempt in deliveries
+ * One attempt only: retries belong to the job that calls this.
+ * @param {Object} participant - Submission row
+ * @param {string} channel - "email" or "sms"
+ * @param {Object} options
+ * @param {Object} options.event - Event row supplying the wording
+ * @param {Buffer} [options.certificate] - PDF to attach (email)
+ * @param {string} [options.certificateUrl] - Link to send (SMS)
+ * @param {number} [options.attempt] - Attempt number to log, default 1
+ * @returns {Promise<Object>} - { id, channel, recipient, messageId }
+ * @throws The provider error, after logging the attempt as failed
+ */
+async function deliverCertificate(
+  participant,
+  channel,
+  { event, certificate, certificateUrl, attempt = 1 }
+) {
+  // An invalid number is logged as it was entered; sending to it then fails
+  // inside the attempt, so the failure shows up in the delivery log
+  const recipient =
+    channel === "email"
+      ? participant.email.trim()
+      : toE164(participant.phone) || participant.phone;
+  const pool = await getConnection();
+  const deliveryId = await recordAttempt(
+    pool,
+    participant.id,
+    channel,
+    recipient,
+    attempt
+  );
+
+  try {
+    let messageId;
+    let status = "sent";
+    if (channel === "email") {
+      const info = await sendCertificateEmail(participant, certificate, event);
+      messageId = info.messageId;
+    } else {
+      const response = await sendCertificateSMS(
+        participant,
+        certificateUrl,
+        event
+      );
+      messageId = response.messageSid;
+      status = SMS_STATUSES[response.status] || "sent";
+    }
+
+    await finishAttempt(pool, deliveryId, status, { messageId });
+    await submissions.markSent(participant.id, channel);
+
+    return { id: deliveryId, channel, recipient, messageId };
+  } catch (error) {
+    await finishAttempt(pool, deliveryId, "failed", {
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Apply a Twilio status callback to the SMS delivery it belongs to
+ * A link that finally failed to arrive marks the submission as not sent
+ * again, so it shows up for a re-send
+ * @param {string} messageSid - Twilio MessageSid
+ * @param {string} twilioStatus - Twilio MessageStatus
+ * @param {string} [errorCode] - Twilio ErrorCode
+ * @returns {Promise<Object|null>} - The delivery, or null if unknown
+ */
+async function updateDeliveryStatus(messageSid, twilioStatus, errorCode) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("provider_message_id", sql.NVarChar(255), messageSid)
+    .query(
+      "SELECT * FROM deliveries WHERE channel = 'sms' AND provider_message_id = @provider_message_id"
+    );
+
+  const delivery = result.recordset[0];
+  const status = SMS_STATUSES[twilioStatus];
+  if (!delivery || !status) {
+    return delivery || null;
+  }
+  if (STATUS_STAGES[status] < (STATUS_STAGES[delivery.status] || 0)) {
+    return delivery;
+  }
+
+  const error = errorCode ? `Twilio error ${errorCode}` : delivery.error;
+  await finishAttempt(pool, delivery.id, status, {
+    messageId: messageSid,
+    error,
+  });
+
+  if (status === "undelivered" || status === "failed") {
+    await submissions.markUnsent(delivery.submission_id, delivery.id);
+  }
+
+  return { ...delivery, status, error };
+}
+
+/**
+ * Every delivery attempt for a submission, newest first
+ * @param {number} submissionId
+ * @returns {Promise<Object[]>}
+ */
+async function listDeliveries(submissionId) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("submission_id", sql.Int, submissionId)
+    .query(
+      "SELECT * FROM deliveries WHERE submission_id = @submission_id ORDER BY created_at DESC, id DESC"
+    );
+  return result.recordset;
+}
+
+module.exports = {
+  deliverCertificate,
+  updateDeliveryStatus,
+  listDeliveries,
+};
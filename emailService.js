@@ -1,10 +1,27 @@
 const nodemailer = require("nodemailer");
+const { formatCertificateId, getVerificationUrl } = require("./certificateId");
+const { escapeHtml, interpolate } = require("./templateUtils");
 require("dotenv").config();
 
+// Set with setMailTransport, e.g. to capture mail in tests
+let mailTransport = null;
+
+/**
+ * Send mail through another transport instead of SMTP
+ * @param {Object|null} transport - Implements sendMail(message) like a
+ *   nodemailer transporter
+ */
+function setMailTransport(transport) {
+  mailTransport = transport;
+}
+
 /**
  * Create email transporter
  */
 function createTransporter() {
+  if (mailTransport) {
+    return mailTransport;
+  }
   return nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: parseInt(process.env.SMTP_PORT),
@@ -19,17 +36,31 @@ function createTransporter() {
 /**
  * Send certificate via email
  * @param {Object} participant - The participant data
- * @param {string} certificatePath - Path to the certificate PDF
+ * @param {Buffer} certificate - The certificate PDF
+ * @param {Object} event - Event row supplying the email wording
  * @returns {Promise<Object>} - Email send result
  */
-async function sendCertificateEmail(participant, certificatePath) {
+async function sendCertificateEmail(participant, certificate, event) {
   try {
     const transporter = createTransporter();
+    const certificateId = formatCertificateId(participant.id, event);
+    const verificationUrl = getVerificationUrl(certificateId);
+    const context = {
+      participant,
+      event,
+      certificate: { id: certificateId, verifyUrl: verificationUrl },
+    };
+    const name = escapeHtml(participant.name);
+    const eventName = escapeHtml(event.name);
 
     const mailOptions = {
-      from: `"Yogi Vemana Jayanti" <${process.env.SMTP_USER}>`,
+      from: `"${event.sender_name || event.name}" <${process.env.SMTP_USER}>`,
       to: participant.email,
-      subject: "🎓 Your Yogi Vemana Jayanti Participation Certificate",
+      subject: interpolate(
+        event.email_subject ||
+          "🎓 Your {{event.name}} Participation Certificate",
+        context
+      ),
       html: `
 <!DOCTYPE html>
 <html>
@@ -98,38 +129,23 @@ async function sendCertificateEmail(participant, certificatePath) {
 
 <body>
   <div class="header">
-    <h1>🌼 Vemana Vignana Yatra 🌼</h1>
-    <p>Celebrating Knowledge, Culture, and Values</p>
-    <p>An initiative by the Government of Andhra Pradesh<br>
-       On the occasion of Vemana Jayanti</p>
+    <h1>🌼 ${eventName} 🌼</h1>
+    <p>${escapeHtml(event.tagline || "")}</p>
+    <p>${escapeHtml(event.organiser_line || "")}<br>
+       ${escapeHtml(event.occasion_line || "")}</p>
   </div>
   
   <div class="content">
-    <p class="greeting">Dear ${participant.name},</p>
+    <p class="greeting">Dear ${name},</p>
 
     <p>Namaste 🙏</p>
 
-    <p>
-      We are pleased to present your <strong>Certificate of Participation</strong>
-      for the <strong>Vemana Vignana Yatra</strong>, organized as part of
-      <strong>Vemana Jayanti</strong> celebrations.
-    </p>
-
-    <p>
-      This initiative was conducted to honor the timeless wisdom of
-      Saint-Poet <strong>Yogi Vemana</strong> and to celebrate Kadiri’s rich
-      heritage through learning, dialogue, and innovation.
-    </p>
-
-    <div class="quote">
-      “Knowledge is the supreme wealth among all treasures.”<br>
-      <small>— Yogi Vemana</small>
-    </div>
-
-    <p>
-      Your participation and engagement contributed meaningfully to the
-      success of this knowledge-driven journey.
-    </p>
+    ${
+      interpolate(event.email_intro_html, context, { html: true }) ||
+      `<p>
+      Thank you for taking part in <strong>${eventName}</strong>.
+    </p>`
+    }
 
     <p>
       Please find your certificate attached with this email. You may
@@ -138,27 +154,26 @@ async function sendCertificateEmail(participant, certificatePath) {
 
     <p><strong>Participation Details:</strong></p>
     <ul>
-      <li><strong>Event:</strong> Vemana Vignana Yatra</li>
-      <li><strong>Participant:</strong> ${participant.name}</li>
-      <li><strong>Certificate ID:</strong> YV-${participant.id}-2026</li>
-      <li><strong>Date of Issue:</strong> ${new Date().toLocaleDateString(
-        "en-IN",
-        {
-          day: "numeric",
-          month: "long",
-          year: "numeric",
-        }
-      )}</li>
+      <li><strong>Event:</strong> ${eventName}</li>
+      <li><strong>Participant:</strong> ${name}</li>
+      <li><strong>Certificate ID:</strong> ${certificateId}</li>
+      <li><strong>Verify online:</strong> <a href="${verificationUrl}">${verificationUrl}</a></li>
+      <li><strong>Date of Issue:</strong> ${new Date(
+        participant.certificate_issued_at || Date.now()
+      ).toLocaleDateString("en-IN", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })}</li>
     </ul>
 
-    <p>
-      May the teachings of Yogi Vemana continue to inspire rational thought,
-      social harmony, and lifelong learning.
-    </p>
+    ${interpolate(event.email_closing_html, context, { html: true })}
 
     <p>
       With regards,<br>
-      <strong>Vemana Vignana Yatra Team</strong><br>
+      <strong>${escapeHtml(
+        event.team_name || `${event.name} Team`
+      )}</strong><br>
     </p>
 
     <div class="footer">
@@ -169,11 +184,11 @@ async function sendCertificateEmail(participant, certificatePath) {
 </html>  `,
       attachments: [
         {
-          filename: `YogiVemanaJayanti_Certificate_${participant.name.replace(
-            /\s+/g,
-            "_"
-          )}.pdf`,
-          path: certificatePath,
+          filename: `${
+            event.file_name_prefix || "Certificate"
+          }_Certificate_${participant.name.replace(/\s+/g, "_")}.pdf`,
+          content: certificate,
+          contentType: "application/pdf",
         },
       ],
     };
@@ -195,7 +210,9 @@ async function sendTestEmail() {
     const transporter = createTransporter();
 
     const mailOptions = {
-      from: `"Yogi Vemana Jayanti" <${process.env.SMTP_USER}>`,
+      from: `"${process.env.SMTP_FROM_NAME || "Certificate System"}" <${
+        process.env.SMTP_USER
+      }>`,
       to: process.env.SMTP_USER,
       subject: "Test Email - SMTP Configuration",
       text: "This is a test email to verify SMTP configuration.",
@@ -213,4 +230,5 @@ async function sendTestEmail() {
 module.exports = {
   sendCertificateEmail,
   sendTestEmail,
+  setMailTransport,
 };
@@ -0,0 +1,381 @@
+const { getConnection, sql } = require("./db");
+const submissions = require("./submissionsRepository");
+const { deleteTemplatesForEvent } = require("./templateService");
+const { string, boolean, oneOf, validate } = require("./validation");
+require("dotenv").config();
+
+const DEFAULT_EVENT_SLUG =
+  process.env.DEFAULT_EVENT_SLUG || "vemana-vignana-yatra-2026";
+
+/**
+ * Editable event columns and their SQL types
+ */
+const EVENT_FIELDS = {
+  slug: sql.NVarChar(100),
+  name: sql.NVarChar(255),
+  brand: sql.NVarChar(255),
+  tagline: sql.NVarChar(500),
+  organiser_line: sql.NVarChar(500),
+  occasion_line: sql.NVarChar(500),
+  hashtags: sql.NVarChar(500),
+  certificate_id_prefix: sql.NVarChar(20),
+  certificate_id_suffix: sql.NVarChar(20),
+  sender_name: sql.NVarChar(255),
+  team_name: sql.NVarChar(255),
+  email_subject: sql.NVarChar(255),
+  email_intro_html: sql.NVarChar(sql.MAX),
+  email_closing_html: sql.NVarChar(sql.MAX),
+  sms_template: sql.NVarChar(sql.MAX),
+  file_name_prefix: sql.NVarChar(100),
+  duplicate_check: sql.NVarChar(20),
+  is_active: sql.Bit,
+};
+
+/**
+ * How a new registration is matched against earlier ones for the same event
+ * off: never; email / phone: by that contact; email_or_phone: by either
+ */
+const DUPLICATE_CHECKS = ["off", "email", "phone", "email_or_phone"];
+
+/**
+ * The original Yogi Vemana Jayanti 2026 settings, seeded on first start
+ */
+const DEFAULT_EVENT = {
+  slug: DEFAULT_EVENT_SLUG,
+  name: "Vemana Vignana Yatra",
+  brand: "Kadiri Tourism",
+  tagline:
+    "Celebrating Kadiri's heritage through learning, dialogue, and innovation.",
+  organiser_line: "An initiative organized by the Government of Andhra Pradesh",
+  occasion_line:
+    "on the occasion of Vemana Jayanti to promote knowledge, culture, and values.",
+  hashtags:
+    "#STEM   #SkillNext   #STEMCulture   #KnowledgeContinuity   #KadiriTourism",
+  certificate_id_prefix: "YV",
+  certificate_id_suffix: "2026",
+  sender_name: "Yogi Vemana Jayanti",
+  team_name: "Vemana Vignana Yatra Team",
+  email_subject: "🎓 Your Yogi Vemana Jayanti Participation Certificate",
+  email_intro_html: `<p>
+      We are pleased to present your <strong>Certificate of Participation</strong>
+      for the <strong>Vemana Vignana Yatra</strong>, organized as part of
+      <strong>Vemana Jayanti</strong> celebrations.
+    </p>
+
+    <p>
+      This initiative was conducted to honor the timeless wisdom of
+      Saint-Poet <strong>Yogi Vemana</strong> and to celebrate Kadiri’s rich
+      heritage through learning, dialogue, and innovation.
+    </p>
+
+    <div class="quote">
+      “Knowledge is the supreme wealth among all treasures.”<br>
+      <small>— Yogi Vemana</small>
+    </div>
+
+    <p>
+      Your participation and engagement contributed meaningfully to the
+      success of this knowledge-driven journey.
+    </p>`,
+  email_closing_html: `<p>
+      May the teachings of Yogi Vemana continue to inspire rational thought,
+      social harmony, and lifelong learning.
+    </p>`,
+  sms_template: `Namaste {{participant.name}}! 🙏
+
+Your Certificate of Participation for {{event.name}} is now ready.
+
+View & download your certificate:
+{{certificate.url}}
+
+Certificate ID: {{certificate.id}}
+
+May the wisdom of Yogi Vemana inspire lifelong learning.
+
+– {{event.team_name}}`,
+  file_name_prefix: "YogiVemanaJayanti",
+  is_active: true,
+};
+
+/**
+ * Bind the known event fields present in `data` to a request
+ * @returns {string[]} - Names of the bound fields
+ */
+function bindEventFields(request, data) {
+  const fields = Object.keys(EVENT_FIELDS).filter(
+    (field) => data[field] !== undefined
+  );
+
+  fields.forEach((field) => {
+    request.input(field, EVENT_FIELDS[field], data[field]);
+  });
+
+  return fields;
+}
+
+/**
+ * List events, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @returns {Promise<Object[]>}
+ */
+async function listEvents({ includeInactive = false } = {}) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .query(
+      `SELECT * FROM events ${
+        includeInactive ? "" : "WHERE is_active = 1"
+      } ORDER BY created_at DESC`
+    );
+  return result.recordset;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getEventById(id) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("id", sql.Int, id)
+    .query("SELECT * FROM events WHERE id = @id");
+  return result.recordset[0] || null;
+}
+
+/**
+ * @param {string} slug
+ * @returns {Promise<Object|null>}
+ */
+async function getEventBySlug(slug) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("slug", sql.NVarChar, slug)
+    .query("SELECT * FROM events WHERE slug = @slug");
+  return result.recordset[0] || null;
+}
+
+/**
+ * The event used when a submission or request does not name one
+ * @returns {Promise<Object>}
+ */
+async function getDefaultEvent() {
+  const event = await getEventBySlug(DEFAULT_EVENT_SLUG);
+  if (!event) {
+    throw new Error(`Default event "${DEFAULT_EVENT_SLUG}" not found`);
+  }
+  return event;
+}
+
+/**
+ * The event a submission belongs to (rows from before multi-event
+ * support fall back to the default event)
+ * @param {Object} participant - Submission row
+ * @returns {Promise<Object>}
+ */
+async function getEventForSubmission(participant) {
+  if (participant.event_id) {
+    const event = await getEventById(participant.event_id);
+    if (event) {
+      return event;
+    }
+  }
+  return getDefaultEvent();
+}
+
+/**
+ * @param {Object} data - Event fields (see EVENT_FIELDS)
+ * @returns {Promise<Object>} - The created event
+ */
+async function createEvent(data) {
+  const pool = await getConnection();
+  const request = pool.request();
+  const fields = bindEventFields(request, data);
+
+  const result = await request.query(`
+    INSERT INTO events (${fields.join(", ")})
+    OUTPUT INSERTED.*
+    VALUES (${fields.map((field) => `@${field}`).join(", ")})
+  `);
+  return result.recordset[0];
+}
+
+// Part of every certificate ID or signature; verification rebuilds them
+// from the current event, so they are fixed once the event has submissions
+const ISSUED_EVENT_FIELDS = [
+  "name",
+  "certificate_id_prefix",
+  "certificate_id_suffix",
+];
+
+/**
+ * Fields of an update that would invalidate the event's issued
+ * certificate IDs or signatures
+ * @param {number} id
+ * @param {Object} data - Fields to change (see EVENT_FIELDS)
+ * @returns {Promise<string[]>} - Empty when the update is allowed
+ */
+async function getLockedEventChanges(id, data) {
+  const event = await getEventById(id);
+  if (!event) {
+    return [];
+  }
+  const changed = ISSUED_EVENT_FIELDS.filter(
+    (field) =>
+      data[field] !== undefined && (data[field] || null) !== event[field]
+  );
+  if (
+    changed.length === 0 ||
+    (await submissions.countByEvent(event.id)) === 0
+  ) {
+    return [];
+  }
+  return changed;
+}
+
+/**
+ * @param {number} id
+ * @param {Object} data - Fields to change (see EVENT_FIELDS)
+ * @returns {Promise<Object|null>} - The updated event, or null if not found
+ */
+async function updateEvent(id, data) {
+  const pool = await getConnection();
+  const request = pool.request().input("id", sql.Int, id);
+  const fields = bindEventFields(request, data);
+
+  if (fields.length === 0) {
+    return getEventById(id);
+  }
+
+  const result = await request.query(`
+    UPDATE events
+    SET ${fields.map((field) => `${field} = @${field}`).join(", ")},
+        updated_at = GETDATE()
+    OUTPUT INSERTED.*
+    WHERE id = @id
+  `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Delete an event that has no submissions or job batches, together with
+ * its certificate templates
+ * @param {number} id
+ * @returns {Promise<"deleted"|"not_found"|"in_use">}
+ */
+async function deleteEvent(id) {
+  const pool = await getConnection();
+  const transaction = pool.transaction();
+  await transaction.begin();
+
+  try {
+    const batches = await transaction
+      .request()
+      .input("id", sql.Int, id)
+      .query("SELECT COUNT(*) AS count FROM job_batches WHERE event_id = @id");
+    if (
+      (await submissions.countByEvent(id, { transaction })) > 0 ||
+      batches.recordset[0].count > 0
+    ) {
+      await transaction.rollback();
+      return "in_use";
+    }
+
+    await deleteTemplatesForEvent(id, { transaction });
+    const result = await transaction
+      .request()
+      .input("id", sql.Int, id)
+      .query("DELETE FROM events WHERE id = @id");
+
+    await transaction.commit();
+    return result.rowsAffected[0] > 0 ? "deleted" : "not_found";
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Seed the default event and attach older submissions to it
+ */
+async function ensureDefaultEvent() {
+  try {
+    let event = await getEventBySlug(DEFAULT_EVENT_SLUG);
+    if (!event) {
+      event = await createEvent(DEFAULT_EVENT);
+      console.log(`✓ Default event "${DEFAULT_EVENT_SLUG}" created`);
+    }
+
+    await submissions.assignOrphansToEvent(event.id);
+
+    return event;
+  } catch (err) {
+    console.error("Error seeding default event:", err);
+    throw err;
+  }
+}
+
+const CERTIFICATE_ID_PART = {
+  maxLength: 20,
+  pattern: /^[A-Z0-9]+$/,
+  patternMessage: "may only contain uppercase letters and digits",
+};
+
+/**
+ * Rules for each editable field (see EVENT_FIELDS)
+ */
+const EVENT_SCHEMA = {
+  slug: string({
+    required: true,
+    maxLength: 100,
+    pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    patternMessage: "may only contain lowercase letters, digits and dashes",
+  }),
+  name: string({ required: true, maxLength: 255 }),
+  brand: string({ maxLength: 255 }),
+  tagline: string({ maxLength: 500 }),
+  organiser_line: string({ maxLength: 500 }),
+  occasion_line: string({ maxLength: 500 }),
+  hashtags: string({ maxLength: 500 }),
+  certificate_id_prefix: string({ required: true, ...CERTIFICATE_ID_PART }),
+  certificate_id_suffix: string(CERTIFICATE_ID_PART),
+  sender_name: string({ maxLength: 255 }),
+  team_name: string({ maxLength: 255 }),
+  email_subject: string({ maxLength: 255 }),
+  email_intro_html: string({ maxLength: 20000, multiline: true }),
+  email_closing_html: string({ maxLength: 20000, multiline: true }),
+  sms_template: string({ maxLength: 1600, multiline: true }),
+  file_name_prefix: string({ maxLength: 100 }),
+  duplicate_check: oneOf(DUPLICATE_CHECKS),
+  is_active: boolean(),
+};
+
+/**
+ * Check and normalise an event payload
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields
+ * @returns {{value: Object, errors: {field: string, message: string}[]}}
+ */
+function validateEvent(data, { partial = false } = {}) {
+  return validate(EVENT_SCHEMA, data, { partial });
+}
+
+module.exports = {
+  DEFAULT_EVENT_SLUG,
+  EVENT_FIELDS,
+  DUPLICATE_CHECKS,
+  listEvents,
+  getEventById,
+  getEventBySlug,
+  getDefaultEvent,
+  getEventForSubmission,
+  createEvent,
+  getLockedEventChanges,
+  updateEvent,
+  deleteEvent,
+  ensureDefaultEvent,
+  validateEvent,
+};
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+// Bundled fonts live in fonts/; FONTS_DIR points somewhere else
+const FONTS_DIR = process.env.FONTS_DIR
+  ? path.resolve(process.env.FONTS_DIR)
+  : path.join(__dirname, "fonts");
+
+/**
+ * Unicode blocks of the scripts we can pick a font for
+ */
+const SCRIPT_RANGES = {
+  devanagari: [0x0900, 0x097f],
+  bengali: [0x0980, 0x09ff],
+  gurmukhi: [0x0a00, 0x0a7f],
+  gujarati: [0x0a80, 0x0aff],
+  oriya: [0x0b00, 0x0b7f],
+  tamil: [0x0b80, 0x0bff],
+  telugu: [0x0c00, 0x0c7f],
+  kannada: [0x0c80, 0x0cff],
+  malayalam: [0x0d00, 0x0d7f],
+};
+
+/**
+ * Characters the standard PDF fonts (WinAnsi encoding) can draw besides
+ * ASCII and Latin-1: the Windows-1252 additions in 0x80-0x9F
+ */
+const WIN_ANSI_EXTRAS = new Set("€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ");
+
+/**
+ * Bundled fonts per script; "unicode" draws text the standard fonts cannot
+ * encode that is in none of SCRIPT_RANGES (Latin Extended, Greek,
+ * Cyrillic, ...). fonts.json in FONTS_DIR may add scripts or replace
+ * these, e.g. { "kannada": { "regular": "...ttf", "bold": "...ttf" } }
+ */
+const BUNDLED_FONTS = {
+  unicode: {
+    regular: "NotoSans-Regular.ttf",
+    bold: "NotoSans-Bold.ttf",
+  },
+  telugu: {
+    regular: "AnekTelugu-Regular.ttf",
+    bold: "AnekTelugu-Bold.ttf",
+  },
+  devanagari: {
+    regular: "NotoSansDevanagari-Regular.ttf",
+    bold: "NotoSansDevanagari-Bold.ttf",
+  },
+};
+
+let configuredFonts;
+
+/**
+ * Absolute path of a font file named relative to FONTS_DIR
+ * @param {string} file - e.g. "NotoSansKannada-Regular.ttf"
+ * @returns {string|null} - null if it names nothing inside FONTS_DIR or
+ *   does not exist
+ */
+function resolveFontFile(file) {
+  if (typeof file !== "string" || file === "") {
+    return null;
+  }
+  const resolved = path.resolve(FONTS_DIR, file);
+  const relative = path.relative(FONTS_DIR, resolved);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    console.warn(`✗ Ignoring font outside ${FONTS_DIR}: ${file}`);
+    return null;
+  }
+  return fs.existsSync(resolved) ? resolved : null;
+}
+
+/**
+ * Fonts per script, merged from the bundled set and fonts.json
+ * @returns {Object} - { script: { regular, bold } } with absolute paths
+ */
+function getConfiguredFonts() {
+  if (configuredFonts) {
+    return configuredFonts;
+  }
+
+  let overrides = {};
+  const configPath = path.join(FONTS_DIR, "fonts.json");
+  if (fs.existsSync(configPath)) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (error) {
+      console.error(`✗ Could not read ${configPath}:`, error.message);
+    }
+  }
+
+  configuredFonts = {};
+  Object.entries({ ...BUNDLED_FONTS, ...overrides }).forEach(
+    ([script, files]) => {
+      const resolved = {};
+      ["regular", "bold"].forEach((weight) => {
+        const file = files[weight] && resolveFontFile(files[weight]);
+        if (file) {
+          resolved[weight] = file;
+        }
+      });
+
+      if (resolved.regular || resolved.bold) {
+        configuredFonts[script] = resolved;
+      } else {
+        console.warn(`✗ No font files found for script "${script}"`);
+      }
+    }
+  );
+
+  return configuredFonts;
+}
+
+/**
+ * Whether a standard PDF font can draw a character
+ * @param {string} char - One code point
+ * @returns {boolean}
+ */
+function isWinAnsi(char) {
+  const codePoint = char.codePointAt(0);
+  return (
+    codePoint < 0x80 ||
+    (codePoint >= 0xa0 && codePoint <= 0xff) ||
+    WIN_ANSI_EXTRAS.has(char)
+  );
+}
+
+/**
+ * The script of the first character in a piece of text that the standard
+ * PDF fonts cannot draw
+ * @param {string} text
+ * @returns {string} - Script name from SCRIPT_RANGES, "unicode" for any
+ *   other character outside WinAnsi, or "latin" if there is none
+ */
+function detectScript(text) {
+  for (const char of String(text)) {
+    if (isWinAnsi(char)) {
+      continue;
+    }
+    const codePoint = char.codePointAt(0);
+    for (const [script, [start, end]] of Object.entries(SCRIPT_RANGES)) {
+      if (codePoint >= start && codePoint <= end) {
+        return script;
+      }
+    }
+    return "unicode";
+  }
+  return "latin";
+}
+
+/**
+ * Pick the font to draw a text block with
+ * Text the standard PDF fonts can encode keeps the requested font; other
+ * text switches to the configured font of the same weight for its script
+ * (Noto Sans for "unicode"), so PDFKit can encode and shape it
+ * @param {string} text - Text to be drawn
+ * @param {string} requestedFont - Font named by the template, e.g. "Helvetica-Bold"
+ * @param {Object} [templateFonts] - Per-template overrides, same shape as
+ *   fonts.json; files outside FONTS_DIR are ignored
+ * @returns {string} - Standard font name or path to a TTF/OTF file
+ */
+function selectFont(text, requestedFont, templateFonts = {}) {
+  const script = detectScript(text);
+  if (script === "latin") {
+    return requestedFont;
+  }
+
+  const weight = /bold|black|heavy/i.test(requestedFont) ? "bold" : "regular";
+  const override = templateFonts[script];
+  const file =
+    override && override[weight] && resolveFontFile(override[weight]);
+  if (file) {
+    return file;
+  }
+
+  const fonts = getConfiguredFonts()[script];
+  if (!fonts) {
+    console.warn(`✗ No font configured for ${script} text`);
+    return requestedFont;
+  }
+  return fonts[weight] || fonts.regular || fonts.bold;
+}
+
+module.exports = {
+  detectScript,
+  selectFont,
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const { getConnection, sql } = require("./db");
+require("dotenv").config();
+
+// How long a key is remembered and its response replayed
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || "24");
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+// SQL Server errors for a duplicate primary key / unique index entry
+const DUPLICATE_KEY_ERRORS = [2627, 2601];
+
+/**
+ * Read and check the Idempotency-Key header
+ * @param {Object} req - Express request
+ * @returns {{key: string|null, errors: Object[]}}
+ */
+function parseIdempotencyKey(req) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return { key: null, errors: [] };
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return {
+      key: null,
+      errors: [
+        {
+          field: "Idempotency-Key",
+          message:
+            "Idempotency-Key must be 1 to 255 printable characters without spaces",
+        },
+      ],
+    };
+  }
+  return { key, errors: [] };
+}
+
+/**
+ * Fingerprint of a request body, to tell a retry from a different request
+ * that reuses a key
+ * @param {Object} body
+ * @returns {string}
+ */
+function hashRequest(body) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+}
+
+/**
+ * The stored outcome of an earlier request with this key
+ * @param {string} scope - e.g. "submit"
+ * @param {string} key
+ * @returns {Promise<Object|null>} - { requestHash, statusCode, body }; body
+ *   is null while the first request is still running
+ */
+async function getStoredResponse(scope, key) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("scope", sql.NVarChar(50), scope)
+    .input("key", sql.NVarChar(255), key)
+    .input("ttl", sql.Int, TTL_HOURS).query(`
+      SELECT request_hash, status_code, response FROM idempotency_keys
+      WHERE scope = @scope AND idempotency_key = @key
+        AND created_at >= DATEADD(HOUR, -@ttl, GETDATE())
+    `);
+
+  const row = result.recordset[0];
+  if (!row) {
+    return null;
+  }
+  return {
+    requestHash: row.request_hash,
+    statusCode: row.status_code,
+    body: row.response ? JSON.parse(row.response) : null,
+  };
+}
+
+/**
+ * Claim a key inside the transaction that does the work
+ * A second request with the same key waits here until the first commits
+ * (then gets false) or rolls back (then takes the key over).
+ * @param {Object} transaction - mssql transaction
+ * @param {string} scope
+ * @param {string} key
+ * @param {string} requestHash - From hashRequest
+ * @returns {Promise<boolean>} - false if another request already holds it
+ */
+async function reserveIdempotencyKey(transaction, scope, key, requestHash) {
+  try {
+    await transaction
+      .request()
+      .input("scope", sql.NVarChar(50), scope)
+      .input("key", sql.NVarChar(255), key)
+      .input("request_hash", sql.NVarChar(64), requestHash)
+      .input("ttl", sql.Int, TTL_HOURS).query(`
+        DELETE FROM idempotency_keys
+        WHERE created_at < DATEADD(HOUR, -@ttl, GETDATE());
+
+        INSERT INTO idempotency_keys (scope, idempotency_key, request_hash)
+        VALUES (@scope, @key, @request_hash);
+      `);
+    return true;
+  } catch (error) {
+    if (DUPLICATE_KEY_ERRORS.includes(error.number)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remember the response for a reserved key, in the same transaction
+ * @param {Object} transaction
+ * @param {string} scope
+ * @param {string} key
+ * @param {number} statusCode
+ * @param {Object} body
+ */
+async function saveIdempotentResponse(
+  transaction,
+  scope,
+  key,
+  statusCode,
+  body
+) {
+  await transaction
+    .request()
+    .input("scope", sql.NVarChar(50), scope)
+    .input("key", sql.NVarChar(255), key)
+    .input("status_code", sql.Int, statusCode)
+    .input("response", sql.NVarChar(sql.MAX), JSON.stringify(body)).query(`
+      UPDATE idempotency_keys
+      SET status_code = @status_code, response = @response
+      WHERE scope = @scope AND idempotency_key = @key
+    `);
+}
+
+/**
+ * Answer a repeated request from what was stored for its key
+ * @param {Object} res - Express response
+ * @param {Object|null} stored - From getStoredResponse
+ * @param {string} requestHash - Hash of the repeated request
+ */
+function replayResponse(res, stored, requestHash) {
+  if (!stored || !stored.body) {
+    return res.status(409).json({
+      error: "A request with this Idempotency-Key is still being processed",
+    });
+  }
+  if (stored.requestHash !== requestHash) {
+    return res.status(422).json({
+      error: "This Idempotency-Key was already used for a different request",
+    });
+  }
+  res.setHeader("Idempotent-Replayed", "true");
+  return res.status(stored.statusCode).json(stored.body);
+}
+
+module.exports = {
+  parseIdempotencyKey,
+  hashRequest,
+  getStoredResponse,
+  reserveIdempotencyKey,
+  saveIdempotentResponse,
+  replayResponse,
+};
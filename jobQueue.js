@@ -0,0 +1,511 @@
+const os = require("os");
+const { getConnection, sql } = require("./db");
+require("dotenv").config();
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || "5000");
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || "5");
+const RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS || "30");
+const RETRY_MAX_SECONDS = 60 * 60;
+// A running job whose worker died is picked up again once its lease expires
+const LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS || "300");
+// Jobs this process runs side by side
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || "4");
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const jobTypes = {};
+
+let pollTimer = null;
+// The drain under way, if any
+let activeDrain = null;
+let wakeRequested = false;
+// Claims are made one at a time so batch limits hold within a process
+let claimQueue = Promise.resolve();
+
+/**
+ * Register the steps a job type runs through
+ * Each step's run(payload, state, job) resolves to an object merged into the
+ * job state; a thrown error retries that step alone with exponential backoff.
+ * @param {string} type - e.g. "certificate"
+ * @param {Object} definition
+ * @param {{name: string, run: Function}[]} definition.steps - Run in order
+ * @param {Function} [definition.result] - Public view of the job state
+ * @param {Function} [definition.onFailed] - Cleanup once retries are exhausted
+ */
+function defineJobType(type, { steps, result, onFailed }) {
+  jobTypes[type] = { steps, result, onFailed };
+}
+
+/**
+ * Turn a jobs row into a job object with parsed JSON columns
+ */
+function toJob(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    payload: row.payload ? JSON.parse(row.payload) : {},
+    state: row.state ? JSON.parse(row.state) : {},
+    steps: JSON.parse(row.steps),
+  };
+}
+
+/**
+ * The API shape of a job, as reported by GET /api/jobs/:id
+ * @param {Object} job
+ * @returns {Object}
+ */
+function formatJob(job) {
+  const definition = jobTypes[job.type];
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    submissionId: job.submission_id,
+    currentStep: job.current_step,
+    steps: job.steps,
+    lastError: job.last_error,
+    nextRunAt: job.status === "queued" ? job.run_at : null,
+    result: definition && definition.result ? definition.result(job.state) : {},
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at,
+  };
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - A type registered with defineJobType
+ * @param {Object} payload - Input for the job's steps
+ * @param {Object} [options]
+ * @param {number} [options.submissionId] - Submission the job works on
+ * @param {number} [options.batchId] - Batch the job belongs to
+ * @param {Object} [options.transaction] - mssql transaction to enqueue in;
+ *   call wakeJobWorker() after committing it
+ * @returns {Promise<Object>} - The queued job
+ */
+async function enqueueJob(
+  type,
+  payload = {},
+  { submissionId = null, batchId = null, transaction } = {}
+) {
+  const definition = jobTypes[type];
+  if (!definition) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const steps = definition.steps.map((step) => ({
+    name: step.name,
+    status: "pending",
+    attempts: 0,
+  }));
+
+  const request = transaction
+    ? transaction.request()
+    : (await getConnection()).request();
+
+  const result = await request
+    .input("type", sql.NVarChar(50), type)
+    .input("submission_id", sql.Int, submissionId)
+    .input("batch_id", sql.Int, batchId)
+    .input("payload", sql.NVarChar(sql.MAX), JSON.stringify(payload))
+    .input("steps", sql.NVarChar(sql.MAX), JSON.stringify(steps))
+    .input("current_step", sql.NVarChar(50), steps[0].name).query(`
+      INSERT INTO jobs (type, submission_id, batch_id, payload, state, steps, current_step)
+      OUTPUT INSERTED.*
+      VALUES (@type, @submission_id, @batch_id, @payload, '{}', @steps, @current_step)
+    `);
+
+  if (!transaction) {
+    wakeJobWorker();
+  }
+  return toJob(result.recordset[0]);
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("id", sql.Int, id)
+    .query("SELECT * FROM jobs WHERE id = @id");
+  return toJob(result.recordset[0]);
+}
+
+/**
+ * The most recent job for a submission
+ * @param {number} submissionId
+ * @param {Object} [transaction] - mssql transaction to read in
+ * @returns {Promise<Object|null>}
+ */
+async function getLatestJob(submissionId, transaction) {
+  const request = transaction
+    ? transaction.request()
+    : (await getConnection()).request();
+  const result = await request
+    .input("submission_id", sql.Int, submissionId)
+    .query(
+      "SELECT TOP (1) * FROM jobs WHERE submission_id = @submission_id ORDER BY id DESC"
+    );
+  return toJob(result.recordset[0]);
+}
+
+/**
+ * Group jobs queued together (an import, a bulk operation) so their
+ * progress can be followed as one
+ * @param {string} type - e.g. "import"
+ * @param {Object} [details]
+ * @param {number} [details.eventId]
+ * @param {number} [details.createdBy] - Admin user ID
+ * @param {number} [details.total] - Jobs expected in the batch
+ * @param {number} [details.maxConcurrency] - Most of the batch's jobs
+ *   allowed to run at once; unlimited when omitted
+ * @param {Object} [details.summary] - Report kept with the batch
+ * @returns {Promise<Object>} - The batch row
+ */
+async function createBatch(
+  type,
+  {
+    eventId = null,
+    createdBy = null,
+    total = 0,
+    maxConcurrency = null,
+    summary = {},
+  } = {}
+) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("type", sql.NVarChar(50), type)
+    .input("event_id", sql.Int, eventId)
+    .input("created_by", sql.Int, createdBy)
+    .input("total", sql.Int, total)
+    .input("max_concurrency", sql.Int, maxConcurrency)
+    .input("summary", sql.NVarChar(sql.MAX), JSON.stringify(summary)).query(`
+      INSERT INTO job_batches (type, event_id, created_by, total, max_concurrency, summary)
+      OUTPUT INSERTED.*
+      VALUES (@type, @event_id, @created_by, @total, @max_concurrency, @summary)
+    `);
+  return result.recordset[0];
+}
+
+/**
+ * Mark a batch that stopped before all its jobs were queued
+ * @param {number} id
+ * @param {Object} details
+ * @param {number} details.total - Jobs actually queued
+ * @param {string} details.error
+ * @returns {Promise<void>}
+ */
+async function failBatch(id, { total, error }) {
+  const pool = await getConnection();
+  await pool
+    .request()
+    .input("id", sql.Int, id)
+    .input("total", sql.Int, total)
+    .input("error", sql.NVarChar(sql.MAX), error)
+    .query(
+      "UPDATE job_batches SET total = @total, error = @error, failed_at = GETDATE() WHERE id = @id"
+    );
+}
+
+/**
+ * A batch with its jobs counted by status, as reported by
+ * GET /api/batches/:id
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getBatchProgress(id) {
+  const pool = await getConnection();
+  const result = await pool.request().input("id", sql.Int, id).query(`
+      SELECT * FROM job_batches WHERE id = @id;
+      SELECT status, COUNT(*) AS count FROM jobs WHERE batch_id = @id GROUP BY status;
+      SELECT TOP (100) id, submission_id, current_step, last_error
+      FROM jobs WHERE batch_id = @id AND status = 'failed' ORDER BY id;
+    `);
+
+  const batch = result.recordsets[0][0];
+  if (!batch) {
+    return null;
+  }
+
+  const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+  result.recordsets[1].forEach(({ status, count }) => {
+    counts[status] = count;
+  });
+  const finished = counts.completed + counts.failed;
+
+  return {
+    id: batch.id,
+    type: batch.type,
+    eventId: batch.event_id,
+    createdBy: batch.created_by,
+    status: batch.failed_at
+      ? "failed"
+      : finished < batch.total
+      ? "running"
+      : "completed",
+    total: batch.total,
+    maxConcurrency: batch.max_concurrency,
+    counts,
+    percent: batch.total ? Math.round((finished / batch.total) * 100) : 100,
+    failures: result.recordsets[2].map((job) => ({
+      jobId: job.id,
+      submissionId: job.submission_id,
+      step: job.current_step,
+      error: job.last_error,
+    })),
+    summary: batch.summary ? JSON.parse(batch.summary) : {},
+    error: batch.error || null,
+    createdAt: batch.created_at,
+  };
+}
+
+/**
+ * Seconds to wait before the next attempt: 30s, 60s, 120s, ... up to an hour
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Lock the next due job for this worker
+ * READPAST lets several server instances poll the same table. Jobs of a
+ * batch that already has max_concurrency jobs running are left for later.
+ */
+async function claimNextJob(pool) {
+  const result = await pool
+    .request()
+    .input("worker", sql.NVarChar(100), WORKER_ID)
+    .input("lease", sql.Int, LEASE_SECONDS).query(`
+      WITH next_job AS (
+        SELECT TOP (1) * FROM jobs WITH (ROWLOCK, UPDLOCK, READPAST)
+        WHERE ((status = 'queued' AND run_at <= GETDATE())
+           OR (status = 'running' AND locked_until < GETDATE()))
+          AND NOT EXISTS (
+            SELECT 1 FROM job_batches b
+            WHERE b.id = jobs.batch_id
+              AND b.max_concurrency IS NOT NULL
+              AND b.max_concurrency <= (
+                SELECT COUNT(*) FROM jobs r
+                WHERE r.batch_id = b.id
+                  AND r.status = 'running'
+                  AND r.locked_until >= GETDATE()
+              )
+          )
+        ORDER BY run_at
+      )
+      UPDATE next_job
+      SET status = 'running',
+          locked_by = @worker,
+          locked_until = DATEADD(SECOND, @lease, GETDATE()),
+          updated_at = GETDATE()
+      OUTPUT INSERTED.*
+    `);
+  return toJob(result.recordset[0]);
+}
+
+function claimNext(pool) {
+  const claim = claimQueue.then(() => claimNextJob(pool));
+  claimQueue = claim.catch(() => {});
+  return claim;
+}
+
+/**
+ * Persist a job's progress
+ * @param {string} status - queued | running | completed | failed
+ * @param {number} [delaySeconds=0] - When a queued job may run again
+ */
+async function saveJob(pool, job, status, delaySeconds = 0) {
+  job.status = status;
+  await pool
+    .request()
+    .input("id", sql.Int, job.id)
+    .input("state", sql.NVarChar(sql.MAX), JSON.stringify(job.state))
+    .input("steps", sql.NVarChar(sql.MAX), JSON.stringify(job.steps))
+    .input("status", sql.NVarChar(20), status)
+    .input("current_step", sql.NVarChar(50), job.current_step)
+    .input("last_error", sql.NVarChar(sql.MAX), job.last_error)
+    .input("delay", sql.Int, delaySeconds)
+    .input("worker", sql.NVarChar(100), WORKER_ID)
+    .input("lease", sql.Int, LEASE_SECONDS).query(`
+      UPDATE jobs SET
+        state = @state,
+        steps = @steps,
+        status = @status,
+        current_step = @current_step,
+        last_error = @last_error,
+        run_at = DATEADD(SECOND, @delay, GETDATE()),
+        locked_by = CASE WHEN @status = 'running' THEN @worker ELSE NULL END,
+        locked_until = CASE WHEN @status = 'running'
+          THEN DATEADD(SECOND, @lease, GETDATE()) ELSE NULL END,
+        updated_at = GETDATE(),
+        completed_at = CASE WHEN @status IN ('completed', 'failed')
+          THEN GETDATE() ELSE NULL END
+      WHERE id = @id
+    `);
+}
+
+/**
+ * Run a claimed job's remaining steps, stopping at the first failure
+ */
+async function runJob(pool, job) {
+  const definition = jobTypes[job.type];
+  if (!definition) {
+    job.last_error = `Unknown job type: ${job.type}`;
+    await saveJob(pool, job, "failed");
+    return;
+  }
+
+  for (const step of definition.steps) {
+    const progress = job.steps.find((entry) => entry.name === step.name);
+    if (progress.status === "completed") {
+      continue;
+    }
+
+    job.current_step = step.name;
+    progress.status = "running";
+    progress.attempts += 1;
+    progress.startedAt = new Date().toISOString();
+    delete progress.nextAttemptAt;
+    await saveJob(pool, job, "running");
+
+    try {
+      const changes = await step.run(job.payload, job.state, job);
+      Object.assign(job.state, changes);
+      progress.status = "completed";
+      progress.completedAt = new Date().toISOString();
+      delete progress.error;
+      job.last_error = null;
+    } catch (error) {
+      progress.error = error.message;
+      job.last_error = `${step.name}: ${error.message}`;
+
+      if (progress.attempts >= MAX_ATTEMPTS) {
+        progress.status = "failed";
+        console.error(
+          `✗ Job ${job.id} (${job.type}) failed at "${step.name}" after ${progress.attempts} attempts:`,
+          error.message
+        );
+        await saveJob(pool, job, "failed");
+        if (definition.onFailed) {
+          await Promise.resolve(
+            definition.onFailed(job.payload, job.state, job)
+          ).catch((cleanupError) =>
+            console.error(`✗ Job ${job.id} cleanup failed:`, cleanupError)
+          );
+        }
+        return;
+      }
+
+      const delay = retryDelaySeconds(progress.attempts);
+      progress.status = "pending";
+      progress.nextAttemptAt = new Date(
+        Date.now() + delay * 1000
+      ).toISOString();
+      console.warn(
+        `✗ Job ${job.id} (${job.type}) step "${step.name}" failed (attempt ${progress.attempts}/${MAX_ATTEMPTS}), retrying in ${delay}s:`,
+        error.message
+      );
+      await saveJob(pool, job, "queued", delay);
+      return;
+    }
+  }
+
+  job.current_step = null;
+  await saveJob(pool, job, "completed");
+  console.log(`✓ Job ${job.id} (${job.type}) completed`);
+}
+
+/**
+ * Run due jobs, up to CONCURRENCY at a time, until none are left
+ */
+async function drainQueue() {
+  if (activeDrain) {
+    wakeRequested = true;
+    return;
+  }
+
+  let finished;
+  activeDrain = new Promise((resolve) => (finished = resolve));
+  try {
+    const pool = await getConnection();
+    const runners = Array.from({ length: CONCURRENCY }, async () => {
+      try {
+        let job;
+        while ((job = await claimNext(pool))) {
+          await runJob(pool, job);
+        }
+      } catch (error) {
+        console.error("✗ Job worker error:", error.message);
+      }
+    });
+    await Promise.all(runners);
+  } catch (error) {
+    console.error("✗ Job worker error:", error.message);
+  } finally {
+    activeDrain = null;
+    finished();
+    if (wakeRequested) {
+      wakeRequested = false;
+      setImmediate(drainQueue);
+    }
+  }
+}
+
+/**
+ * Run every job that is due and wait until none is left, without the
+ * poll timer (for scripts and tests)
+ * A drain already under way may have looked for work before these jobs
+ * were due, so it is waited for and then followed by one of our own.
+ */
+async function runDueJobs() {
+  while (activeDrain) {
+    await activeDrain;
+  }
+  await drainQueue();
+}
+
+/**
+ * Start polling the jobs table in this process
+ */
+function startJobWorker() {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(drainQueue, POLL_INTERVAL_MS);
+  console.log(`✓ Job worker started (${WORKER_ID}, ${CONCURRENCY} at a time)`);
+  drainQueue();
+}
+
+function stopJobWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Check for due jobs now instead of at the next poll
+ */
+function wakeJobWorker() {
+  if (pollTimer) {
+    setImmediate(drainQueue);
+  }
+}
+
+module.exports = {
+  defineJobType,
+  enqueueJob,
+  getJob,
+  getLatestJob,
+  createBatch,
+  failBatch,
+  getBatchProgress,
+  formatJob,
+  startJobWorker,
+  stopJobWorker,
+  runDueJobs,
+  wakeJobWorker,
+};
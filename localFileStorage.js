@@ -0,0 +1,148 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Storage on the local disk, for development and tests
+ * Files are served by GET /files/:name; signedUrl links carry an expiry
+ * and an HMAC of the name and expiry, checked by verifySignedUrl.
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the files
+ * @param {string} options.baseUrl - Public URL of this backend
+ * @param {string} options.secret - Key for signing links
+ * @returns {Object} - The storage interface, see storage.js
+ */
+function createLocalFileStorage({ dir, baseUrl, secret }) {
+  /**
+   * Path of a stored file; names are single path segments so a name can
+   * never point outside the directory
+   */
+  function filePath(name) {
+    if (
+      typeof name !== "string" ||
+      !name ||
+      name !== path.basename(name) ||
+      name.startsWith(".")
+    ) {
+      throw new Error(`Invalid file name "${name}"`);
+    }
+    return path.join(dir, name);
+  }
+
+  function sign(name, expires) {
+    if (!secret) {
+      throw new Error("Storage signing secret is not configured");
+    }
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${name}:${expires}`, "utf8")
+      .digest("base64url");
+  }
+
+  return {
+    name: "local",
+    filePath,
+
+    async init() {
+      await fs.promises.mkdir(dir, { recursive: true });
+      console.log(`✓ Local storage ready in ${dir}`);
+    },
+
+    async put(name, content) {
+      // Written under a temporary name first so readers never see half a file
+      const target = filePath(name);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(temp, content);
+      await fs.promises.rename(temp, target);
+      console.log(`✓ File stored locally: ${name}`);
+    },
+
+    async get(name) {
+      try {
+        return await fs.promises.readFile(filePath(name));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async stat(name) {
+      try {
+        const stats = await fs.promises.stat(filePath(name));
+        return {
+          size: stats.size,
+          etag: `"${stats.size.toString(16)}-${Math.floor(
+            stats.mtimeMs
+          ).toString(16)}"`,
+          lastModified: stats.mtime,
+          contentType: null,
+        };
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async stream(name, { start = 0, end } = {}) {
+      return fs.createReadStream(filePath(name), { start, end });
+    },
+
+    async exists(name) {
+      try {
+        await fs.promises.access(filePath(name));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async delete(name) {
+      try {
+        await fs.promises.unlink(filePath(name));
+        console.log(`✓ File deleted successfully: ${name}`);
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async signedUrl(name, { expiresIn = 365 * 24 * 60 * 60 } = {}) {
+      filePath(name);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${baseUrl}/files/${encodeURIComponent(
+        name
+      )}?expires=${expires}&sig=${sign(name, expires)}`;
+    },
+
+    /**
+     * Check the expires and sig query parameters of a signedUrl link
+     * @returns {boolean}
+     */
+    verifySignedUrl(name, expires, signature) {
+      const expiresAt = Number(expires);
+      if (
+        !Number.isInteger(expiresAt) ||
+        expiresAt < Date.now() / 1000 ||
+        typeof signature !== "string"
+      ) {
+        return false;
+      }
+      const expected = Buffer.from(sign(name, expiresAt));
+      const actual = Buffer.from(signature);
+      return (
+        expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual)
+      );
+    },
+  };
+}
+
+module.exports = { createLocalFileStorage };
@@ -0,0 +1,66 @@
+const { getConnection, closeConnection } = require("./db");
+const { migrate, rollback, getMigrationStatus } = require("./migrator");
+
+const USAGE = `Usage:
+  node migrate.js migrate [--to <version>]     Apply pending migrations
+  node migrate.js rollback [--steps <n>]       Undo the last n migrations (default 1)
+  node migrate.js rollback --to <version>      Undo every migration after <version>
+  node migrate.js status                       List applied and pending migrations`;
+
+/**
+ * Read "--name value" pairs as integers
+ * @param {string[]} args
+ * @returns {Object}
+ */
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const name = /^--(to|steps)$/.exec(args[i]);
+    const value = Number(args[i + 1]);
+    if (!name || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Unknown option ${args.slice(i, i + 2).join(" ")}`);
+    }
+    options[name[1]] = value;
+  }
+  return options;
+}
+
+async function main([command, ...args]) {
+  if (!["migrate", "rollback", "status"].includes(command)) {
+    throw new Error(USAGE);
+  }
+  const options = parseOptions(args);
+  const pool = await getConnection();
+
+  if (command === "migrate") {
+    const applied = await migrate(pool, options);
+    console.log(
+      applied.length > 0
+        ? `✓ ${applied.length} migration(s) applied`
+        : "✓ Database is up to date"
+    );
+  } else if (command === "rollback") {
+    const rolledBack = await rollback(pool, options);
+    console.log(`✓ ${rolledBack.length} migration(s) rolled back`);
+  } else {
+    const status = await getMigrationStatus(pool);
+    status.forEach((migration) => {
+      const notes = [
+        migration.appliedAt && migration.appliedAt.toISOString(),
+        migration.modified && "changed since it was applied",
+      ].filter(Boolean);
+      console.log(
+        `${migration.status.padEnd(8)} ${migration.name}${
+          notes.length > 0 ? `  (${notes.join(", ")})` : ""
+        }`
+      );
+    });
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(closeConnection);
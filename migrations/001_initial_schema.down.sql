@@ -0,0 +1,12 @@
+-- Drops every table, and with them all data: only for a database that is
+-- being torn down. Tables go in reverse order of their foreign keys.
+
+DROP TABLE IF EXISTS rate_limits;
+DROP TABLE IF EXISTS idempotency_keys;
+DROP TABLE IF EXISTS admin_users;
+DROP TABLE IF EXISTS deliveries;
+DROP TABLE IF EXISTS jobs;
+DROP TABLE IF EXISTS job_batches;
+DROP TABLE IF EXISTS certificate_templates;
+DROP TABLE IF EXISTS submissions;
+DROP TABLE IF EXISTS events;
@@ -0,0 +1,234 @@
+-- Schema as it stood before versioned migrations. Every statement checks
+-- what exists first, so this also brings databases created by older
+-- versions of initializeDatabase up to date.
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='events' AND xtype='U')
+BEGIN
+  CREATE TABLE events (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    slug NVARCHAR(100) NOT NULL UNIQUE,
+    name NVARCHAR(255) NOT NULL,
+    brand NVARCHAR(255) NULL,
+    tagline NVARCHAR(500) NULL,
+    organiser_line NVARCHAR(500) NULL,
+    occasion_line NVARCHAR(500) NULL,
+    hashtags NVARCHAR(500) NULL,
+
+    certificate_id_prefix NVARCHAR(20) NOT NULL,
+    certificate_id_suffix NVARCHAR(20) NULL,
+
+    sender_name NVARCHAR(255) NULL,
+    team_name NVARCHAR(255) NULL,
+    email_subject NVARCHAR(255) NULL,
+    email_intro_html NVARCHAR(MAX) NULL,
+    email_closing_html NVARCHAR(MAX) NULL,
+    sms_template NVARCHAR(MAX) NULL,
+    file_name_prefix NVARCHAR(100) NULL,
+    duplicate_check NVARCHAR(20) NOT NULL DEFAULT 'email_or_phone',
+
+    is_active BIT DEFAULT 1,
+    created_at DATETIME DEFAULT GETDATE(),
+    updated_at DATETIME NULL
+  );
+END
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='submissions' AND xtype='U')
+BEGIN
+  CREATE TABLE submissions (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    name NVARCHAR(255) NOT NULL,
+    name_local NVARCHAR(255) NULL,
+    email NVARCHAR(255) NULL,
+    phone NVARCHAR(50) NULL,
+    message NVARCHAR(MAX) NULL,
+
+    latitude FLOAT NULL,
+    longitude FLOAT NULL,
+    location_accuracy FLOAT NULL,
+    city NVARCHAR(100) NULL,
+    state NVARCHAR(100) NULL,
+    country NVARCHAR(100) NULL,
+    country_code NVARCHAR(10) NULL,
+    full_address NVARCHAR(MAX) NULL,
+    location_timestamp DATETIME NULL,
+
+    certificate_path NVARCHAR(500) NULL,
+    certificate_url NVARCHAR(1000) NULL,
+    certificate_sent BIT DEFAULT 0,
+    certificate_sent_at DATETIME NULL,
+    certificate_issued_at DATETIME NULL,
+    certificate_sha256 NVARCHAR(64) NULL,
+    revoked_at DATETIME NULL,
+    revocation_reason NVARCHAR(500) NULL,
+
+    send_method NVARCHAR(20) NULL,
+    event_id INT NULL REFERENCES events(id),
+    created_at DATETIME DEFAULT GETDATE()
+  );
+
+  CREATE INDEX idx_submissions_created_at ON submissions(created_at DESC);
+  CREATE INDEX idx_submissions_event_id ON submissions(event_id);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='certificate_templates' AND xtype='U')
+BEGIN
+  CREATE TABLE certificate_templates (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    event_id INT NOT NULL REFERENCES events(id),
+    name NVARCHAR(255) NOT NULL,
+    definition NVARCHAR(MAX) NOT NULL,
+    is_default BIT DEFAULT 0,
+    created_at DATETIME DEFAULT GETDATE(),
+    updated_at DATETIME NULL
+  );
+
+  CREATE INDEX idx_certificate_templates_event_id ON certificate_templates(event_id);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='job_batches' AND xtype='U')
+BEGIN
+  CREATE TABLE job_batches (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    type NVARCHAR(50) NOT NULL,
+    event_id INT NULL REFERENCES events(id),
+    created_by INT NULL,
+    total INT NOT NULL DEFAULT 0,
+    max_concurrency INT NULL,
+    summary NVARCHAR(MAX) NULL,
+    created_at DATETIME DEFAULT GETDATE()
+  );
+END
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='jobs' AND xtype='U')
+BEGIN
+  CREATE TABLE jobs (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    type NVARCHAR(50) NOT NULL,
+    submission_id INT NULL REFERENCES submissions(id),
+    batch_id INT NULL REFERENCES job_batches(id),
+    payload NVARCHAR(MAX) NULL,
+    state NVARCHAR(MAX) NULL,
+    steps NVARCHAR(MAX) NOT NULL,
+
+    status NVARCHAR(20) NOT NULL DEFAULT 'queued',
+    current_step NVARCHAR(50) NULL,
+    last_error NVARCHAR(MAX) NULL,
+    run_at DATETIME NOT NULL DEFAULT GETDATE(),
+    locked_by NVARCHAR(100) NULL,
+    locked_until DATETIME NULL,
+
+    created_at DATETIME DEFAULT GETDATE(),
+    updated_at DATETIME NULL,
+    completed_at DATETIME NULL
+  );
+
+  CREATE INDEX idx_jobs_status_run_at ON jobs(status, run_at);
+  CREATE INDEX idx_jobs_submission_id ON jobs(submission_id);
+  CREATE INDEX idx_jobs_batch_id ON jobs(batch_id);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='deliveries' AND xtype='U')
+BEGIN
+  CREATE TABLE deliveries (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    submission_id INT NOT NULL REFERENCES submissions(id),
+    channel NVARCHAR(20) NOT NULL,
+    recipient NVARCHAR(255) NOT NULL,
+    attempt INT NOT NULL DEFAULT 1,
+    status NVARCHAR(20) NOT NULL,
+    provider_message_id NVARCHAR(255) NULL,
+    error NVARCHAR(MAX) NULL,
+    created_at DATETIME DEFAULT GETDATE(),
+    updated_at DATETIME NULL
+  );
+
+  CREATE INDEX idx_deliveries_submission_id ON deliveries(submission_id);
+  CREATE INDEX idx_deliveries_provider_message_id ON deliveries(provider_message_id);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='admin_users' AND xtype='U')
+BEGIN
+  CREATE TABLE admin_users (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    email NVARCHAR(255) NOT NULL UNIQUE,
+    name NVARCHAR(255) NULL,
+    password_hash NVARCHAR(255) NOT NULL,
+    role NVARCHAR(20) NOT NULL DEFAULT 'viewer',
+    is_active BIT DEFAULT 1,
+    last_login_at DATETIME NULL,
+    created_at DATETIME DEFAULT GETDATE(),
+    updated_at DATETIME NULL
+  );
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='idempotency_keys' AND xtype='U')
+BEGIN
+  CREATE TABLE idempotency_keys (
+    scope NVARCHAR(50) NOT NULL,
+    idempotency_key NVARCHAR(255) NOT NULL,
+    request_hash NVARCHAR(64) NOT NULL,
+    status_code INT NULL,
+    response NVARCHAR(MAX) NULL,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    PRIMARY KEY (scope, idempotency_key)
+  );
+
+  CREATE INDEX idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+END
+GO
+
+IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='rate_limits' AND xtype='U')
+BEGIN
+  CREATE TABLE rate_limits (
+    rate_key NVARCHAR(255) NOT NULL PRIMARY KEY,
+    count INT NOT NULL,
+    reset_at DATETIME2 NOT NULL
+  );
+END
+GO
+
+-- Columns added after their tables were first created
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='certificate_url')
+  ALTER TABLE submissions ADD certificate_url NVARCHAR(1000);
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='send_method')
+  ALTER TABLE submissions ADD send_method NVARCHAR(20);
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='certificate_issued_at')
+  ALTER TABLE submissions ADD certificate_issued_at DATETIME NULL;
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='certificate_sha256')
+  ALTER TABLE submissions ADD certificate_sha256 NVARCHAR(64) NULL;
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='revoked_at')
+  ALTER TABLE submissions ADD revoked_at DATETIME NULL;
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='revocation_reason')
+  ALTER TABLE submissions ADD revocation_reason NVARCHAR(500) NULL;
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='name_local')
+  ALTER TABLE submissions ADD name_local NVARCHAR(255) NULL;
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='submissions' AND COLUMN_NAME='event_id')
+BEGIN
+  ALTER TABLE submissions ADD event_id INT NULL REFERENCES events(id);
+  EXEC('CREATE INDEX idx_submissions_event_id ON submissions(event_id)');
+END
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='jobs' AND COLUMN_NAME='batch_id')
+BEGIN
+  ALTER TABLE jobs ADD batch_id INT NULL REFERENCES job_batches(id);
+  EXEC('CREATE INDEX idx_jobs_batch_id ON jobs(batch_id)');
+END
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='job_batches' AND COLUMN_NAME='max_concurrency')
+  ALTER TABLE job_batches ADD max_concurrency INT NULL;
+
+IF NOT EXISTS (SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='events' AND COLUMN_NAME='duplicate_check')
+  ALTER TABLE events ADD duplicate_check NVARCHAR(20) NOT NULL
+    CONSTRAINT df_events_duplicate_check DEFAULT 'email_or_phone';
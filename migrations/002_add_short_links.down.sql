@@ -0,0 +1,7 @@
+-- The column comes back empty; older versions draw and upload a
+-- certificate again when its certificate_url is NULL. Links already sent
+-- stop working.
+
+ALTER TABLE submissions ADD certificate_url NVARCHAR(1000) NULL;
+
+DROP TABLE IF EXISTS certificate_links;
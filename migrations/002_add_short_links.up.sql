@@ -0,0 +1,15 @@
+-- Certificates are shared through short links (GET /c/:token) that are
+-- checked on every visit and redirect to a freshly signed storage URL, so
+-- the year-long signed URL is no longer stored. Only the blob name in
+-- certificate_path is kept.
+
+CREATE TABLE certificate_links (
+  token NVARCHAR(64) NOT NULL PRIMARY KEY,
+  submission_id INT NOT NULL REFERENCES submissions(id),
+  created_at DATETIME DEFAULT GETDATE(),
+  revoked_at DATETIME NULL
+);
+
+CREATE INDEX idx_certificate_links_submission_id ON certificate_links(submission_id);
+
+ALTER TABLE submissions DROP COLUMN certificate_url;
@@ -0,0 +1,4 @@
+-- Failed batches then read as running, or completed once their jobs finish.
+
+ALTER TABLE job_batches DROP COLUMN error;
+ALTER TABLE job_batches DROP COLUMN failed_at;
@@ -0,0 +1,5 @@
+-- An import that stops part way keeps the rows it committed; its batch is
+-- marked failed with the error, and total is cut to the jobs it queued.
+
+ALTER TABLE job_batches ADD failed_at DATETIME NULL;
+ALTER TABLE job_batches ADD error NVARCHAR(MAX) NULL;
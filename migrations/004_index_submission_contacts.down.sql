@@ -0,0 +1,4 @@
+-- Emails stay lower-cased; their original spelling is not kept.
+
+DROP INDEX IF EXISTS idx_submissions_event_phone ON submissions;
+DROP INDEX IF EXISTS idx_submissions_event_email ON submissions;
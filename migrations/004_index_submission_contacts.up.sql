@@ -0,0 +1,11 @@
+-- Registrations are checked for duplicates with a locking lookup on
+-- (event_id, email) and (event_id, phone). Emails have been saved trimmed
+-- and lower-cased since they were validated; rows from before that are
+-- brought in line so the lookup can compare them as stored and seek the
+-- index instead of scanning every submission under the lock.
+
+UPDATE submissions SET email = LOWER(LTRIM(RTRIM(email)))
+WHERE email <> LOWER(LTRIM(RTRIM(email))) COLLATE Latin1_General_BIN2;
+
+CREATE INDEX idx_submissions_event_email ON submissions(event_id, email);
+CREATE INDEX idx_submissions_event_phone ON submissions(event_id, phone);
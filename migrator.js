@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const sql = require("mssql");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+// e.g. 002_add_short_links.up.sql and 002_add_short_links.down.sql
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+// Like sqlcmd, a line holding only GO ends a batch, so a migration can
+// create a table and then use it
+const BATCH_SEPARATOR = /^\s*GO\s*$/im;
+// How long a run waits for another instance's migrations to finish
+const LOCK_TIMEOUT_MS = 60000;
+
+/**
+ * Read the migration files, oldest first
+ * @param {string} [dir]
+ * @returns {Object[]} - { version, name, up, down, checksum }; down is null
+ *   when the migration cannot be rolled back
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  fs.readdirSync(dir).forEach((file) => {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) {
+      return;
+    }
+    const version = parseInt(match[1], 10);
+    const name = `${match[1]}_${match[2]}`;
+    const migration = migrations.get(version) || {
+      version,
+      name,
+      up: null,
+      down: null,
+    };
+    if (migration.name !== name) {
+      throw new Error(
+        `Migrations ${migration.name} and ${name} share version ${version}`
+      );
+    }
+    migration[match[3]] = fs.readFileSync(path.join(dir, file), "utf8");
+    migrations.set(version, migration);
+  });
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (migration.up === null) {
+        throw new Error(`Migration ${migration.name} has no .up.sql file`);
+      }
+      return {
+        ...migration,
+        checksum: crypto
+          .createHash("sha256")
+          .update(migration.up)
+          .digest("hex"),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(pool) {
+  await pool.request().query(`
+    IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='schema_migrations' AND xtype='U')
+    BEGIN
+      CREATE TABLE schema_migrations (
+        version INT NOT NULL PRIMARY KEY,
+        name NVARCHAR(255) NOT NULL,
+        checksum NVARCHAR(64) NOT NULL,
+        applied_at DATETIME NOT NULL DEFAULT GETDATE()
+      );
+    END
+  `);
+}
+
+async function getAppliedMigrations(pool) {
+  await ensureMigrationsTable(pool);
+  const result = await pool
+    .request()
+    .query(
+      "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+    );
+  return result.recordset;
+}
+
+/**
+ * Run one migration script and record the change, all in one transaction
+ * Instances starting together queue on an application lock; whoever comes
+ * second finds the work done and skips it.
+ * @returns {Promise<boolean>} - false if another run got there first
+ */
+async function runMigration(pool, migration, direction) {
+  const transaction = pool.transaction();
+  await transaction.begin();
+  try {
+    await transaction.request().input("timeout", sql.Int, LOCK_TIMEOUT_MS)
+      .query(`
+      DECLARE @result INT;
+      EXEC @result = sp_getapplock @Resource = 'schema_migrations',
+        @LockMode = 'Exclusive', @LockOwner = 'Transaction',
+        @LockTimeout = @timeout;
+      IF @result < 0
+        THROW 50000, 'Timed out waiting for another migration run', 1;
+    `);
+
+    const applied = await transaction
+      .request()
+      .input("version", sql.Int, migration.version)
+      .query("SELECT version FROM schema_migrations WHERE version = @version");
+    const isApplied = applied.recordset.length > 0;
+    if (isApplied === (direction === "up")) {
+      await transaction.rollback();
+      return false;
+    }
+
+    const script = direction === "up" ? migration.up : migration.down;
+    for (const batch of script.split(BATCH_SEPARATOR)) {
+      if (batch.trim()) {
+        await transaction.request().batch(batch);
+      }
+    }
+
+    const record = transaction
+      .request()
+      .input("version", sql.Int, migration.version);
+    if (direction === "up") {
+      await record
+        .input("name", sql.NVarChar(255), migration.name)
+        .input("checksum", sql.NVarChar(64), migration.checksum)
+        .query(
+          "INSERT INTO schema_migrations (version, name, checksum) VALUES (@version, @name, @checksum)"
+        );
+    } else {
+      await record.query(
+        "DELETE FROM schema_migrations WHERE version = @version"
+      );
+    }
+
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    await transaction.rollback();
+    error.message = `Migration ${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Apply pending migrations, oldest first
+ * @param {Object} pool - mssql connection pool
+ * @param {Object} [options]
+ * @param {number} [options.to] - Stop after this version
+ * @param {string} [options.dir]
+ * @returns {Promise<string[]>} - Names of the migrations applied
+ */
+async function migrate(pool, { to = Infinity, dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = new Map(
+    (await getAppliedMigrations(pool)).map((row) => [row.version, row])
+  );
+
+  migrations.forEach((migration) => {
+    const row = applied.get(migration.version);
+    if (row && row.checksum !== migration.checksum) {
+      console.warn(
+        `✗ Migration ${migration.name} was changed after it was applied; add a new migration instead`
+      );
+    }
+  });
+
+  const done = [];
+  for (const migration of migrations) {
+    if (migration.version > to || applied.has(migration.version)) {
+      continue;
+    }
+    if (await runMigration(pool, migration, "up")) {
+      console.log(`✓ Applied migration ${migration.name}`);
+      done.push(migration.name);
+    }
+  }
+  return done;
+}
+
+/**
+ * Undo the most recent migrations with their .down.sql files
+ * @param {Object} pool
+ * @param {Object} [options]
+ * @param {number} [options.steps] - How many to undo (default 1)
+ * @param {number} [options.to] - Instead, undo everything after this version
+ * @param {string} [options.dir]
+ * @returns {Promise<string[]>} - Names of the migrations rolled back
+ */
+async function rollback(pool, { steps = 1, to, dir } = {}) {
+  const migrations = new Map(
+    loadMigrations(dir).map((migration) => [migration.version, migration])
+  );
+  const applied = (await getAppliedMigrations(pool)).reverse();
+  const targets =
+    to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter((row) => row.version > to);
+
+  const done = [];
+  for (const row of targets) {
+    const migration = migrations.get(row.version);
+    if (!migration || migration.down === null) {
+      throw new Error(`Migration ${row.name} has no .down.sql file`);
+    }
+    if (await runMigration(pool, migration, "down")) {
+      console.log(`✓ Rolled back migration ${migration.name}`);
+      done.push(migration.name);
+    }
+  }
+  return done;
+}
+
+/**
+ * Every migration known to the files or the database
+ * @param {Object} pool
+ * @param {Object} [options]
+ * @param {string} [options.dir]
+ * @returns {Promise<Object[]>} - { version, name, status, appliedAt,
+ *   modified }; status is "applied", "pending" or "missing" (applied, but
+ *   its files are gone)
+ */
+async function getMigrationStatus(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+  const applied = new Map(
+    (await getAppliedMigrations(pool)).map((row) => [row.version, row])
+  );
+
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      status: row ? "applied" : "pending",
+      appliedAt: row ? row.applied_at : null,
+      modified: Boolean(row && row.checksum !== migration.checksum),
+    };
+  });
+
+  applied.forEach((row) => {
+    status.push({
+      version: row.version,
+      name: row.name,
+      status: "missing",
+      appliedAt: row.applied_at,
+      modified: false,
+    });
+  });
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus,
+};
@@ -0,0 +1,225 @@
+const { getConnection, sql } = require("./db");
+const { toE164 } = require("./validation");
+require("dotenv").config();
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Read a rate such as "60/10m" (60 requests per 10 minutes)
+ * @param {string} rate - "<limit>/<number><s|m|h|d>"
+ * @returns {{limit: number, windowMs: number}}
+ */
+function parseRate(rate) {
+  const match = /^(\d+)\/(\d*)([smhd])$/.exec(String(rate).trim());
+  if (!match) {
+    throw new Error(`Invalid rate "${rate}", expected e.g. 60/10m`);
+  }
+  return {
+    limit: parseInt(match[1], 10),
+    windowMs: parseInt(match[2] || "1", 10) * UNITS[match[3]],
+  };
+}
+
+/**
+ * Counters kept in this process; each server instance counts on its own
+ * Stores implement increment(key, windowMs) resolving to
+ * { count, resetAt }, counting in fixed windows that start with the first
+ * hit.
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count++;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    this.counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Counters in the rate_limits table, shared by every server instance
+ */
+class DatabaseStore {
+  constructor() {
+    this.cleanupTimer = setInterval(
+      () =>
+        this.cleanup().catch((error) =>
+          console.error("✗ Rate limit cleanup failed:", error.message)
+        ),
+      CLEANUP_INTERVAL_MS
+    );
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const pool = await getConnection();
+    const result = await pool
+      .request()
+      .input("key", sql.NVarChar(255), key)
+      .input("window_ms", sql.Int, windowMs).query(`
+        MERGE rate_limits WITH (HOLDLOCK) AS target
+        USING (SELECT @key AS rate_key) AS source
+        ON target.rate_key = source.rate_key
+        WHEN MATCHED AND target.reset_at <= SYSUTCDATETIME() THEN
+          UPDATE SET count = 1,
+            reset_at = DATEADD(MILLISECOND, @window_ms, SYSUTCDATETIME())
+        WHEN MATCHED THEN
+          UPDATE SET count = target.count + 1
+        WHEN NOT MATCHED THEN
+          INSERT (rate_key, count, reset_at)
+          VALUES (@key, 1, DATEADD(MILLISECOND, @window_ms, SYSUTCDATETIME()))
+        OUTPUT INSERTED.count, INSERTED.reset_at;
+      `);
+    const { count, reset_at } = result.recordset[0];
+    return { count, resetAt: new Date(reset_at).getTime() };
+  }
+
+  async cleanup() {
+    const pool = await getConnection();
+    await pool
+      .request()
+      .query("DELETE FROM rate_limits WHERE reset_at <= SYSUTCDATETIME()");
+  }
+}
+
+let defaultStore = null;
+
+/**
+ * The store used by limiters that are not given one: RATE_LIMIT_STORE
+ * "memory" (default) or "database"
+ * @returns {Object}
+ */
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.RATE_LIMIT_STORE === "database"
+        ? new DatabaseStore()
+        : new MemoryStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Replace the default store, e.g. with a shared one or a test double
+ * @param {Object} store - Implements increment(key, windowMs)
+ */
+function setDefaultStore(store) {
+  defaultStore = store;
+}
+
+/**
+ * The caller's address (behind a proxy, set TRUST_PROXY so this is the
+ * client rather than the proxy)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || "unknown";
+}
+
+/**
+ * Normalised email and phone of a request body, for per-recipient limits
+ * Runs before validation, so anything unreadable is ignored.
+ * @param {Object} body
+ * @returns {string[]}
+ */
+function recipientKeys(body = {}) {
+  const keys = [];
+  if (typeof body.email === "string" && body.email.trim()) {
+    keys.push(`email:${body.email.trim().toLowerCase()}`);
+  }
+  const phoneNumber = body.phone || body.phoneNumber;
+  if (typeof phoneNumber === "string" && phoneNumber.trim()) {
+    keys.push(`phone:${toE164(phoneNumber) || phoneNumber.replace(/\D/g, "")}`);
+  }
+  return keys;
+}
+
+/**
+ * Express middleware that answers 429 with Retry-After once a key has made
+ * more than `limit` requests in the window
+ * If the store fails, requests are let through rather than refused.
+ * @param {Object} options
+ * @param {string} options.name - Prefix keeping this limiter's counters apart
+ * @param {string} options.rate - e.g. "60/10m", see parseRate
+ * @param {Function} [options.key] - (req) => key or list of keys, each
+ *   counted separately (default: client IP); falsy keys are skipped
+ * @param {Object} [options.store] - Default: getDefaultStore()
+ * @param {string} [options.message]
+ * @returns {Function}
+ */
+function rateLimit({
+  name,
+  rate,
+  key = clientIp,
+  store,
+  message = "Too many requests, please try again later",
+}) {
+  const { limit, windowMs } = parseRate(rate);
+
+  return async (req, res, next) => {
+    const keys = [].concat(key(req) || []).filter(Boolean);
+    try {
+      for (const value of keys) {
+        const { count, resetAt } = await (store || getDefaultStore()).increment(
+          `${name}:${value}`,
+          windowMs
+        );
+        const retryAfter = Math.max(
+          1,
+          Math.ceil((resetAt - Date.now()) / 1000)
+        );
+        res.setHeader("RateLimit-Limit", String(limit));
+        res.setHeader(
+          "RateLimit-Remaining",
+          String(Math.max(0, limit - count))
+        );
+        res.setHeader("RateLimit-Reset", String(retryAfter));
+
+        if (count > limit) {
+          console.warn(`✗ Rate limit ${name} exceeded by ${value}`);
+          res.setHeader("Retry-After", String(retryAfter));
+          return res.status(429).json({ error: message, retryAfter });
+        }
+      }
+    } catch (error) {
+      console.error(`✗ Rate limit ${name} check failed:`, error.message);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  parseRate,
+  MemoryStore,
+  DatabaseStore,
+  getDefaultStore,
+  setDefaultStore,
+  clientIp,
+  recipientKeys,
+  rateLimit,
+};
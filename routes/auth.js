@@ -0,0 +1,174 @@
+const express = require("express");
+const { email, validate, sendValidationError } = require("../validation");
+const { rateLimit, recipientKeys } = require("../rateLimiter");
+const {
+  login,
+  requireRole,
+  listUsers,
+  getUserByEmail,
+  createUser,
+  updateUser,
+  deleteUser,
+  validateUser,
+} = require("../authService");
+
+const router = express.Router();
+
+// Limits on sign-in attempts, as "<requests>/<window>" (see rateLimiter.js)
+const limitLoginByIp = rateLimit({
+  name: "login-ip",
+  rate: process.env.RATE_LIMIT_LOGIN_IP || "20/15m",
+});
+const limitLoginByEmail = rateLimit({
+  name: "login-email",
+  rate: process.env.RATE_LIMIT_LOGIN_EMAIL || "10/15m",
+  key: (req) => recipientKeys({ email: req.body && req.body.email }),
+  message: "Too many sign-in attempts, please try again later",
+});
+
+// POST endpoint - Sign in and receive a bearer token
+router.post(
+  "/api/auth/login",
+  limitLoginByIp,
+  limitLoginByEmail,
+  async (req, res) => {
+    try {
+      const { value, errors } = validate(
+        { email: email({ required: true }) },
+        req.body
+      );
+      // Taken as sent: passwords are not trimmed or normalised like text
+      const { password } = req.body || {};
+      if (typeof password !== "string" || password === "") {
+        errors.push({ field: "password", message: "password is required" });
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const session = await login(value.email, password);
+      if (!session) {
+        return res.status(401).json({ error: "Invalid email or password" });
+      }
+      res.json(session);
+    } catch (error) {
+      console.error("Error signing in:", error);
+      res.status(500).json({ error: "Failed to sign in" });
+    }
+  }
+);
+
+// GET endpoint - The signed-in user
+router.get("/api/auth/me", requireRole("viewer"), (req, res) => {
+  res.json(req.user);
+});
+
+// GET endpoint - List admin users
+router.get("/api/admin/users", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// POST endpoint - Create an admin user
+// Body: { email, name, password, role: "viewer" | "operator" | "admin" }
+router.post("/api/admin/users", requireRole("admin"), async (req, res) => {
+  try {
+    const { value, errors } = validateUser(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (await getUserByEmail(value.email)) {
+      return res
+        .status(409)
+        .json({ error: "A user with this email already exists" });
+    }
+
+    const user = await createUser(value);
+    console.log(`✓ User created: ${user.email} (${user.role})`);
+    res.status(201).json(user);
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({ error: "Failed to create user" });
+  }
+});
+
+// The numeric :id of a user route, or null
+function userIdParam(req) {
+  return /^\d+$/.test(req.params.id) ? parseInt(req.params.id, 10) : null;
+}
+
+const INVALID_USER_ID = [{ field: "id", message: "id must be a number" }];
+
+// PUT endpoint - Update a user's name, password, role or active flag
+router.put("/api/admin/users/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const id = userIdParam(req);
+    if (id === null) {
+      return sendValidationError(res, INVALID_USER_ID);
+    }
+    const body = req.body || {};
+    const { value, errors } = validateUser(
+      {
+        name: body.name,
+        password: body.password,
+        role: body.role,
+        is_active: body.is_active,
+      },
+      { partial: true }
+    );
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    const { name, password, role, is_active } = value;
+
+    // Admins cannot lock themselves out
+    if (
+      id === req.user.id &&
+      ((role !== undefined && role !== "admin") || is_active === false)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "You cannot demote or deactivate yourself" });
+    }
+
+    const user = await updateUser(id, { name, password, role, is_active });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
+// DELETE endpoint - Delete a user
+router.delete(
+  "/api/admin/users/:id",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const id = userIdParam(req);
+      if (id === null) {
+        return sendValidationError(res, INVALID_USER_ID);
+      }
+      if (id === req.user.id) {
+        return res.status(400).json({ error: "You cannot delete yourself" });
+      }
+      if (!(await deleteUser(id))) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      res.json({ message: "User deleted successfully" });
+    } catch (error) {
+      console.error("Error deleting user:", error);
+      res.status(500).json({ error: "Failed to delete user" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,644 @@
+const express = require("express");
+const bodyParser = require("body-parser");
+const multer = require("multer");
+const { requireRole } = require("../authService");
+const {
+  string,
+  number,
+  date,
+  oneOf,
+  object,
+  validate,
+  toValidationErrors,
+  sendValidationError,
+} = require("../validation");
+const { rateLimit } = require("../rateLimiter");
+const {
+  generateCertificate,
+  renderCertificateThumbnail,
+} = require("../certificateGenerator");
+const {
+  formatCertificateId,
+  parseCertificateId,
+  matchesCertificateId,
+} = require("../certificateId");
+const {
+  verifyCertificateSignature,
+  extractPdfMetadata,
+  hashCertificate,
+} = require("../certificateSigning");
+const {
+  getEventById,
+  getEventBySlug,
+  getDefaultEvent,
+  getEventForSubmission,
+} = require("../eventService");
+const { getTemplateById, getTemplateForEvent } = require("../templateService");
+const { validateTemplate, getLayoutWarnings } = require("../templateRenderer");
+const storage = require("../storage");
+const submissions = require("../submissionsRepository");
+const {
+  regenerateCertificate,
+  ensureCertificate,
+} = require("../certificateService");
+const { enqueueResendJob } = require("../certificateJobs");
+const { wakeJobWorker } = require("../jobQueue");
+const {
+  findSubmissionByToken,
+  revokeCertificateLinks,
+  signCertificateUrl,
+} = require("../certificateLinks");
+const {
+  parseBulkRequest,
+  planBulkAction,
+  runBulkAction,
+} = require("../certificateBulk");
+
+const router = express.Router();
+
+// Uploaded certificates are only inspected, never written to disk
+const certificateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+// Body of POST /api/certificates/preview; the participant holds the
+// submission columns a template may show
+const PREVIEW_SCHEMA = {
+  participant: object({
+    id: number({ integer: true, min: 1 }),
+    name: string({ maxLength: 255 }),
+    name_local: string({ maxLength: 255 }),
+    email: string({ maxLength: 255 }),
+    phone: string({ maxLength: 50 }),
+    city: string({ maxLength: 100 }),
+    state: string({ maxLength: 100 }),
+    country: string({ maxLength: 100 }),
+    certificate_issued_at: date(),
+  }),
+  eventId: number({ integer: true, min: 1 }),
+  event: string({ maxLength: 100 }),
+  templateId: number({ integer: true, min: 1 }),
+  template: (input, field) => {
+    if (input === undefined) {
+      return {};
+    }
+    const errors = validateTemplate(input);
+    return errors.length > 0
+      ? { errors: toValidationErrors(errors, field) }
+      : { value: input };
+  },
+  format: oneOf(["pdf", "png"]),
+  width: number({ integer: true, min: 100, max: 4000 }),
+};
+
+// Limit on the public verification endpoints and short links (see
+// rateLimiter.js)
+const limitVerifyByIp = rateLimit({
+  name: "verify-ip",
+  rate: process.env.RATE_LIMIT_VERIFY_IP || "60/1m",
+});
+
+// POST endpoint - Generate certificate and upload it to storage
+router.post(
+  "/api/generate-certificate/:id",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const certificate = await regenerateCertificate(req.params.id);
+      if (!certificate) {
+        return res.status(404).json({ error: "Participant not found" });
+      }
+
+      res.json({
+        message: "Certificate generated successfully",
+        certificateUrl: certificate.certificateUrl,
+        certificatePath: certificate.certificatePath,
+        layoutWarnings: certificate.layoutWarnings,
+      });
+    } catch (error) {
+      console.error("Error generating certificate:", error);
+      res.status(500).json({ error: "Failed to generate certificate" });
+    }
+  }
+);
+
+// POST endpoint - Send certificate via email
+// Queued like /api/submit: delivery and its retries run in the job worker
+router.post(
+  "/api/send-certificate/:id",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const submission = await submissions.findById(req.params.id);
+      if (!submission) {
+        return res.status(404).json({ error: "Participant not found" });
+      }
+
+      if (!submission.email || submission.email.trim() === "") {
+        return res
+          .status(400)
+          .json({ error: "No email address found for this participant" });
+      }
+
+      const job = await enqueueResendJob(submission.id, "email");
+      wakeJobWorker();
+
+      res.status(202).json({
+        message: "Certificate will be sent shortly to " + submission.email,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+      });
+    } catch (error) {
+      console.error("Error sending certificate:", error);
+      res.status(500).json({
+        error: "Failed to send certificate",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// POST endpoint - Send certificate via SMS, queued like send-certificate
+router.post("/api/send-sms/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const submission = await submissions.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ error: "Participant not found" });
+    }
+
+    if (!submission.phone || submission.phone.trim() === "") {
+      return res
+        .status(400)
+        .json({ error: "No phone number found for this participant" });
+    }
+
+    const job = await enqueueResendJob(submission.id, "sms");
+    wakeJobWorker();
+
+    res.status(202).json({
+      message:
+        "Certificate link will be sent shortly via SMS to " + submission.phone,
+      jobId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+    });
+  } catch (error) {
+    console.error("Error sending SMS:", error);
+    res.status(500).json({
+      error: "Failed to send SMS",
+      details: error.message,
+    });
+  }
+});
+
+// POST endpoint - Regenerate or resend certificates for many submissions
+// Body: { action, ids: [...] } or { action, filter: {...} } with the /api/data
+// filter names, plus optional concurrency and dryRun
+router.post(
+  "/api/certificates/bulk",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const { request, errors } = parseBulkRequest(req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const plan = await planBulkAction(request);
+      if (plan.errors.length > 0) {
+        return sendValidationError(res, plan.errors, {
+          summary: plan.summary,
+        });
+      }
+
+      const report = {
+        action: request.action,
+        summary: plan.summary,
+        skipped: plan.skipped,
+        notFound: plan.notFound,
+      };
+      if (request.dryRun || req.query.dryRun === "true") {
+        return res.json({ dryRun: true, ...report });
+      }
+
+      const { batch, queued, error } = await runBulkAction(plan, {
+        action: request.action,
+        concurrency: request.concurrency,
+        createdBy: req.user.id,
+      });
+      const body = {
+        ...report,
+        batchId: batch.id,
+        statusUrl: `/api/batches/${batch.id}`,
+      };
+      if (error) {
+        // The jobs queued before the failure still run; say which those are
+        return res.status(500).json({
+          error: "Bulk action stopped part way; notQueued were not queued",
+          ...body,
+          queued,
+          notQueued: plan.eligible.slice(queued.length).map(({ id }) => id),
+        });
+      }
+      res.status(202).json(body);
+    } catch (error) {
+      console.error("Error running bulk certificate action:", error);
+      res.status(500).json({ error: "Failed to run bulk certificate action" });
+    }
+  }
+);
+
+// GET endpoint - Download a participant's certificate
+router.get(
+  "/api/download-certificate/:id",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const certificate = await ensureCertificate(req.params.id);
+      if (!certificate) {
+        return res.status(404).json({ error: "Participant not found" });
+      }
+      const { participant, event, certificatePath } = certificate;
+
+      // Streamed from storage, with Range and ETag support
+      const sent = await storage.sendStoredFile(req, res, certificatePath, {
+        fileName: `${
+          event.file_name_prefix || "Certificate"
+        }_Certificate_${participant.name.replace(/\s+/g, "_")}.pdf`,
+      });
+      if (!sent) {
+        return res.status(404).json({ error: "Certificate file not found" });
+      }
+    } catch (error) {
+      console.error("Error downloading certificate:", error);
+      if (res.headersSent) {
+        // Part of the file is already out; cut it off so it is not
+        // mistaken for a complete download
+        return res.destroy(error);
+      }
+      res.status(500).json({ error: "Failed to download certificate" });
+    }
+  }
+);
+
+// GET endpoint - Short certificate link (sent by SMS), redirecting to a
+// storage URL signed for this visit only
+router.get("/c/:token", limitVerifyByIp, async (req, res) => {
+  try {
+    const participant = await findSubmissionByToken(req.params.token);
+    if (!participant) {
+      return res.status(404).json({ error: "Link is invalid or was revoked" });
+    }
+    if (participant.revoked_at) {
+      return res.status(410).json({ error: "Certificate has been revoked" });
+    }
+    if (
+      !participant.certificate_path ||
+      !(await storage.exists(participant.certificate_path))
+    ) {
+      return res.status(404).json({ error: "Certificate file not found" });
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    res.redirect(302, await signCertificateUrl(participant));
+  } catch (error) {
+    console.error("Error following certificate link:", error);
+    res.status(500).json({ error: "Failed to open certificate" });
+  }
+});
+
+// GET endpoint - Public certificate verification (linked from the QR code)
+router.get("/api/verify/:certificateId", limitVerifyByIp, async (req, res) => {
+  try {
+    const { certificateId } = req.params;
+    const { sig } = req.query;
+    const id = parseCertificateId(certificateId);
+
+    const unknown = {
+      status: "unknown",
+      valid: false,
+      certificateId,
+      message: "No certificate was issued with this ID",
+    };
+
+    if (!id) {
+      return res.status(404).json(unknown);
+    }
+
+    const participant = await submissions.findById(id);
+
+    if (!participant || !participant.certificate_path) {
+      return res.status(404).json(unknown);
+    }
+
+    const event = await getEventForSubmission(participant);
+
+    if (!matchesCertificateId(certificateId, participant.id, event)) {
+      return res.status(404).json(unknown);
+    }
+
+    const certificate = {
+      certificateId: formatCertificateId(participant.id, event),
+      name: participant.name,
+      event: event.name,
+      issuedOn: participant.certificate_issued_at || participant.created_at,
+    };
+
+    if (participant.revoked_at) {
+      return res.json({
+        status: "revoked",
+        valid: false,
+        ...certificate,
+        revokedAt: participant.revoked_at,
+        reason: participant.revocation_reason,
+        message: "This certificate has been revoked",
+      });
+    }
+
+    // The QR code carries the signature; a mismatch means the printed
+    // details were not issued by us as shown
+    if (sig && !verifyCertificateSignature(certificate, sig)) {
+      return res.json({
+        status: "invalid",
+        valid: false,
+        certificateId: certificate.certificateId,
+        signatureValid: false,
+        message: "The signature on this certificate does not match our records",
+      });
+    }
+
+    res.json({
+      status: "valid",
+      valid: true,
+      ...certificate,
+      ...(sig ? { signatureValid: true } : {}),
+      message: "This certificate is authentic",
+    });
+  } catch (error) {
+    console.error("Error verifying certificate:", error);
+    res.status(500).json({ error: "Failed to verify certificate" });
+  }
+});
+
+// POST endpoint - Verify an uploaded certificate PDF
+// Accepts multipart/form-data (field "file") or a raw application/pdf body
+router.post(
+  "/api/verify-file",
+  limitVerifyByIp,
+  bodyParser.raw({
+    type: ["application/pdf", "application/octet-stream"],
+    limit: "10mb",
+  }),
+  certificateUpload.single("file"),
+  async (req, res) => {
+    try {
+      const pdfBuffer = req.file
+        ? req.file.buffer
+        : Buffer.isBuffer(req.body)
+        ? req.body
+        : null;
+
+      if (!pdfBuffer || pdfBuffer.length === 0) {
+        return sendValidationError(res, [
+          { field: "file", message: "A PDF file is required" },
+        ]);
+      }
+
+      if (pdfBuffer.subarray(0, 5).toString("latin1") !== "%PDF-") {
+        return sendValidationError(res, [
+          { field: "file", message: "Uploaded file is not a PDF" },
+        ]);
+      }
+
+      const metadata = extractPdfMetadata(pdfBuffer);
+
+      if (!metadata) {
+        return res.json({
+          status: "unrecognised",
+          authentic: false,
+          unmodified: false,
+          message: "This PDF does not carry a certificate signature",
+        });
+      }
+
+      const { fields, signature } = metadata;
+
+      if (!verifyCertificateSignature(fields, signature)) {
+        return res.json({
+          status: "tampered",
+          authentic: false,
+          unmodified: false,
+          certificateId: fields.certificateId,
+          message: "The certificate signature is invalid",
+        });
+      }
+
+      const id = parseCertificateId(fields.certificateId);
+      const participant = await submissions.findById(id);
+      const event = participant
+        ? await getEventForSubmission(participant)
+        : null;
+      const certificate = {
+        certificateId: fields.certificateId,
+        name: fields.name,
+        event: fields.event,
+        issuedOn: fields.issuedOn,
+      };
+
+      if (
+        !participant ||
+        !matchesCertificateId(fields.certificateId, participant.id, event)
+      ) {
+        return res.json({
+          status: "unknown",
+          authentic: false,
+          unmodified: false,
+          ...certificate,
+          message: "No certificate was issued with this ID",
+        });
+      }
+
+      if (participant.revoked_at) {
+        return res.json({
+          status: "revoked",
+          authentic: true,
+          unmodified: false,
+          ...certificate,
+          revokedAt: participant.revoked_at,
+          reason: participant.revocation_reason,
+          message: "This certificate has been revoked",
+        });
+      }
+
+      // The signature covers the fields; the file hash covers everything else
+      if (participant.certificate_sha256 !== hashCertificate(pdfBuffer)) {
+        return res.json({
+          status: "modified",
+          authentic: true,
+          unmodified: false,
+          ...certificate,
+          message:
+            "The signed details are genuine, but this file differs from the certificate on record. It may have been edited or replaced by a newer copy.",
+        });
+      }
+
+      res.json({
+        status: "valid",
+        authentic: true,
+        unmodified: true,
+        ...certificate,
+        message: "This is an authentic, unmodified certificate",
+      });
+    } catch (error) {
+      console.error("Error verifying certificate file:", error);
+      res.status(500).json({ error: "Failed to verify certificate file" });
+    }
+  }
+);
+
+// POST endpoint - Revoke a certificate so verification reports it as invalid
+router.post(
+  "/api/revoke-certificate/:id",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { value, errors } = validate(
+        { reason: string({ maxLength: 500, multiline: true }) },
+        req.body
+      );
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+      const reason = value.reason;
+
+      const participant = await submissions.revoke(id, reason);
+
+      if (!participant) {
+        return res.status(404).json({ error: "Participant not found" });
+      }
+
+      const event = await getEventForSubmission(participant);
+
+      res.json({
+        message: "Certificate revoked",
+        certificateId: formatCertificateId(participant.id, event),
+      });
+    } catch (error) {
+      console.error("Error revoking certificate:", error);
+      res.status(500).json({ error: "Failed to revoke certificate" });
+    }
+  }
+);
+
+// POST endpoint - Disable the short links sent to a participant (e.g. after
+// one leaked); the next send creates a new link
+router.post(
+  "/api/revoke-certificate-links/:id",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const participant = await submissions.findById(req.params.id);
+      if (!participant) {
+        return res.status(404).json({ error: "Participant not found" });
+      }
+
+      const revoked = await revokeCertificateLinks(participant.id);
+
+      res.json({ message: "Certificate links revoked", revoked });
+    } catch (error) {
+      console.error("Error revoking certificate links:", error);
+      res.status(500).json({ error: "Failed to revoke certificate links" });
+    }
+  }
+);
+
+// POST endpoint - Render a sample certificate without creating a submission
+// Body: { participant, eventId | event (slug), templateId | template, format: "pdf" | "png", width }
+// Only reads the event/template; nothing is stored, uploaded or sent
+router.post(
+  "/api/certificates/preview",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const { value, errors } = validate(PREVIEW_SCHEMA, req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+      const {
+        participant = {},
+        eventId,
+        event: eventSlug,
+        templateId,
+        template: inlineTemplate,
+        format = "pdf",
+        width = 1000,
+      } = value;
+
+      const storedTemplate = templateId
+        ? await getTemplateById(templateId)
+        : null;
+      if (templateId && !storedTemplate) {
+        return res.status(404).json({ error: "Template not found" });
+      }
+
+      const event = eventId
+        ? await getEventById(eventId)
+        : eventSlug
+        ? await getEventBySlug(eventSlug)
+        : storedTemplate
+        ? await getEventById(storedTemplate.event_id)
+        : await getDefaultEvent();
+
+      if (!event) {
+        return res.status(404).json({ error: "Event not found" });
+      }
+
+      const template =
+        inlineTemplate ||
+        (storedTemplate && storedTemplate.definition) ||
+        (await getTemplateForEvent(event));
+
+      const { pdf: pdfBuffer, fitted } = await generateCertificate(
+        {
+          ...participant,
+          id: participant.id || 12345,
+          name: participant.name || "Participant Name",
+        },
+        event,
+        template,
+        { preview: true }
+      );
+
+      const layoutWarnings = getLayoutWarnings(fitted);
+      if (layoutWarnings.length > 0) {
+        res.setHeader(
+          "X-Certificate-Warnings",
+          layoutWarnings.map((warning) => warning.element).join(", ")
+        );
+      }
+
+      if (format === "png") {
+        const pngBuffer = await renderCertificateThumbnail(pdfBuffer, width);
+        res.setHeader("Content-Type", "image/png");
+        res.setHeader(
+          "Content-Disposition",
+          'inline; filename="certificate_preview.png"'
+        );
+        return res.send(pngBuffer);
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        'inline; filename="certificate_preview.pdf"'
+      );
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error("Error rendering certificate preview:", error);
+      res.status(500).json({ error: "Failed to render certificate preview" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require("express");
+const { requireRole } = require("../authService");
+const { sendValidationError } = require("../validation");
+const {
+  listEvents,
+  getEventById,
+  getEventBySlug,
+  createEvent,
+  getLockedEventChanges,
+  updateEvent,
+  deleteEvent,
+  validateEvent,
+} = require("../eventService");
+
+const router = express.Router();
+
+// GET endpoint - List events (?all=true includes inactive events)
+router.get("/api/events", requireRole("viewer"), async (req, res) => {
+  try {
+    const events = await listEvents({
+      includeInactive: req.query.all === "true",
+    });
+    res.json(events);
+  } catch (error) {
+    console.error("Error fetching events:", error);
+    res.status(500).json({ error: "Failed to fetch events" });
+  }
+});
+
+// GET endpoint - Fetch a single event by ID or slug
+router.get("/api/events/:idOrSlug", requireRole("viewer"), async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const event = /^\d+$/.test(idOrSlug)
+      ? await getEventById(parseInt(idOrSlug, 10))
+      : await getEventBySlug(idOrSlug);
+
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error("Error fetching event:", error);
+    res.status(500).json({ error: "Failed to fetch event" });
+  }
+});
+
+// POST endpoint - Create an event
+router.post("/api/events", requireRole("admin"), async (req, res) => {
+  try {
+    const { value, errors } = validateEvent(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (await getEventBySlug(value.slug)) {
+      return res
+        .status(409)
+        .json({ error: "An event with this slug already exists" });
+    }
+
+    const event = await createEvent(value);
+    res.status(201).json(event);
+  } catch (error) {
+    console.error("Error creating event:", error);
+    res.status(500).json({ error: "Failed to create event" });
+  }
+});
+
+// PUT endpoint - Update an event
+router.put("/api/events/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { value, errors } = validateEvent(req.body, { partial: true });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (value.slug) {
+      const existing = await getEventBySlug(value.slug);
+      if (existing && existing.id !== parseInt(id, 10)) {
+        return res
+          .status(409)
+          .json({ error: "An event with this slug already exists" });
+      }
+    }
+
+    const locked = await getLockedEventChanges(id, value);
+    if (locked.length > 0) {
+      return res.status(409).json({
+        error: `Event has submissions, so ${locked.join(
+          ", "
+        )} can no longer change: issued certificate IDs and signatures depend on them`,
+      });
+    }
+
+    const event = await updateEvent(id, value);
+
+    if (!event) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error("Error updating event:", error);
+    res.status(500).json({ error: "Failed to update event" });
+  }
+});
+
+// DELETE endpoint - Delete an event that has no submissions or job batches,
+// with its templates
+router.delete("/api/events/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const outcome = await deleteEvent(req.params.id);
+
+    if (outcome === "not_found") {
+      return res.status(404).json({ error: "Event not found" });
+    }
+
+    if (outcome === "in_use") {
+      return res.status(409).json({
+        error:
+          "Event has submissions or job batches and cannot be deleted. Set is_active to false instead.",
+      });
+    }
+
+    res.json({ message: "Event deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting event:", error);
+    res.status(500).json({ error: "Failed to delete event" });
+  }
+});
+
+module.exports = router;
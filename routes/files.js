@@ -0,0 +1,30 @@
+const express = require("express");
+const storage = require("../storage");
+
+const router = express.Router();
+
+// GET endpoint - Files of the local storage backend, linked by signedUrl
+router.get("/files/:name", async (req, res) => {
+  try {
+    const backend = storage.getStorage();
+    if (!backend.verifySignedUrl) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    const { name } = req.params;
+    const { expires, sig } = req.query;
+    if (!backend.verifySignedUrl(name, expires, sig)) {
+      return res.status(403).json({ error: "Link is invalid or has expired" });
+    }
+    if (!(await backend.exists(name))) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    res.sendFile(backend.filePath(name));
+  } catch (error) {
+    console.error("Error serving stored file:", error);
+    res.status(500).json({ error: "Failed to serve file" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const { requireRole } = require("../authService");
+const { getJob, formatJob, getBatchProgress } = require("../jobQueue");
+
+const router = express.Router();
+
+// GET endpoint - Certificate job progress
+router.get("/api/jobs/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const job = await getJob(parseInt(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({ error: "Failed to fetch job" });
+  }
+});
+
+// GET endpoint - Progress of a batch of jobs (an import or bulk action)
+router.get("/api/batches/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const batch = await getBatchProgress(parseInt(req.params.id));
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error("Error fetching batch:", error);
+    res.status(500).json({ error: "Failed to fetch batch" });
+  }
+});
+
+module.exports = router;
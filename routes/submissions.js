@@ -0,0 +1,389 @@
+const express = require("express");
+const bodyParser = require("body-parser");
+const multer = require("multer");
+const { getConnection } = require("../db");
+const { requireRole } = require("../authService");
+const { toValidationErrors, sendValidationError } = require("../validation");
+const { rateLimit, clientIp, recipientKeys } = require("../rateLimiter");
+const { isCaptchaEnabled, verifyCaptcha } = require("../captchaService");
+const {
+  parseIdempotencyKey,
+  hashRequest,
+  getStoredResponse,
+  reserveIdempotencyKey,
+  saveIdempotentResponse,
+  replayResponse,
+} = require("../idempotency");
+const { formatCertificateId, getVerificationUrl } = require("../certificateId");
+const { getEventBySlug, getDefaultEvent } = require("../eventService");
+const { validateSubmission } = require("../submissionService");
+const submissions = require("../submissionsRepository");
+const { enqueueCertificateJob } = require("../certificateJobs");
+const { getLatestJob, wakeJobWorker } = require("../jobQueue");
+const {
+  parseSubmissionFilters,
+  parseSubmissionSort,
+  parsePagination,
+} = require("../submissionFilters");
+const {
+  parseExportColumns,
+  exportSubmissions,
+} = require("../submissionExport");
+const {
+  parseImportFile,
+  planImport,
+  runImport,
+} = require("../submissionImport");
+const { listDeliveries } = require("../deliveryService");
+
+const router = express.Router();
+
+// Participant CSVs are parsed in memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// Limits on registrations, as "<requests>/<window>" (see rateLimiter.js)
+const limitSubmitByIp = rateLimit({
+  name: "submit-ip",
+  rate: process.env.RATE_LIMIT_SUBMIT_IP || "20/10m",
+});
+const limitSubmitByRecipient = rateLimit({
+  name: "submit-recipient",
+  rate: process.env.RATE_LIMIT_SUBMIT_RECIPIENT || "5/1h",
+  key: (req) => recipientKeys(req.body),
+  message: "Too many registrations for this email or phone number",
+});
+
+// POST endpoint - Register a participant and queue their certificate
+// An Idempotency-Key header makes retries of the same request safe: the
+// first response is replayed instead of registering twice
+// Limited per client IP and per email/phone; when CAPTCHA_PROVIDER is set,
+// a token from the form's CAPTCHA widget is required as well
+router.post(
+  "/api/submit",
+  limitSubmitByIp,
+  limitSubmitByRecipient,
+  async (req, res) => {
+    try {
+      const { key: idempotencyKey, errors: keyErrors } =
+        parseIdempotencyKey(req);
+      const { value: submission, errors } = validateSubmission(req.body);
+      if (keyErrors.length > 0 || errors.length > 0) {
+        return sendValidationError(res, [...keyErrors, ...errors]);
+      }
+
+      // A retry carries a fresh CAPTCHA token, so it is not part of the hash
+      const { captchaToken, ...fields } = req.body || {};
+      const requestHash = hashRequest(fields);
+      if (idempotencyKey) {
+        const stored = await getStoredResponse("submit", idempotencyKey);
+        if (stored) {
+          return replayResponse(res, stored, requestHash);
+        }
+      }
+
+      if (isCaptchaEnabled()) {
+        const token = req.get("X-Captcha-Token") || captchaToken;
+        if (!token) {
+          return sendValidationError(res, [
+            { field: "captchaToken", message: "captchaToken is required" },
+          ]);
+        }
+        if (!(await verifyCaptcha(token, clientIp(req)))) {
+          return res.status(403).json({ error: "CAPTCHA verification failed" });
+        }
+      }
+
+      const event = submission.event
+        ? await getEventBySlug(submission.event)
+        : await getDefaultEvent();
+
+      if (!event || !event.is_active) {
+        return sendValidationError(res, [
+          { field: "event", message: "Unknown or inactive event" },
+        ]);
+      }
+
+      const pool = await getConnection();
+
+      // The row and its certificate job are saved together, so every
+      // submission gets a certificate even if this process dies right after
+      const transaction = pool.transaction();
+      await transaction.begin();
+
+      let statusCode;
+      let body;
+      let job;
+      try {
+        if (
+          idempotencyKey &&
+          !(await reserveIdempotencyKey(
+            transaction,
+            "submit",
+            idempotencyKey,
+            requestHash
+          ))
+        ) {
+          // A request with the same key finished while this one waited
+          await transaction.rollback();
+          return replayResponse(
+            res,
+            await getStoredResponse("submit", idempotencyKey),
+            requestHash
+          );
+        }
+
+        const existing = await submissions.findDuplicate(event, submission, {
+          transaction,
+        });
+
+        if (existing) {
+          // Point to the certificate already issued rather than a second one
+          const certificateId = formatCertificateId(existing.id, event);
+          const latestJob = await getLatestJob(existing.id, transaction);
+          statusCode = 200;
+          body = {
+            message: existing.certificate_sent
+              ? "You are already registered. Your certificate was sent earlier."
+              : "You are already registered. Your certificate is being prepared and will be sent shortly.",
+            duplicate: true,
+            id: existing.id,
+            certificateId,
+            event: event.slug,
+            verificationUrl: getVerificationUrl(certificateId),
+            jobId: latestJob ? latestJob.id : null,
+            statusUrl: latestJob ? `/api/jobs/${latestJob.id}` : null,
+          };
+        } else {
+          const newId = await submissions.insert(
+            { ...submission, eventId: event.id },
+            { transaction }
+          );
+          job = await enqueueCertificateJob(newId, { transaction });
+          statusCode = 202;
+          body = {
+            message:
+              "Registration successful! Your certificate is being prepared and will be sent shortly.",
+            id: newId,
+            certificateId: formatCertificateId(newId, event),
+            event: event.slug,
+            jobId: job.id,
+            statusUrl: `/api/jobs/${job.id}`,
+          };
+        }
+
+        if (idempotencyKey) {
+          await saveIdempotentResponse(
+            transaction,
+            "submit",
+            idempotencyKey,
+            statusCode,
+            body
+          );
+        }
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+      if (job) {
+        wakeJobWorker();
+      }
+
+      res.status(statusCode).json(body);
+    } catch (error) {
+      console.error("Error submitting data:", error);
+      res.status(500).json({ error: "Failed to submit data" });
+    }
+  }
+);
+
+// GET endpoint - Fetch submissions, a page at a time
+// Query: q, city, state, country, eventId, from, to, sendMethod,
+// certificateSent, sort, order, page, pageSize
+router.get("/api/data", requireRole("viewer"), async (req, res) => {
+  try {
+    const { filters, errors: filterErrors } = parseSubmissionFilters(req.query);
+    const { orderBy, errors: sortErrors } = parseSubmissionSort(req.query);
+    const { page, pageSize, errors: pageErrors } = parsePagination(req.query);
+    const errors = [...filterErrors, ...sortErrors, ...pageErrors];
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { rows, total } = await submissions.list({
+      filters,
+      orderBy,
+      page,
+      pageSize,
+    });
+    res.json({
+      data: rows,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching data:", error);
+    res.status(500).json({ error: "Failed to fetch data" });
+  }
+});
+
+// GET endpoint - Export submissions as a spreadsheet
+// Query: format=csv|xlsx, columns=name,email,..., plus the /api/data
+// filters and sort
+router.get(
+  "/api/submissions/export",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const format = req.query.format || "csv";
+      const { filters, errors: filterErrors } = parseSubmissionFilters(
+        req.query
+      );
+      const { orderBy, errors: sortErrors } = parseSubmissionSort(req.query);
+      const { columns, errors: columnErrors } = parseExportColumns(
+        req.query.columns
+      );
+      const errors = [...filterErrors, ...sortErrors, ...columnErrors];
+      if (!["csv", "xlsx"].includes(format)) {
+        errors.push("format must be csv or xlsx");
+      }
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const count = await exportSubmissions(res, {
+        format,
+        filters,
+        orderBy,
+        columns,
+      });
+      console.log(`✓ Exported ${count} submissions as ${format}`);
+    } catch (error) {
+      console.error("Error exporting submissions:", error);
+      if (res.headersSent) {
+        // Part of the file is already out; cut it off so it is not
+        // mistaken for a complete export
+        return res.destroy(error);
+      }
+      res.status(500).json({ error: "Failed to export submissions" });
+    }
+  }
+);
+
+// POST endpoint - Import participants from a CSV
+// Accepts multipart/form-data (field "file") or a raw text/csv body.
+// Query: event (slug, default event if omitted), dryRun=true to only check
+router.post(
+  "/api/submissions/import",
+  requireRole("operator"),
+  bodyParser.text({ type: "text/csv", limit: "5mb" }),
+  csvUpload.single("file"),
+  async (req, res) => {
+    try {
+      const content = req.file
+        ? req.file.buffer
+        : typeof req.body === "string"
+        ? req.body
+        : null;
+      if (!content) {
+        return sendValidationError(res, [
+          {
+            field: "file",
+            message:
+              'Upload a CSV as multipart field "file" or a text/csv body',
+          },
+        ]);
+      }
+
+      const eventSlug = req.query.event || req.body.event;
+      const event = eventSlug
+        ? await getEventBySlug(eventSlug)
+        : await getDefaultEvent();
+      if (!event || !event.is_active) {
+        return sendValidationError(res, [
+          { field: "event", message: "Unknown or inactive event" },
+        ]);
+      }
+
+      const { rows, errors } = parseImportFile(content);
+      if (errors.length > 0) {
+        return sendValidationError(res, toValidationErrors(errors, "file"));
+      }
+
+      const plan = await planImport(rows, event);
+      const report = (entries) =>
+        entries.map(({ row, status, errors, data, submissionId }) => ({
+          row,
+          status,
+          name: data.name || null,
+          errors,
+          submissionId,
+        }));
+
+      if (req.query.dryRun === "true") {
+        return res.json({
+          dryRun: true,
+          event: event.slug,
+          summary: plan.summary,
+          rows: report(plan.rows),
+        });
+      }
+
+      const { batch, error } = await runImport(plan, event, {
+        createdBy: req.user.id,
+      });
+      const body = {
+        event: event.slug,
+        batchId: batch.id,
+        statusUrl: `/api/batches/${batch.id}`,
+        summary: plan.summary,
+        rows: report(plan.rows),
+      };
+      if (error) {
+        // The rows before the failure stay imported; say which those are
+        return res.status(500).json({
+          error: "Import stopped part way; rows marked failed were not saved",
+          ...body,
+        });
+      }
+      res.status(202).json(body);
+    } catch (error) {
+      console.error("Error importing submissions:", error);
+      res.status(500).json({ error: "Failed to import submissions" });
+    }
+  }
+);
+
+// GET endpoint - Delivery attempts for a submission, newest first
+router.get(
+  "/api/submissions/:id/deliveries",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const submission = await submissions.findById(req.params.id);
+      if (!submission) {
+        return res.status(404).json({ error: "Participant not found" });
+      }
+
+      res.json({
+        submissionId: submission.id,
+        certificateSent: Boolean(submission.certificate_sent),
+        certificateSentAt: submission.certificate_sent_at,
+        sendMethod: submission.send_method,
+        deliveries: await listDeliveries(submission.id),
+      });
+    } catch (error) {
+      console.error("Error fetching deliveries:", error);
+      res.status(500).json({ error: "Failed to fetch deliveries" });
+    }
+  }
+);
+
+module.exports = router;
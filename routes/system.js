@@ -0,0 +1,53 @@
+const express = require("express");
+const { requireRole } = require("../authService");
+const { phone, validate, sendValidationError } = require("../validation");
+const { rateLimit, recipientKeys } = require("../rateLimiter");
+const { sendTestEmail } = require("../emailService");
+const { sendTestSMS } = require("../smsService");
+
+const router = express.Router();
+
+const limitTestSmsByRecipient = rateLimit({
+  name: "test-sms-recipient",
+  rate: process.env.RATE_LIMIT_TEST_SMS || "5/1h",
+  key: (req) =>
+    recipientKeys({ phoneNumber: req.body && req.body.phoneNumber }),
+});
+
+// Test SMS endpoint
+router.post(
+  "/api/test-sms",
+  requireRole("admin"),
+  limitTestSmsByRecipient,
+  async (req, res) => {
+    try {
+      const { value, errors } = validate({ phoneNumber: phone() }, req.body);
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+      await sendTestSMS(value.phoneNumber || undefined);
+      res.json({ message: "Test SMS sent successfully" });
+    } catch (error) {
+      console.error("Error sending test SMS:", error);
+      res.status(500).json({ error: "Failed to send test SMS" });
+    }
+  }
+);
+
+// Test email endpoint
+router.post("/api/test-email", requireRole("admin"), async (req, res) => {
+  try {
+    await sendTestEmail();
+    res.json({ message: "Test email sent successfully" });
+  } catch (error) {
+    console.error("Error sending test email:", error);
+    res.status(500).json({ error: "Failed to send test email" });
+  }
+});
+
+// Health check
+router.get("/api/health", (req, res) => {
+  res.json({ status: "Server is running" });
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require("express");
+const { requireRole } = require("../authService");
+const { sendValidationError } = require("../validation");
+const { getEventById } = require("../eventService");
+const {
+  listTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  validateTemplateFields,
+} = require("../templateService");
+
+const router = express.Router();
+
+// GET endpoint - List certificate templates (?eventId= filters by event)
+router.get("/api/templates", requireRole("viewer"), async (req, res) => {
+  try {
+    const templates = await listTemplates({
+      eventId: req.query.eventId ? parseInt(req.query.eventId, 10) : null,
+    });
+    res.json(templates);
+  } catch (error) {
+    console.error("Error fetching templates:", error);
+    res.status(500).json({ error: "Failed to fetch templates" });
+  }
+});
+
+// GET endpoint - Fetch a single certificate template
+router.get("/api/templates/:id", requireRole("viewer"), async (req, res) => {
+  try {
+    const template = await getTemplateById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error("Error fetching template:", error);
+    res.status(500).json({ error: "Failed to fetch template" });
+  }
+});
+
+// POST endpoint - Create a certificate template for an event
+router.post("/api/templates", requireRole("admin"), async (req, res) => {
+  try {
+    const { value, errors } = validateTemplateFields(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (!(await getEventById(value.event_id))) {
+      return sendValidationError(res, [
+        { field: "event_id", message: "Event not found" },
+      ]);
+    }
+
+    const template = await createTemplate(value);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error("Error creating template:", error);
+    res.status(500).json({ error: "Failed to create template" });
+  }
+});
+
+// PUT endpoint - Update a certificate template
+router.put("/api/templates/:id", requireRole("admin"), async (req, res) => {
+  try {
+    // The event a template belongs to cannot be changed
+    const { name, definition, is_default } = req.body || {};
+    const { value, errors } = validateTemplateFields(
+      { name, definition, is_default },
+      { partial: true }
+    );
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const template = await updateTemplate(req.params.id, value);
+
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error("Error updating template:", error);
+    res.status(500).json({ error: "Failed to update template" });
+  }
+});
+
+// DELETE endpoint - Delete a certificate template
+router.delete("/api/templates/:id", requireRole("admin"), async (req, res) => {
+  try {
+    if (!(await deleteTemplate(req.params.id))) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    res.json({ message: "Template deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting template:", error);
+    res.status(500).json({ error: "Failed to delete template" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const { PUBLIC_BASE_URL } = require("../certificateId");
+const { validateTwilioSignature } = require("../smsService");
+const { updateDeliveryStatus } = require("../deliveryService");
+
+const router = express.Router();
+
+// POST endpoint - Twilio SMS status callback (form-encoded)
+// Twilio signs the public URL it posted to, so PUBLIC_BASE_URL must match it
+router.post("/api/webhooks/twilio/status", async (req, res) => {
+  try {
+    const url = `${PUBLIC_BASE_URL}${req.originalUrl}`;
+    if (
+      !validateTwilioSignature(req.get("X-Twilio-Signature"), url, req.body)
+    ) {
+      return res.status(403).json({ error: "Invalid Twilio signature" });
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode } = req.body;
+    const delivery = await updateDeliveryStatus(
+      MessageSid,
+      MessageStatus,
+      ErrorCode
+    );
+
+    if (!delivery) {
+      console.warn(`✗ Status callback for unknown SMS ${MessageSid}`);
+    } else {
+      console.log(
+        `✓ SMS ${MessageSid} for submission ${delivery.submission_id}: ${MessageStatus}`
+      );
+    }
+
+    // Twilio only needs a 2xx; unknown messages are not worth a retry
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error handling Twilio status callback:", error);
+    res.status(500).json({ error: "Failed to update delivery status" });
+  }
+});
+
+module.exports = router;
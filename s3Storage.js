@@ -0,0 +1,168 @@
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+// S3 presigned URLs are valid for at most seven days
+const MAX_URL_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+
+function isNotFound(error) {
+  return (
+    error.name === "NotFound" ||
+    error.name === "NoSuchKey" ||
+    error.name === "NoSuchBucket" ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404)
+  );
+}
+
+/**
+ * Storage in an S3 bucket or an S3-compatible service (MinIO, Cloudflare
+ * R2, ...)
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint] - For services other than AWS
+ * @param {string} [options.accessKeyId] - Default: the AWS SDK's own
+ *   lookup (AWS_ACCESS_KEY_ID, profiles, instance roles)
+ * @param {string} [options.secretAccessKey]
+ * @param {boolean} [options.forcePathStyle] - Needed by most non-AWS
+ *   services
+ * @returns {Object} - The storage interface, see storage.js
+ */
+function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+}) {
+  if (!bucket) {
+    throw new Error("S3 bucket is not configured");
+  }
+
+  const client = new S3Client({
+    region: region || "us-east-1",
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(forcePathStyle),
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  const storage = {
+    name: "s3",
+
+    async init() {
+      try {
+        await client.send(new HeadBucketCommand({ Bucket: bucket }));
+        console.log(`✓ Bucket "${bucket}" already exists`);
+      } catch (error) {
+        if (!isNotFound(error)) {
+          console.error("Error initializing S3 storage:", error.message);
+          throw error;
+        }
+        await client.send(new CreateBucketCommand({ Bucket: bucket })); // private by default
+        console.log(`✓ Bucket "${bucket}" created (private access)`);
+      }
+    },
+
+    async put(name, content, contentType = "application/pdf") {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: name,
+          Body: content,
+          ContentType: contentType,
+        })
+      );
+      console.log(`✓ File uploaded successfully: ${name}`);
+    },
+
+    async get(name) {
+      try {
+        const response = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: name })
+        );
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async stat(name) {
+      try {
+        const response = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: name })
+        );
+        return {
+          size: response.ContentLength,
+          etag: response.ETag,
+          lastModified: response.LastModified,
+          contentType: response.ContentType,
+        };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async stream(name, { start = 0, end } = {}) {
+      const response = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: name,
+          Range: `bytes=${start}-${end === undefined ? "" : end}`,
+        })
+      );
+      return response.Body;
+    },
+
+    async exists(name) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: name }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return false;
+        }
+        console.error("Error checking object existence:", error.message);
+        return false;
+      }
+    },
+
+    async delete(name) {
+      // S3 reports success whether or not the object was there
+      if (!(await storage.exists(name))) {
+        return false;
+      }
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: name }));
+      console.log(`✓ File deleted successfully: ${name}`);
+      return true;
+    },
+
+    async signedUrl(name, { expiresIn = MAX_URL_EXPIRY_SECONDS } = {}) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: name }),
+        { expiresIn: Math.min(expiresIn, MAX_URL_EXPIRY_SECONDS) }
+      );
+    },
+  };
+
+  return storage;
+}
+
+module.exports = { createS3Storage };
@@ -1,63 +1,96 @@
 const twilio = require("twilio");
+const { formatCertificateId, PUBLIC_BASE_URL } = require("./certificateId");
+const { interpolate } = require("./templateUtils");
+const { toE164 } = require("./validation");
 require("dotenv").config();
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
 const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
 
+// Twilio reports queued/sent/delivered/undelivered/failed here
+const STATUS_CALLBACK_URL = `${PUBLIC_BASE_URL}/api/webhooks/twilio/status`;
+
 let twilioClient;
 
+// Used for events that do not define their own SMS wording
+const DEFAULT_SMS_TEMPLATE = `Namaste {{participant.name}}!
+
+Your Certificate of Participation for {{event.name}} is now ready.
+
+View & download your certificate:
+{{certificate.url}}
+
+Certificate ID: {{certificate.id}}`;
+
 /**
  * Initialize Twilio client
  */
 function initializeTwilio() {
-  if (!accountSid || !authToken || !twilioPhoneNumber) {
-    throw new Error("Twilio credentials are not properly configured");
+  if (twilioClient) {
+    return twilioClient;
   }
 
-  if (!twilioClient) {
-    twilioClient = twilio(accountSid, authToken);
-    console.log("✓ Twilio client initialized");
+  if (!accountSid || !authToken || !twilioPhoneNumber) {
+    throw new Error("Twilio credentials are not properly configured");
   }
 
+  twilioClient = twilio(accountSid, authToken);
+  console.log("✓ Twilio client initialized");
   return twilioClient;
 }
 
+/**
+ * Send SMS through another client, e.g. a fake in tests
+ * @param {Object|null} client - Provides messages.create() like the
+ *   Twilio client
+ */
+function setTwilioClient(client) {
+  twilioClient = client;
+}
+
+/**
+ * A phone number in E.164 form, as Twilio expects it
+ * Numbers saved before submissions were validated may lack a country code;
+ * they are read as DEFAULT_PHONE_COUNTRY numbers.
+ * @param {string} phone
+ * @returns {string}
+ */
+function formatPhoneNumber(phone) {
+  const phoneNumber = toE164(phone);
+  if (!phoneNumber) {
+    throw new Error(`Invalid phone number: ${phone}`);
+  }
+  return phoneNumber;
+}
+
 /**
  * Send SMS with certificate link
  * @param {Object} participant - Participant data
  * @param {string} certificateUrl - Public URL of the certificate
+ * @param {Object} event - Event row supplying the message template
  * @returns {Promise<Object>}
  */
-async function sendCertificateSMS(participant, certificateUrl) {
+async function sendCertificateSMS(participant, certificateUrl, event) {
   try {
     const client = initializeTwilio();
 
-    // Format phone number (assuming Indian numbers)
-    let phoneNumber = participant.phone.trim();
-
-    // Add country code if not present
-    if (!phoneNumber.startsWith("+")) {
-      phoneNumber = `+91${phoneNumber}`; // Default to India (+91)
-    }
-
-    const message = `Namaste ${participant.name}! 🙏
-
-Your Certificate of Participation for Vemana Vignana Yatra is now ready.
-
-View & download your certificate:
-${certificateUrl}
-
-Certificate ID: VVY-${participant.id}-2026
+    const phoneNumber = formatPhoneNumber(participant.phone);
 
-May the wisdom of Yogi Vemana inspire lifelong learning.
-
-– Vemana Vignana Yatra Team`;
+    const message = interpolate(event.sms_template || DEFAULT_SMS_TEMPLATE, {
+      participant,
+      event,
+      certificate: {
+        id: formatCertificateId(participant.id, event),
+        url: certificateUrl,
+      },
+    });
 
     const messageResponse = await client.messages.create({
       body: message,
       from: twilioPhoneNumber,
       to: phoneNumber,
+      statusCallback: STATUS_CALLBACK_URL,
     });
 
     console.log(`✓ SMS sent successfully to ${phoneNumber}`);
@@ -66,6 +99,7 @@ May the wisdom of Yogi Vemana inspire lifelong learning.
     return {
       success: true,
       messageSid: messageResponse.sid,
+      status: messageResponse.status,
       to: phoneNumber,
     };
   } catch (error) {
@@ -74,6 +108,23 @@ May the wisdom of Yogi Vemana inspire lifelong learning.
   }
 }
 
+/**
+ * Check that a webhook request really comes from Twilio
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url - Full public URL Twilio posted to
+ * @param {Object} params - Form-encoded body
+ * @returns {boolean}
+ */
+function validateTwilioSignature(signature, url, params) {
+  if (!authToken) {
+    throw new Error("Twilio credentials are not properly configured");
+  }
+  return (
+    Boolean(signature) &&
+    twilio.validateRequest(authToken, signature, url, params)
+  );
+}
+
 /**
  * Send test SMS
  * @param {string} phoneNumber - Phone number to send test message
@@ -84,7 +135,7 @@ async function sendTestSMS(phoneNumber = "+919876543210") {
     const client = initializeTwilio();
 
     const message = await client.messages.create({
-      body: "Test message from Vemana Vignana Yatra Certificate System. SMS service is working correctly! 🙏",
+      body: "Test message from the Certificate System. SMS service is working correctly! 🙏",
       from: twilioPhoneNumber,
       to: phoneNumber,
     });
@@ -101,6 +152,9 @@ async function sendTestSMS(phoneNumber = "+919876543210") {
 }
 
 module.exports = {
+  formatPhoneNumber,
   sendCertificateSMS,
   sendTestSMS,
+  setTwilioClient,
+  validateTwilioSignature,
 };
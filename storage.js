@@ -0,0 +1,160 @@
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { PUBLIC_BASE_URL } = require("./certificateId");
+require("dotenv").config();
+
+/**
+ * Where certificates are kept, chosen by STORAGE_BACKEND
+ *
+ * Every backend implements the same interface:
+ *   init()                            - create the container/bucket/directory
+ *   put(name, content, contentType)   - store a Buffer under a name
+ *   get(name)                         - the Buffer, or null if there is none
+ *   stat(name)                        - { size, etag, lastModified,
+ *                                       contentType }, or null
+ *   stream(name, { start, end })      - a Readable of the bytes start to
+ *                                       end (inclusive), all by default
+ *   exists(name)                      - boolean
+ *   delete(name)                      - boolean, false if there was nothing
+ *   signedUrl(name, { expiresIn })    - a read-only link valid for
+ *                                       expiresIn seconds
+ */
+const STORAGE_BACKENDS = ["azure", "local", "s3"];
+
+function createStorageFromEnv() {
+  const backend = process.env.STORAGE_BACKEND || "azure";
+
+  if (backend === "azure") {
+    return require("./azureBlobService").azureBlobStorage;
+  }
+  if (backend === "local") {
+    const { createLocalFileStorage } = require("./localFileStorage");
+    return createLocalFileStorage({
+      dir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "storage"),
+      baseUrl: PUBLIC_BASE_URL,
+      secret:
+        process.env.STORAGE_SIGNING_SECRET ||
+        process.env.CERTIFICATE_SIGNING_SECRET,
+    });
+  }
+  if (backend === "s3") {
+    const { createS3Storage } = require("./s3Storage");
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    });
+  }
+  throw new Error(
+    `STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(", ")}`
+  );
+}
+
+let storage = null;
+
+/**
+ * The configured backend, created on first use
+ * @returns {Object}
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+  return storage;
+}
+
+/**
+ * Use another backend, e.g. a local directory in tests
+ * @param {Object} backend - Implements the interface above
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+async function initializeStorage() {
+  const backend = getStorage();
+  await backend.init();
+  return backend;
+}
+
+/**
+ * Stream a stored file as the response to a GET or HEAD request
+ * Honours a single-range Range header (206, or 416 when it lies outside
+ * the file) and answers If-None-Match / If-Modified-Since with 304.
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} name - Storage name
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Sent as an attachment under this name
+ * @returns {Promise<boolean>} - false, with nothing sent, if there is no such
+ *   file
+ */
+async function sendStoredFile(req, res, name, { fileName } = {}) {
+  const backend = getStorage();
+  const file = await backend.stat(name);
+  if (!file) {
+    return false;
+  }
+
+  res.type(file.contentType || path.extname(name));
+  if (fileName) {
+    // res.attachment encodes non-Latin names (filename*=UTF-8'')
+    res.attachment(fileName);
+  }
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", file.etag);
+  res.setHeader("Last-Modified", new Date(file.lastModified).toUTCString());
+  res.setHeader("Cache-Control", "private, no-cache");
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+
+  let start = 0;
+  let end = file.size - 1;
+  // A Range is only applied to the copy the client already has part of
+  const ifRange = req.get("If-Range");
+  const ranges =
+    req.get("Range") && (!ifRange || ifRange === file.etag)
+      ? req.range(file.size, { combine: true })
+      : null;
+  if (ranges === -1) {
+    res.setHeader("Content-Range", `bytes */${file.size}`);
+    res.status(416).end();
+    return true;
+  }
+  // Several ranges at once are answered with the whole file
+  if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+    ({ start, end } = ranges[0]);
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${file.size}`);
+  }
+  res.setHeader("Content-Length", String(end - start + 1));
+
+  if (req.method === "HEAD" || file.size === 0) {
+    res.end();
+    return true;
+  }
+  await pipeline(await backend.stream(name, { start, end }), res);
+  return true;
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorage,
+  setStorage,
+  initializeStorage,
+  put: (name, content, contentType) =>
+    getStorage().put(name, content, contentType),
+  get: (name) => getStorage().get(name),
+  stat: (name) => getStorage().stat(name),
+  stream: (name, range) => getStorage().stream(name, range),
+  exists: (name) => getStorage().exists(name),
+  delete: (name) => getStorage().delete(name),
+  signedUrl: (name, options) => getStorage().signedUrl(name, options),
+  sendStoredFile,
+};
@@ -0,0 +1,242 @@
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const ExcelJS = require("exceljs");
+const { formatCertificateId } = require("./certificateId");
+const submissions = require("./submissionsRepository");
+const { listEvents } = require("./eventService");
+
+/**
+ * Columns that can be exported, in their default order
+ * `value` reads the cell from a submission row and its event
+ */
+const EXPORT_COLUMNS = {
+  id: { header: "ID", value: (row) => row.id },
+  certificate_id: {
+    header: "Certificate ID",
+    value: (row, event) => (event ? formatCertificateId(row.id, event) : ""),
+  },
+  event: { header: "Event", value: (row, event) => (event ? event.name : "") },
+  name: { header: "Name", value: (row) => row.name },
+  name_local: { header: "Name (local script)", value: (row) => row.name_local },
+  email: { header: "Email", value: (row) => row.email },
+  phone: { header: "Phone", value: (row) => row.phone },
+  message: { header: "Message", value: (row) => row.message },
+  city: { header: "City", value: (row) => row.city },
+  state: { header: "State", value: (row) => row.state },
+  country: { header: "Country", value: (row) => row.country },
+  country_code: { header: "Country code", value: (row) => row.country_code },
+  full_address: { header: "Address", value: (row) => row.full_address },
+  latitude: { header: "Latitude", value: (row) => row.latitude },
+  longitude: { header: "Longitude", value: (row) => row.longitude },
+  certificate_sent: {
+    header: "Certificate sent",
+    value: (row) => (row.certificate_sent ? "yes" : "no"),
+  },
+  send_method: { header: "Sent by", value: (row) => row.send_method },
+  certificate_sent_at: {
+    header: "Sent at",
+    value: (row) => row.certificate_sent_at,
+  },
+  certificate_issued_at: {
+    header: "Issued at",
+    value: (row) => row.certificate_issued_at,
+  },
+  revoked_at: { header: "Revoked at", value: (row) => row.revoked_at },
+  created_at: { header: "Registered at", value: (row) => row.created_at },
+};
+
+// Exported when ?columns= is not given; location and message stay opt-in
+const DEFAULT_COLUMNS = [
+  "id",
+  "certificate_id",
+  "event",
+  "name",
+  "email",
+  "phone",
+  "city",
+  "state",
+  "country",
+  "certificate_sent",
+  "send_method",
+  "created_at",
+];
+
+/**
+ * Read ?columns=name,email,... against the exportable columns
+ * @param {string} [value]
+ * @returns {{columns: string[], errors: string[]}}
+ */
+function parseExportColumns(value) {
+  if (!value) {
+    return { columns: DEFAULT_COLUMNS, errors: [] };
+  }
+
+  const columns = String(value)
+    .split(",")
+    .map((column) => column.trim())
+    .filter(Boolean);
+  const unknown = columns.filter(
+    (column) => !Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, column)
+  );
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return {
+      columns: [],
+      errors: [
+        `columns must be a comma-separated list of ${Object.keys(
+          EXPORT_COLUMNS
+        ).join(", ")}`,
+      ],
+    };
+  }
+  return { columns, errors: [] };
+}
+
+/**
+ * Neutralise text a spreadsheet would run as a formula (=, +, -, @, tab,
+ * carriage return) by prefixing a quote. Plain numbers such as "+91 98..."
+ * or "-12.5" contain nothing to run and are left alone.
+ * @param {*} value
+ * @returns {*}
+ */
+function escapeFormula(value) {
+  if (typeof value !== "string" || !/^[=+\-@\t\r]/.test(value)) {
+    return value;
+  }
+  return /^[+-][\d\s().-]*$/.test(value) ? value : `'${value}`;
+}
+
+/**
+ * The exported cells of one submission
+ */
+function toCells(row, event, columns) {
+  return columns.map((column) => {
+    const value = EXPORT_COLUMNS[column].value(row, event);
+    if (value === null || value === undefined) {
+      return "";
+    }
+    return value instanceof Date ? value : escapeFormula(value);
+  });
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ */
+function toCsvField(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// XLSX rows written between checks that the client keeps up
+const XLSX_ROWS_PER_TURN = 100;
+
+/**
+ * Resolve once a response can take more data
+ * Rejects when the client has gone away, which no drain would follow.
+ */
+function whenWritable(res) {
+  if (res.destroyed) {
+    return Promise.reject(new Error("Client closed the connection"));
+  }
+  if (!res.writableNeedDrain) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      return error ? reject(error) : resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error("Client closed the connection"));
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+  });
+}
+
+/**
+ * Write submissions to a response as CSV or XLSX, one row at a time
+ * Rows are read only as fast as the client takes them; if it disconnects,
+ * the query is cancelled.
+ * @param {Object} res - Express response (headers not yet sent)
+ * @param {Object} options
+ * @param {string} options.format - "csv" or "xlsx"
+ * @param {Object} options.filters - From parseSubmissionFilters
+ * @param {string} options.orderBy - From parseSubmissionSort
+ * @param {string[]} options.columns - From parseExportColumns
+ * @returns {Promise<number>} - Rows written
+ */
+async function exportSubmissions(res, { format, filters, orderBy, columns }) {
+  const events = new Map(
+    (await listEvents({ includeInactive: true })).map((event) => [
+      event.id,
+      event,
+    ])
+  );
+  const rows = await submissions.stream(filters, orderBy);
+  const fileName = `submissions_${new Date().toISOString().slice(0, 10)}`;
+  const headers = columns.map((column) => EXPORT_COLUMNS[column].header);
+  let count = 0;
+
+  if (format === "xlsx") {
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.attachment(`${fileName}.xlsx`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useSharedStrings: false,
+      useStyles: true,
+    });
+    const sheet = workbook.addWorksheet("Submissions");
+    sheet.columns = headers.map((header) => ({ header, width: 20 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    // Rows are compressed on the thread pool, so the response only fills
+    // up once the event loop has had a turn; leaving the loop early
+    // destroys rows, which cancels the query
+    for await (const row of rows) {
+      if (count % XLSX_ROWS_PER_TURN === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+        await whenWritable(res);
+      }
+      sheet.addRow(toCells(row, events.get(row.event_id), columns)).commit();
+      count++;
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.attachment(`${fileName}.csv`);
+
+  // The byte order mark makes Excel read Telugu and other scripts as UTF-8
+  res.write(`\uFEFF${headers.map(toCsvField).join(",")}\r\n`);
+  await pipeline(
+    rows,
+    new Transform({
+      writableObjectMode: true,
+      transform(row, encoding, callback) {
+        count++;
+        const line = toCells(row, events.get(row.event_id), columns)
+          .map(toCsvField)
+          .join(",");
+        callback(null, `${line}\r\n`);
+      },
+    }),
+    res
+  );
+  return count;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  parseExportColumns,
+  escapeFormula,
+  exportSubmissions,
+};
@@ -0,0 +1,234 @@
+const { sql } = require("./db");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Sortable columns, by the name accepted in ?sort=
+ */
+const SORT_FIELDS = {
+  id: "id",
+  name: "name",
+  email: "email",
+  city: "city",
+  state: "state",
+  country: "country",
+  created_at: "created_at",
+  certificate_sent_at: "certificate_sent_at",
+};
+
+const SEND_METHODS = ["email", "sms", "none"];
+
+/**
+ * Query parameters read by parseSubmissionFilters
+ */
+const FILTER_FIELDS = [
+  "q",
+  "city",
+  "state",
+  "country",
+  "eventId",
+  "from",
+  "to",
+  "sendMethod",
+  "certificateSent",
+];
+
+/**
+ * Parse a date filter; a bare date as the end of a range covers that day
+ */
+function parseDate(value, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+/**
+ * Escape LIKE wildcards so a search for "50%" matches literally
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_[]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Read submission filters from a query string
+ * @param {Object} query - req.query
+ * @returns {{filters: Object, errors: string[]}}
+ */
+function parseSubmissionFilters(query) {
+  const errors = [];
+  const filters = {};
+
+  if (query.q && String(query.q).trim()) {
+    filters.search = String(query.q).trim();
+  }
+
+  ["city", "state", "country"].forEach((key) => {
+    if (query[key]) {
+      filters[key] = String(query[key]).trim();
+    }
+  });
+
+  if (query.eventId !== undefined) {
+    filters.eventId = parseInt(query.eventId, 10);
+    if (Number.isNaN(filters.eventId)) {
+      errors.push("eventId must be a number");
+    }
+  }
+
+  if (query.from) {
+    filters.from = parseDate(query.from);
+    if (!filters.from) {
+      errors.push("from must be a date");
+    }
+  }
+  if (query.to) {
+    filters.to = parseDate(query.to, { endOfDay: true });
+    if (!filters.to) {
+      errors.push("to must be a date");
+    }
+  }
+
+  if (query.sendMethod) {
+    if (SEND_METHODS.includes(query.sendMethod)) {
+      filters.sendMethod = query.sendMethod;
+    } else {
+      errors.push(`sendMethod must be one of ${SEND_METHODS.join(", ")}`);
+    }
+  }
+
+  if (query.certificateSent !== undefined) {
+    if (["true", "false"].includes(query.certificateSent)) {
+      filters.certificateSent = query.certificateSent === "true";
+    } else {
+      errors.push("certificateSent must be true or false");
+    }
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Add parameterised WHERE conditions for parsed filters to a request
+ * @param {Object} request - mssql Request the inputs are bound to
+ * @param {Object} filters - From parseSubmissionFilters
+ * @returns {string} - "WHERE ..." or an empty string
+ */
+function applySubmissionFilters(request, filters) {
+  const conditions = [];
+
+  if (filters.search) {
+    request.input(
+      "search",
+      sql.NVarChar(255),
+      `%${escapeLike(filters.search)}%`
+    );
+    conditions.push(
+      "(name LIKE @search ESCAPE '\\' OR name_local LIKE @search ESCAPE '\\' OR email LIKE @search ESCAPE '\\' OR phone LIKE @search ESCAPE '\\')"
+    );
+  }
+
+  ["city", "state", "country"].forEach((key) => {
+    if (filters[key]) {
+      request.input(key, sql.NVarChar(100), filters[key]);
+      conditions.push(`${key} = @${key}`);
+    }
+  });
+
+  if (filters.eventId !== undefined) {
+    request.input("event_id", sql.Int, filters.eventId);
+    conditions.push("event_id = @event_id");
+  }
+  if (filters.from) {
+    request.input("from", sql.DateTime, filters.from);
+    conditions.push("created_at >= @from");
+  }
+  if (filters.to) {
+    request.input("to", sql.DateTime, filters.to);
+    conditions.push("created_at < @to");
+  }
+
+  if (filters.sendMethod === "none") {
+    conditions.push("send_method IS NULL");
+  } else if (filters.sendMethod) {
+    request.input("send_method", sql.NVarChar(20), filters.sendMethod);
+    conditions.push("send_method = @send_method");
+  }
+
+  if (filters.certificateSent !== undefined) {
+    conditions.push(
+      filters.certificateSent
+        ? "certificate_sent = 1"
+        : "(certificate_sent = 0 OR certificate_sent IS NULL)"
+    );
+  }
+
+  return conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+}
+
+/**
+ * Read sorting from a query string: ?sort=name&order=asc
+ * Only columns in SORT_FIELDS are accepted, so the result is safe to
+ * put into ORDER BY
+ * @param {Object} query - req.query
+ * @returns {{orderBy: string, errors: string[]}}
+ */
+function parseSubmissionSort(query) {
+  const errors = [];
+  const field = query.sort || "created_at";
+  const order = String(query.order || "desc").toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, field)) {
+    errors.push(`sort must be one of ${Object.keys(SORT_FIELDS).join(", ")}`);
+  }
+  if (!["asc", "desc"].includes(order)) {
+    errors.push("order must be asc or desc");
+  }
+  if (errors.length > 0) {
+    return { orderBy: null, errors };
+  }
+
+  const direction = order.toUpperCase();
+  // id breaks ties so pages never overlap
+  const orderBy =
+    field === "id"
+      ? `ORDER BY id ${direction}`
+      : `ORDER BY ${SORT_FIELDS[field]} ${direction}, id ${direction}`;
+  return { orderBy, errors };
+}
+
+/**
+ * Read ?page= and ?pageSize=
+ * @param {Object} query - req.query
+ * @returns {{page: number, pageSize: number, errors: string[]}}
+ */
+function parsePagination(query) {
+  const errors = [];
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const pageSize =
+    query.pageSize === undefined
+      ? DEFAULT_PAGE_SIZE
+      : parseInt(query.pageSize, 10);
+
+  if (!(page >= 1)) {
+    errors.push("page must be a positive number");
+  }
+  if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+    errors.push(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { page, pageSize, errors };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  FILTER_FIELDS,
+  parseSubmissionFilters,
+  applySubmissionFilters,
+  parseSubmissionSort,
+  parsePagination,
+};
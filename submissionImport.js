@@ -0,0 +1,253 @@
+const { parse } = require("csv-parse/sync");
+const { getConnection } = require("./db");
+const { validateSubmission } = require("./submissionService");
+const submissions = require("./submissionsRepository");
+const { enqueueCertificateJob } = require("./certificateJobs");
+const { createBatch, failBatch, wakeJobWorker } = require("./jobQueue");
+const { toE164 } = require("./validation");
+
+const MAX_ROWS = 5000;
+// Rows inserted (with their jobs) per transaction
+const CHUNK_SIZE = 100;
+
+/**
+ * Accepted spellings of each column header, compared case-insensitively
+ */
+const HEADER_ALIASES = {
+  name: ["name", "full name", "participant", "participant name"],
+  nameLocal: ["name_local", "namelocal", "local name", "name (local script)"],
+  email: ["email", "e-mail", "email address"],
+  phone: ["phone", "mobile", "phone number", "mobile number"],
+  message: ["message"],
+  city: ["city"],
+  state: ["state"],
+  country: ["country"],
+};
+
+function toField(header) {
+  const normalized = String(header).trim().toLowerCase();
+  return Object.keys(HEADER_ALIASES).find((field) =>
+    HEADER_ALIASES[field].includes(normalized)
+  );
+}
+
+/**
+ * Parse an uploaded CSV into rows keyed by field name
+ * Columns with unrecognised headers are ignored.
+ * @param {Buffer|string} content
+ * @returns {{rows: Object[], errors: string[]}}
+ */
+function parseImportFile(content) {
+  let records;
+  try {
+    records = parse(content, {
+      bom: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+    });
+  } catch (error) {
+    return { rows: [], errors: [`Could not read CSV: ${error.message}`] };
+  }
+
+  if (records.length === 0) {
+    return { rows: [], errors: ["CSV is empty"] };
+  }
+
+  const fields = records[0].map(toField);
+  if (!fields.includes("name")) {
+    return { rows: [], errors: ["CSV must have a name column"] };
+  }
+  if (!fields.includes("email") && !fields.includes("phone")) {
+    return { rows: [], errors: ["CSV must have an email or phone column"] };
+  }
+  if (records.length - 1 > MAX_ROWS) {
+    return {
+      rows: [],
+      errors: [
+        `CSV has more than ${MAX_ROWS} rows; split it into smaller files`,
+      ],
+    };
+  }
+
+  const rows = records.slice(1).map((record) => {
+    const row = {};
+    fields.forEach((field, index) => {
+      if (field && record[index]) {
+        row[field] = record[index];
+      }
+    });
+    return row;
+  });
+  return { rows, errors: [] };
+}
+
+/**
+ * Check a row with the same rules as /api/submit
+ * @param {Object} row
+ * @returns {{value: Object, errors: Object[]}} - value is ready to insert
+ */
+function validateImportRow({ city, state, country, ...fields }) {
+  return validateSubmission({ ...fields, location: { city, state, country } });
+}
+
+/**
+ * Keys a participant is recognised by under the event's duplicate_check:
+ * lower-cased email, E.164 phone (or its digits, for numbers saved before
+ * phones were validated)
+ */
+function contactKeys({ email, phone }, check = "email_or_phone") {
+  const keys = [];
+  if (email && email.trim() && ["email", "email_or_phone"].includes(check)) {
+    keys.push(`email:${email.trim().toLowerCase()}`);
+  }
+  if (phone && phone.trim() && ["phone", "email_or_phone"].includes(check)) {
+    keys.push(`phone:${toE164(phone) || phone.replace(/\D/g, "")}`);
+  }
+  return keys;
+}
+
+/**
+ * Check every row and decide what an import would do with it
+ * Rows sharing an email or phone with an existing submission for the event,
+ * or with an earlier row of the file, are skipped as duplicates (as far as
+ * the event's duplicate_check compares them).
+ * @param {Object[]} rows - From parseImportFile
+ * @param {Object} event - Event row the participants are imported into
+ * @returns {Promise<Object>} - { summary, rows: [{ row, status, errors, data }] }
+ *   where data is the normalised submission of a valid row
+ */
+async function planImport(rows, event) {
+  const known = new Map();
+  (await submissions.listContacts(event.id)).forEach((contact) => {
+    contactKeys(contact, event.duplicate_check).forEach((key) =>
+      known.set(key, contact.id)
+    );
+  });
+
+  const seen = new Map();
+  const planned = rows.map((row, index) => {
+    // Line numbers as a spreadsheet shows them, after the header
+    const line = index + 2;
+    const { value: data, errors } = validateImportRow(row);
+    if (errors.length > 0) {
+      return { row: line, status: "invalid", errors, data: row };
+    }
+
+    const keys = contactKeys(data, event.duplicate_check);
+    const duplicateOf = (key, message) => ({
+      row: line,
+      status: "duplicate",
+      errors: [{ field: key.split(":")[0], message }],
+      data,
+    });
+    const existing = keys.find((key) => known.has(key));
+    if (existing) {
+      return duplicateOf(
+        existing,
+        `already registered as submission ${known.get(existing)}`
+      );
+    }
+    const repeated = keys.find((key) => seen.has(key));
+    if (repeated) {
+      return duplicateOf(repeated, `repeats row ${seen.get(repeated)}`);
+    }
+
+    keys.forEach((key) => seen.set(key, line));
+    return { row: line, status: "valid", errors: [], data };
+  });
+
+  const count = (status) =>
+    planned.filter((entry) => entry.status === status).length;
+  return {
+    summary: {
+      total: planned.length,
+      valid: count("valid"),
+      invalid: count("invalid"),
+      duplicate: count("duplicate"),
+    },
+    rows: planned,
+  };
+}
+
+/**
+ * Insert the valid rows of a plan and queue a certificate job for each,
+ * grouped in one batch
+ * Rows go in CHUNK_SIZE at a time, each chunk in its own transaction. If a
+ * chunk fails, the chunks before it stay imported, the batch is marked
+ * failed with its total cut to them, and the rest of the rows are reported
+ * as not imported.
+ * @param {Object} plan - From planImport
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {number} [options.createdBy] - Admin user ID
+ * @returns {Promise<Object>} - { batch, plan, error } with imported rows
+ *   marked; error is set when the import stopped part way
+ */
+async function runImport(plan, event, { createdBy } = {}) {
+  const valid = plan.rows.filter((entry) => entry.status === "valid");
+  const batch = await createBatch("import", {
+    eventId: event.id,
+    createdBy,
+    total: valid.length,
+    summary: plan.summary,
+  });
+
+  const pool = await getConnection();
+  let imported = 0;
+  try {
+    for (; imported < valid.length; imported += CHUNK_SIZE) {
+      const chunk = valid.slice(imported, imported + CHUNK_SIZE);
+      const transaction = pool.transaction();
+      await transaction.begin();
+      try {
+        for (const entry of chunk) {
+          entry.submissionId = await submissions.insert(
+            { ...entry.data, eventId: event.id },
+            { transaction }
+          );
+          await enqueueCertificateJob(entry.submissionId, {
+            transaction,
+            batchId: batch.id,
+          });
+        }
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        chunk.forEach((entry) => delete entry.submissionId);
+        throw error;
+      }
+      chunk.forEach((entry) => {
+        entry.status = "imported";
+      });
+      // Start on the first chunks while the rest are still being inserted
+      wakeJobWorker();
+    }
+  } catch (error) {
+    console.error(
+      `✗ Import into ${event.slug} stopped after ${imported} of ${valid.length} participants (batch ${batch.id}):`,
+      error.message
+    );
+    await failBatch(batch.id, { total: imported, error: error.message });
+    valid.slice(imported).forEach((entry) => {
+      entry.status = "failed";
+      entry.errors = [{ field: "row", message: "Not imported" }];
+    });
+    return {
+      batch: { ...batch, total: imported, error: error.message },
+      plan,
+      error,
+    };
+  }
+
+  console.log(
+    `✓ Imported ${valid.length} participants into ${event.slug} (batch ${batch.id})`
+  );
+  return { batch, plan };
+}
+
+module.exports = {
+  parseImportFile,
+  planImport,
+  runImport,
+};
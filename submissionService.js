@@ -0,0 +1,63 @@
+const {
+  string,
+  email,
+  phone,
+  number,
+  date,
+  object,
+  validate,
+} = require("./validation");
+
+/**
+ * What a participant can send to /api/submit (or in an import row)
+ */
+const SUBMISSION_SCHEMA = {
+  name: string({ required: true, maxLength: 255 }),
+  nameLocal: string({ maxLength: 255 }),
+  email: email(),
+  phone: phone(),
+  message: string({ maxLength: 2000, multiline: true }),
+  event: string({ maxLength: 100 }),
+  location: object({
+    latitude: number({ min: -90, max: 90 }),
+    longitude: number({ min: -180, max: 180 }),
+    accuracy: number({ min: 0, max: 1000000 }),
+    city: string({ maxLength: 100 }),
+    state: string({ maxLength: 100 }),
+    country: string({ maxLength: 100 }),
+    countryCode: string({
+      maxLength: 2,
+      pattern: /^[A-Za-z]{2}$/,
+      patternMessage: "must be a two-letter country code",
+    }),
+    fullAddress: string({ maxLength: 1000 }),
+    timestamp: date(),
+  }),
+};
+
+/**
+ * Check and normalise a submission: names trimmed, email lower-cased,
+ * phone in E.164 form, location in range
+ * @param {Object} data - e.g. req.body
+ * @returns {{value: Object, errors: {field: string, message: string}[]}}
+ */
+function validateSubmission(data) {
+  const { value, errors } = validate(SUBMISSION_SCHEMA, data);
+  const invalid = new Set(errors.map((error) => error.field));
+  if (
+    !value.email &&
+    !value.phone &&
+    !invalid.has("email") &&
+    !invalid.has("phone")
+  ) {
+    errors.push({ field: "email", message: "email or phone is required" });
+  }
+  if (value.location && value.location.countryCode) {
+    value.location.countryCode = value.location.countryCode.toUpperCase();
+  }
+  return { value, errors };
+}
+
+module.exports = {
+  validateSubmission,
+};
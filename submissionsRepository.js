@@ -0,0 +1,344 @@
+const { getConnection, sql } = require("./db");
+const { applySubmissionFilters } = require("./submissionFilters");
+
+/**
+ * All SQL against the submissions table
+ *
+ * Functions that may run inside a transaction take { transaction } as their
+ * last argument, like enqueueJob; without it they use the shared pool.
+ */
+
+async function newRequest(transaction) {
+  return transaction
+    ? transaction.request()
+    : (await getConnection()).request();
+}
+
+/**
+ * A submission row
+ * @param {number} id
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object|null>}
+ */
+async function findById(id, { transaction } = {}) {
+  const request = await newRequest(transaction);
+  const result = await request
+    .input("id", sql.Int, id)
+    .query("SELECT * FROM submissions WHERE id = @id");
+  return result.recordset[0] || null;
+}
+
+/**
+ * Insert a submission row
+ * @param {Object} data - { eventId, name, nameLocal, email, phone, message, location }
+ *   where location is { latitude, longitude, accuracy, city, state, country,
+ *   countryCode, fullAddress, timestamp }
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<number>} - The new submission ID
+ */
+async function insert(
+  { eventId, name, nameLocal, email, phone, message, location },
+  { transaction } = {}
+) {
+  const request = await newRequest(transaction);
+  const result = await request
+    .input("event_id", sql.Int, eventId)
+    .input("name", sql.NVarChar, name)
+    .input("name_local", sql.NVarChar, nameLocal || null)
+    .input("email", sql.NVarChar, email || "")
+    .input("phone", sql.NVarChar, phone || "")
+    .input("message", sql.NVarChar, message || "")
+    .input("latitude", sql.Float, location?.latitude || null)
+    .input("longitude", sql.Float, location?.longitude || null)
+    .input("location_accuracy", sql.Float, location?.accuracy || null)
+    .input("city", sql.NVarChar, location?.city || null)
+    .input("state", sql.NVarChar, location?.state || null)
+    .input("country", sql.NVarChar, location?.country || null)
+    .input("country_code", sql.NVarChar, location?.countryCode || null)
+    .input("full_address", sql.NVarChar, location?.fullAddress || null)
+    .input(
+      "location_timestamp",
+      sql.DateTime,
+      location?.timestamp ? new Date(location.timestamp) : null
+    ).query(`
+      INSERT INTO submissions (
+        event_id, name, name_local, email, phone, message,
+        latitude, longitude, location_accuracy,
+        city, state, country, country_code,
+        full_address, location_timestamp
+      )
+      VALUES (
+        @event_id, @name, @name_local, @email, @phone, @message,
+        @latitude, @longitude, @location_accuracy,
+        @city, @state, @country, @country_code,
+        @full_address, @location_timestamp
+      );
+      SELECT SCOPE_IDENTITY() AS id;
+    `);
+
+  return result.recordset[0].id;
+}
+
+/**
+ * An earlier registration for the same event by the same person, according
+ * to the event's duplicate_check
+ * Run it in the transaction that inserts the new row: the range lock it
+ * takes makes a simultaneous registration wait instead of slipping past.
+ * Emails are stored trimmed and lower-cased and phones in E.164 form, so
+ * both are compared as stored; the lookup seeks the (event_id, email) and
+ * (event_id, phone) indexes and only locks the keys it asks for.
+ * @param {Object} event - Event row
+ * @param {Object} submission - Validated { email, phone }
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object|null>} - The earlier submission row
+ */
+async function findDuplicate(event, { email, phone }, { transaction } = {}) {
+  const check = event.duplicate_check || "email_or_phone";
+  const request = await newRequest(transaction);
+  const conditions = [];
+  if (email && ["email", "email_or_phone"].includes(check)) {
+    request.input("email", sql.NVarChar(255), email);
+    conditions.push("email = @email");
+  }
+  if (phone && ["phone", "email_or_phone"].includes(check)) {
+    request.input("phone", sql.NVarChar(50), phone);
+    conditions.push("phone = @phone");
+  }
+  if (conditions.length === 0) {
+    return null;
+  }
+
+  const result = await request.input("event_id", sql.Int, event.id).query(`
+    SELECT TOP (1) * FROM submissions WITH (UPDLOCK, HOLDLOCK)
+    WHERE event_id = @event_id AND (${conditions.join(" OR ")})
+    ORDER BY id
+  `);
+  return result.recordset[0] || null;
+}
+
+/**
+ * Emails and phone numbers already registered for an event
+ * @param {number} eventId
+ * @returns {Promise<Object[]>} - { id, email, phone } rows
+ */
+async function listContacts(eventId) {
+  const request = await newRequest();
+  const result = await request
+    .input("event_id", sql.Int, eventId)
+    .query(
+      "SELECT id, email, phone FROM submissions WHERE event_id = @event_id"
+    );
+  return result.recordset;
+}
+
+/**
+ * One page of the submissions matching filters
+ * @param {Object} options
+ * @param {Object} options.filters - From parseSubmissionFilters
+ * @param {string} options.orderBy - From parseSubmissionSort
+ * @param {number} options.page - 1-based
+ * @param {number} options.pageSize
+ * @returns {Promise<{rows: Object[], total: number}>}
+ */
+async function list({ filters, orderBy, page, pageSize }) {
+  const request = await newRequest();
+  const where = applySubmissionFilters(request, filters);
+  request.input("offset", sql.Int, (page - 1) * pageSize);
+  request.input("page_size", sql.Int, pageSize);
+
+  const result = await request.query(`
+    SELECT COUNT(*) AS total FROM submissions ${where};
+    SELECT * FROM submissions ${where}
+    ${orderBy}
+    OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY;
+  `);
+  return { rows: result.recordsets[1], total: result.recordsets[0][0].total };
+}
+
+/**
+ * Stream the submissions matching filters with back pressure
+ * Destroying the stream before it ends cancels the query, so its pooled
+ * connection is not held by a reader that has gone away.
+ * @param {Object} filters - From parseSubmissionFilters
+ * @param {string} orderBy - From parseSubmissionSort
+ * @returns {Promise<stream.Readable>} - Object mode, one row per chunk
+ */
+async function stream(filters, orderBy) {
+  const request = await newRequest();
+  const where = applySubmissionFilters(request, filters);
+  const rows = request.toReadableStream({ highWaterMark: 100 });
+  rows.once("close", () => {
+    if (!rows.readableEnded) {
+      request.cancel();
+    }
+  });
+  request.query(`SELECT * FROM submissions ${where} ${orderBy}`);
+  return rows;
+}
+
+/**
+ * The submissions a bulk action covers, given by IDs or by filters
+ * @param {Object} options
+ * @param {number[]} [options.ids]
+ * @param {Object} [options.filters] - From parseSubmissionFilters
+ * @param {number} options.limit - Most rows returned
+ * @returns {Promise<{matched: number, rows: Object[]}>} - rows hold id,
+ *   email, phone and revoked_at, by ID
+ */
+async function findForBulk({ ids, filters, limit }) {
+  const request = await newRequest();
+  let where;
+  if (ids) {
+    request.input("ids", sql.NVarChar(sql.MAX), JSON.stringify(ids));
+    where = "WHERE id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))";
+  } else {
+    where = applySubmissionFilters(request, filters);
+  }
+
+  const result = await request.query(`
+    SELECT COUNT(*) AS total FROM submissions ${where};
+    SELECT TOP (${parseInt(limit)}) id, email, phone, revoked_at
+    FROM submissions ${where} ORDER BY id;
+  `);
+  return { matched: result.recordsets[0][0].total, rows: result.recordsets[1] };
+}
+
+/**
+ * How many submissions belong to an event
+ * @param {number} eventId
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<number>}
+ */
+async function countByEvent(eventId, { transaction } = {}) {
+  const request = await newRequest(transaction);
+  const result = await request
+    .input("event_id", sql.Int, eventId)
+    .query(
+      "SELECT COUNT(*) AS count FROM submissions WHERE event_id = @event_id"
+    );
+  return result.recordset[0].count;
+}
+
+/**
+ * Attach submissions saved before events existed to an event
+ * @param {number} eventId
+ */
+async function assignOrphansToEvent(eventId) {
+  const request = await newRequest();
+  await request
+    .input("event_id", sql.Int, eventId)
+    .query(
+      "UPDATE submissions SET event_id = @event_id WHERE event_id IS NULL"
+    );
+}
+
+/**
+ * Fix the issue date the first time a certificate is drawn, so a redraw
+ * signs the same date
+ * @param {number} id
+ */
+async function markIssued(id) {
+  const request = await newRequest();
+  await request
+    .input("id", sql.Int, id)
+    .query(
+      "UPDATE submissions SET certificate_issued_at = GETDATE() WHERE id = @id AND certificate_issued_at IS NULL"
+    );
+}
+
+/**
+ * Record an uploaded certificate
+ * @param {number} id
+ * @param {Object} certificate
+ * @param {string} certificate.path - Storage name
+ * @param {string} certificate.sha256 - From hashCertificate
+ * @param {Date} [certificate.issuedAt] - Left as it is when omitted
+ */
+async function saveCertificate(id, { path, sha256, issuedAt }) {
+  const request = await newRequest();
+  request
+    .input("id", sql.Int, id)
+    .input("certificate_path", sql.NVarChar, path)
+    .input("certificate_sha256", sql.NVarChar, sha256);
+  const columns = [
+    "certificate_path = @certificate_path",
+    "certificate_sha256 = @certificate_sha256",
+  ];
+  if (issuedAt) {
+    request.input("certificate_issued_at", sql.DateTime, issuedAt);
+    columns.push("certificate_issued_at = @certificate_issued_at");
+  }
+  await request.query(
+    `UPDATE submissions SET ${columns.join(", ")} WHERE id = @id`
+  );
+}
+
+/**
+ * Record that the certificate reached the participant
+ * @param {number} id
+ * @param {string} sendMethod - "email" or "sms"
+ */
+async function markSent(id, sendMethod) {
+  const request = await newRequest();
+  await request
+    .input("id", sql.Int, id)
+    .input("send_method", sql.NVarChar, sendMethod)
+    .query(
+      "UPDATE submissions SET certificate_sent = 1, certificate_sent_at = GETDATE(), send_method = @send_method WHERE id = @id"
+    );
+}
+
+/**
+ * Clear certificate_sent after a delivery failed late (e.g. an SMS status
+ * callback), unless a newer attempt has been made since
+ * @param {number} id
+ * @param {number} deliveryId - The failed attempt
+ */
+async function markUnsent(id, deliveryId) {
+  const request = await newRequest();
+  await request
+    .input("submission_id", sql.Int, id)
+    .input("delivery_id", sql.Int, deliveryId).query(`
+      UPDATE submissions SET certificate_sent = 0
+      WHERE id = @submission_id
+        AND NOT EXISTS (
+          SELECT 1 FROM deliveries
+          WHERE submission_id = @submission_id AND id > @delivery_id
+        )
+    `);
+}
+
+/**
+ * Mark a certificate as revoked
+ * @param {number} id
+ * @param {string} [reason]
+ * @returns {Promise<Object|null>} - { id, event_id }, or null if there is no
+ *   such submission
+ */
+async function revoke(id, reason) {
+  const request = await newRequest();
+  const result = await request
+    .input("id", sql.Int, id)
+    .input("revocation_reason", sql.NVarChar, reason || null)
+    .query(
+      "UPDATE submissions SET revoked_at = GETDATE(), revocation_reason = @revocation_reason OUTPUT INSERTED.id, INSERTED.event_id WHERE id = @id"
+    );
+  return result.recordset[0] || null;
+}
+
+module.exports = {
+  findById,
+  insert,
+  findDuplicate,
+  listContacts,
+  list,
+  stream,
+  findForBulk,
+  countByEvent,
+  assignOrphansToEvent,
+  markIssued,
+  saveCertificate,
+  markSent,
+  markUnsent,
+  revoke,
+};
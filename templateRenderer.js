@@ -0,0 +1,616 @@
+const fs = require("fs");
+const path = require("path");
+const { imageSize } = require("image-size");
+const sharp = require("sharp");
+const QRCode = require("qrcode");
+const { interpolate, resolvePath } = require("./templateUtils");
+const { selectFont } = require("./fontRegistry");
+
+// Cache directory for optimized images
+const CACHE_DIR = path.join(__dirname, "certificates", ".image-cache");
+
+const ELEMENT_TYPES = ["background", "image", "text", "line", "qr"];
+
+// Limits on the numbers in a template, so one definition cannot stall the
+// renderer (text fitting steps down a point at a time from its size)
+const MAX_EXTENT = 5000; // points; an A0 page is 2384 x 3370
+const MAX_FONT_SIZE = 200;
+const MAX_QR_SIZE = 500;
+const MAX_FIT_LINES = 20;
+const MAX_OPTIMIZE_WIDTH = 4000; // pixels
+
+// Template images are named from a root such as this directory, and must
+// live in its images folder, e.g. "images/logo_left.png"
+const IMAGES_FOLDER = "images";
+
+/**
+ * Where an image src points under a root, or null if that is outside the
+ * root's images folder
+ */
+function imagePathUnder(root, src) {
+  const file = path.resolve(root, src);
+  const relative = path.relative(path.join(root, IMAGES_FOLDER), file);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    return null;
+  }
+  return file;
+}
+
+/**
+ * Find a template asset such as "images/logo_left.png"
+ * Looks next to this file first, then in the working directory; only files
+ * inside an images folder are returned
+ */
+function resolveAssetPath(src) {
+  const candidates = [
+    __dirname,
+    process.cwd(),
+    path.join(process.cwd(), "server"),
+  ].map((root) => imagePathUnder(root, src));
+  return (
+    candidates.find((candidate) => candidate && fs.existsSync(candidate)) ||
+    null
+  );
+}
+
+/**
+ * Coordinates may be negative to measure from the right/bottom edge
+ * e.g. y: -55 on an A4 landscape page is 55pt above the bottom
+ */
+function resolveCoordinate(value, pageSize, fallback = 0) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  return value < 0 ? pageSize + value : value;
+}
+
+/**
+ * Resolve a y coordinate, pushing top-anchored elements down by the extra
+ * height of any wrapped text block drawn above them
+ */
+function resolveY(layout, value, pageHeight) {
+  const y = resolveCoordinate(value, pageHeight);
+  if (value === undefined || value === null || value < 0) {
+    return y;
+  }
+  return layout.shifts
+    .filter((shift) => shift.fromY < y)
+    .reduce((total, shift) => total + shift.amount, y);
+}
+
+/**
+ * Look up a palette name ("gold") or pass a literal colour through
+ */
+function resolveColor(template, color, fallback = "#000000") {
+  if (!color) {
+    return fallback;
+  }
+  return (template.palette && template.palette[color]) || color;
+}
+
+/**
+ * Optimize and resize image for PDF embedding
+ * Returns path to optimized image
+ */
+async function optimizeImage(imagePath, maxWidth = 1200) {
+  // Create cache directory if it doesn't exist
+  if (!fs.existsSync(CACHE_DIR)) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+  }
+
+  const fileName = path.basename(imagePath);
+  const cachedPath = path.join(CACHE_DIR, `optimized_${fileName}`);
+
+  // Return cached version if it exists
+  if (fs.existsSync(cachedPath)) {
+    return cachedPath;
+  }
+
+  // Optimize the image
+  try {
+    await sharp(imagePath)
+      .resize(maxWidth, null, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: 85 }) // Convert to JPEG with 85% quality
+      .toFile(cachedPath);
+
+    console.log(`  → Optimized: ${fileName} (cached)`);
+    return cachedPath;
+  } catch (error) {
+    console.warn(`  → Could not optimize ${fileName}, using original`);
+    return imagePath;
+  }
+}
+
+/**
+ * Draw background image to cover the entire page
+ */
+async function drawBackground(doc, element) {
+  const imagePath = resolveAssetPath(element.src);
+  if (!imagePath) {
+    console.warn(`Background image not found: ${element.src}`);
+    return;
+  }
+
+  try {
+    const pageWidth = doc.page.width;
+    const pageHeight = doc.page.height;
+
+    // Optimize image first
+    const optimizedPath = await optimizeImage(
+      imagePath,
+      element.optimizeWidth || 1200
+    );
+
+    // Read optimized file into buffer
+    const buffer = fs.readFileSync(optimizedPath);
+    const imgDimensions = imageSize(buffer);
+    const imgWidth = imgDimensions.width;
+    const imgHeight = imgDimensions.height;
+
+    const scale = Math.max(pageWidth / imgWidth, pageHeight / imgHeight);
+    const drawWidth = imgWidth * scale;
+    const drawHeight = imgHeight * scale;
+
+    const x = (pageWidth - drawWidth) / 2;
+    const y = (pageHeight - drawHeight) / 2;
+
+    doc.image(optimizedPath, x, y, {
+      width: drawWidth,
+      height: drawHeight,
+    });
+  } catch (error) {
+    console.error("✗ Error loading background image:", error.message);
+  }
+}
+
+/**
+ * Draw an image with a fixed height, positioned by its left edge (x) or
+ * its horizontal centre (centerX)
+ */
+async function drawImage(doc, element, layout) {
+  const imagePath = resolveAssetPath(element.src);
+  if (!imagePath) {
+    console.warn(`✗ Image not found: ${element.src}`);
+    return;
+  }
+
+  try {
+    // Logos are small, so a smaller optimized width is enough
+    const optimizedPath = await optimizeImage(
+      imagePath,
+      element.optimizeWidth || 400
+    );
+
+    const buffer = fs.readFileSync(optimizedPath);
+    const imgDimensions = imageSize(buffer);
+
+    const drawHeight = element.height || imgDimensions.height;
+    const drawWidth =
+      element.width ||
+      imgDimensions.width * (drawHeight / imgDimensions.height);
+
+    const x =
+      element.centerX !== undefined
+        ? resolveCoordinate(element.centerX, doc.page.width) - drawWidth / 2
+        : resolveCoordinate(element.x, doc.page.width);
+    const y = resolveY(layout, element.y, doc.page.height);
+
+    doc.image(optimizedPath, x, y, {
+      width: drawWidth,
+      height: drawHeight,
+    });
+  } catch (error) {
+    console.error("✗ Error loading image:", error.message);
+  }
+}
+
+/**
+ * Break text into lines no wider than `width` at the current font size
+ * Words longer than a line are left on a line of their own
+ */
+function wrapWords(doc, text, width) {
+  const lines = [];
+  let line = "";
+
+  text.split(/\s+/).forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && doc.widthOfString(candidate) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Find the largest font size at which text fits its box: first shrink a
+ * single line down to fit.minSize, then try wrapping onto fit.maxLines
+ * @returns {{size: number, lines: string[], overflow: boolean}}
+ */
+function fitText(doc, text, size, width, fit) {
+  const minSize = Math.min(fit.minSize || size, size);
+  const maxLines = fit.maxLines || 1;
+  if (!(width > 0)) {
+    doc.fontSize(minSize);
+    return { size: minSize, lines: [text], overflow: true };
+  }
+
+  for (let candidate = size; candidate >= minSize; candidate -= 1) {
+    doc.fontSize(candidate);
+    if (doc.widthOfString(text) <= width) {
+      return { size: candidate, lines: [text], overflow: false };
+    }
+  }
+
+  if (maxLines > 1) {
+    for (let candidate = size; candidate >= minSize; candidate -= 1) {
+      doc.fontSize(candidate);
+      const lines = wrapWords(doc, text, width);
+      if (
+        lines.length <= maxLines &&
+        lines.every((line) => doc.widthOfString(line) <= width)
+      ) {
+        return { size: candidate, lines, overflow: false };
+      }
+    }
+  }
+
+  // Nothing fits: draw at the minimum size and let PDFKit wrap
+  doc.fontSize(minSize);
+  return { size: minSize, lines: [text], overflow: true };
+}
+
+/**
+ * Draw a text block, optionally underlined
+ * Without an explicit width the block spans from x to the right edge.
+ * Non-Latin text is drawn with the configured font for its script.
+ * Blocks with a `fit` option shrink and wrap to stay inside their width.
+ */
+function drawText(doc, template, element, context, layout) {
+  let text = interpolate(element.text, context);
+  if (element.uppercase) {
+    text = text.toUpperCase();
+  }
+  if (!text) {
+    return;
+  }
+
+  const font = selectFont(text, element.font || "Helvetica", template.fonts);
+  const size = element.size || 12;
+  const align = element.align || "center";
+  const x = resolveCoordinate(element.x, doc.page.width);
+  let y = resolveY(layout, element.y, doc.page.height);
+  const width =
+    element.width === null
+      ? undefined
+      : element.width === undefined
+      ? doc.page.width - x
+      : resolveCoordinate(element.width, doc.page.width);
+
+  doc
+    .font(font)
+    .fontSize(size)
+    .fillColor(resolveColor(template, element.color));
+
+  let lines = [text];
+  let lastLineY = y;
+
+  if (element.fit && width !== undefined) {
+    const lineHeight = doc.currentLineHeight(true);
+    const fitted = fitText(doc, text, size, width, element.fit);
+    const blockHeight = fitted.lines.length * doc.currentLineHeight(true);
+    const extra = blockHeight - lineHeight;
+
+    // Keep the block centred on its original line; a taller (wrapped)
+    // block also pushes the elements below it down by half the extra
+    y -= extra / 2;
+    if (extra > 0) {
+      layout.shifts.push({ fromY: y + extra / 2, amount: extra / 2 });
+    }
+
+    if (fitted.overflow || fitted.size < size || fitted.lines.length > 1) {
+      layout.fitted.push({
+        id: element.id || element.text,
+        text,
+        fontSize: fitted.size,
+        lines: fitted.lines.length,
+        overflow: fitted.overflow,
+      });
+    }
+
+    lines = fitted.lines;
+    fitted.lines.forEach((line, index) => {
+      lastLineY = y + index * doc.currentLineHeight(true);
+      doc.text(line, x, lastLineY, {
+        align,
+        width,
+        lineBreak: fitted.overflow,
+      });
+    });
+  } else {
+    doc.text(text, x, y, width === undefined ? { align } : { align, width });
+  }
+
+  if (element.underline) {
+    const underlined = lines[lines.length - 1];
+    const textWidth = doc.widthOfString(underlined);
+    const blockWidth = width === undefined ? textWidth : width;
+    const startX =
+      align === "center"
+        ? x + (blockWidth - textWidth) / 2
+        : align === "right"
+        ? x + blockWidth - textWidth
+        : x;
+    const underlineY =
+      lastLineY + (element.underline.offset || doc._fontSize * 0.8);
+
+    doc
+      .moveTo(startX, underlineY)
+      .lineTo(startX + textWidth, underlineY)
+      .lineWidth(element.underline.thickness || 1)
+      .strokeColor(
+        resolveColor(template, element.underline.color || element.color)
+      )
+      .stroke();
+  }
+}
+
+/**
+ * Draw a straight line between two points
+ */
+function drawLine(doc, template, element, layout) {
+  doc
+    .moveTo(
+      resolveCoordinate(element.x1, doc.page.width),
+      resolveY(layout, element.y1, doc.page.height)
+    )
+    .lineTo(
+      resolveCoordinate(element.x2, doc.page.width),
+      resolveY(layout, element.y2, doc.page.height)
+    )
+    .lineWidth(element.thickness || 1)
+    .strokeColor(resolveColor(template, element.color))
+    .stroke();
+}
+
+/**
+ * Draw a QR code with an optional caption underneath
+ */
+async function drawQRCode(doc, template, element, context, layout) {
+  const value = interpolate(element.value, context);
+  if (!value) {
+    return;
+  }
+
+  try {
+    const size = element.size || 64;
+    const color = resolveColor(template, element.color);
+    const x = resolveCoordinate(element.x, doc.page.width);
+    const y = resolveY(layout, element.y, doc.page.height);
+
+    const qrBuffer = await QRCode.toBuffer(value, {
+      errorCorrectionLevel: "M",
+      margin: 1,
+      width: size * 4,
+      color: { dark: color, light: "#FFFFFF" },
+    });
+
+    doc.image(qrBuffer, x, y, { width: size, height: size });
+
+    if (element.caption) {
+      doc
+        .fontSize(7)
+        .font("Helvetica")
+        .fillColor(color)
+        .text(interpolate(element.caption, context), x - 10, y + size + 3, {
+          align: "center",
+          width: size + 20,
+        });
+    }
+  } catch (error) {
+    console.error("✗ Error drawing QR code:", error.message);
+  }
+}
+
+/**
+ * Draw every element of a certificate template onto a PDFKit document
+ * @param {PDFDocument} doc - Document sized from template.page
+ * @param {Object} template - Template definition (see certificateTemplates/)
+ * @param {Object} context - Values for {{placeholder}} bindings
+ * @returns {Promise<{fitted: Object[]}>} - Text blocks that were shrunk or
+ *   wrapped to fit; entries with overflow: true still did not fit
+ */
+async function renderTemplate(doc, template, context) {
+  const layout = { shifts: [], fitted: [] };
+
+  for (const element of template.elements) {
+    // "if"/"unless" name a binding that must be present/absent
+    if (element.if && !resolvePath(context, element.if)) {
+      continue;
+    }
+    if (element.unless && resolvePath(context, element.unless)) {
+      continue;
+    }
+
+    switch (element.type) {
+      case "background":
+        await drawBackground(doc, element);
+        break;
+      case "image":
+        await drawImage(doc, element, layout);
+        break;
+      case "text":
+        drawText(doc, template, element, context, layout);
+        break;
+      case "line":
+        drawLine(doc, template, element, layout);
+        break;
+      case "qr":
+        await drawQRCode(doc, template, element, context, layout);
+        break;
+      default:
+        console.warn(`✗ Unknown template element type: ${element.type}`);
+    }
+  }
+
+  return { fitted: layout.fitted };
+}
+
+/**
+ * Check the structure of a template definition
+ * @param {Object} template
+ * @returns {string[]} - List of problems, empty if valid
+ */
+function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    return ["definition must be an object"];
+  }
+
+  if (template.palette !== undefined && typeof template.palette !== "object") {
+    errors.push("palette must be an object of colour names");
+  }
+
+  if (template.fonts !== undefined) {
+    if (
+      !template.fonts ||
+      typeof template.fonts !== "object" ||
+      Array.isArray(template.fonts)
+    ) {
+      errors.push("fonts must be an object of scripts");
+    } else {
+      Object.entries(template.fonts).forEach(([script, files]) => {
+        ["regular", "bold"].forEach((weight) => {
+          const file = files && files[weight];
+          if (
+            file !== undefined &&
+            (typeof file !== "string" ||
+              path.isAbsolute(file) ||
+              file.includes(".."))
+          ) {
+            errors.push(
+              `fonts.${script}.${weight} must be a file in the fonts folder`
+            );
+          }
+        });
+      });
+    }
+  }
+
+  if (!Array.isArray(template.elements) || template.elements.length === 0) {
+    errors.push("elements must be a non-empty array");
+    return errors;
+  }
+
+  template.elements.forEach((element, index) => {
+    const label = `elements[${index}]`;
+
+    if (!element || !ELEMENT_TYPES.includes(element.type)) {
+      errors.push(`${label}.type must be one of ${ELEMENT_TYPES.join(", ")}`);
+      return;
+    }
+
+    const ranges = {
+      x: [-MAX_EXTENT, MAX_EXTENT],
+      y: [-MAX_EXTENT, MAX_EXTENT],
+      centerX: [-MAX_EXTENT, MAX_EXTENT],
+      x1: [-MAX_EXTENT, MAX_EXTENT],
+      y1: [-MAX_EXTENT, MAX_EXTENT],
+      x2: [-MAX_EXTENT, MAX_EXTENT],
+      y2: [-MAX_EXTENT, MAX_EXTENT],
+      // A text width may count back from the right edge; an image's may not
+      width:
+        element.type === "text" ? [-MAX_EXTENT, MAX_EXTENT] : [1, MAX_EXTENT],
+      height: [1, MAX_EXTENT],
+      size: element.type === "qr" ? [1, MAX_QR_SIZE] : [1, MAX_FONT_SIZE],
+      optimizeWidth: [1, MAX_OPTIMIZE_WIDTH],
+    };
+    Object.entries(ranges).forEach(([key, [min, max]]) => {
+      const value = element[key];
+      if (value === undefined || (key === "width" && value === null)) {
+        return;
+      }
+      if (!Number.isFinite(value) || value < min || value > max) {
+        errors.push(`${label}.${key} must be a number from ${min} to ${max}`);
+      } else if (key === "width" && value === 0) {
+        errors.push(`${label}.width must not be 0`);
+      }
+    });
+
+    if (["background", "image"].includes(element.type)) {
+      if (typeof element.src !== "string") {
+        errors.push(`${label}.src is required`);
+      } else if (!imagePathUnder(__dirname, element.src)) {
+        errors.push(
+          `${label}.src must be a path inside the images folder, e.g. images/logo.png`
+        );
+      }
+    }
+    if (element.type === "text" && typeof element.text !== "string") {
+      errors.push(`${label}.text is required`);
+    }
+    if (element.type === "text" && element.fit !== undefined) {
+      const { minSize, maxLines } = element.fit || {};
+      const size = Number.isFinite(element.size) ? element.size : 12;
+      if (typeof element.fit !== "object" || element.fit === null) {
+        errors.push(`${label}.fit must be an object`);
+      } else if (
+        minSize !== undefined &&
+        !(Number.isFinite(minSize) && minSize >= 1 && minSize <= size)
+      ) {
+        errors.push(`${label}.fit.minSize must be a number from 1 to ${size}`);
+      } else if (
+        maxLines !== undefined &&
+        !(
+          Number.isInteger(maxLines) &&
+          maxLines >= 1 &&
+          maxLines <= MAX_FIT_LINES
+        )
+      ) {
+        errors.push(
+          `${label}.fit.maxLines must be a whole number from 1 to ${MAX_FIT_LINES}`
+        );
+      } else if (element.width === null) {
+        errors.push(`${label}.fit needs a width to fit into`);
+      }
+    }
+    if (element.type === "qr" && typeof element.value !== "string") {
+      errors.push(`${label}.value is required`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Text blocks that could not be fitted even at their minimum size,
+ * reported so someone can check the certificate by hand
+ * Nothing is logged; callers decide whether a warning is worth it.
+ * @param {Object[]} fitted - From renderTemplate
+ * @returns {{element: string, text: string, message: string}[]}
+ */
+function getLayoutWarnings(fitted) {
+  return fitted
+    .filter((block) => block.overflow)
+    .map((block) => ({
+      element: block.id,
+      text: block.text,
+      message: "Text does not fit even at the minimum font size",
+    }));
+}
+
+module.exports = {
+  renderTemplate,
+  validateTemplate,
+  getLayoutWarnings,
+};
@@ -0,0 +1,220 @@
+const { getConnection, sql } = require("./db");
+const DEFAULT_TEMPLATE = require("./certificateTemplates/default.json");
+const { validateTemplate } = require("./templateRenderer");
+const { string, number, boolean, validate } = require("./validation");
+
+/**
+ * A template definition, checked by the renderer's own rules
+ */
+function definition(input, field) {
+  if (input === undefined || input === null) {
+    return { error: `${field} is required` };
+  }
+  const errors = validateTemplate(input);
+  if (errors.length > 0) {
+    return {
+      errors: errors.map((message) => ({
+        field,
+        message: message.startsWith("definition ")
+          ? message
+          : `${field}.${message}`,
+      })),
+    };
+  }
+  return { value: input };
+}
+
+const TEMPLATE_SCHEMA = {
+  event_id: number({ required: true, integer: true, min: 1 }),
+  name: string({ required: true, maxLength: 255 }),
+  definition,
+  is_default: boolean(),
+};
+
+/**
+ * Turn a certificate_templates row into its API shape
+ */
+function toTemplate(row) {
+  return row ? { ...row, definition: JSON.parse(row.definition) } : null;
+}
+
+/**
+ * List stored templates, optionally for one event
+ * @param {Object} [filter]
+ * @param {number} [filter.eventId]
+ * @returns {Promise<Object[]>}
+ */
+async function listTemplates({ eventId } = {}) {
+  const pool = await getConnection();
+  const request = pool.request();
+  let where = "";
+
+  if (eventId) {
+    request.input("event_id", sql.Int, eventId);
+    where = "WHERE event_id = @event_id";
+  }
+
+  const result = await request.query(
+    `SELECT * FROM certificate_templates ${where} ORDER BY created_at DESC`
+  );
+  return result.recordset.map(toTemplate);
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getTemplateById(id) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("id", sql.Int, id)
+    .query("SELECT * FROM certificate_templates WHERE id = @id");
+  return toTemplate(result.recordset[0]);
+}
+
+/**
+ * The template definition an event's certificates are drawn with:
+ * the event's default stored template, or the built-in design
+ * @param {Object} event - Event row
+ * @returns {Promise<Object>} - Template definition
+ */
+async function getTemplateForEvent(event) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("event_id", sql.Int, event.id)
+    .query(
+      "SELECT TOP 1 * FROM certificate_templates WHERE event_id = @event_id AND is_default = 1 ORDER BY updated_at DESC, created_at DESC"
+    );
+
+  const template = toTemplate(result.recordset[0]);
+  return template ? template.definition : DEFAULT_TEMPLATE;
+}
+
+/**
+ * Clear the default flag on an event's other templates
+ */
+async function clearDefaultTemplate(pool, eventId, exceptId) {
+  await pool
+    .request()
+    .input("event_id", sql.Int, eventId)
+    .input("id", sql.Int, exceptId)
+    .query(
+      "UPDATE certificate_templates SET is_default = 0 WHERE event_id = @event_id AND id <> @id"
+    );
+}
+
+/**
+ * @param {Object} data - { event_id, name, definition, is_default }
+ * @returns {Promise<Object>} - The created template
+ */
+async function createTemplate({ event_id, name, definition, is_default }) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("event_id", sql.Int, event_id)
+    .input("name", sql.NVarChar(255), name)
+    .input("definition", sql.NVarChar(sql.MAX), JSON.stringify(definition))
+    .input("is_default", sql.Bit, Boolean(is_default)).query(`
+      INSERT INTO certificate_templates (event_id, name, definition, is_default)
+      OUTPUT INSERTED.*
+      VALUES (@event_id, @name, @definition, @is_default)
+    `);
+
+  const template = toTemplate(result.recordset[0]);
+  if (template.is_default) {
+    await clearDefaultTemplate(pool, template.event_id, template.id);
+  }
+  return template;
+}
+
+/**
+ * @param {number} id
+ * @param {Object} data - Any of { name, definition, is_default }
+ * @returns {Promise<Object|null>} - The updated template, or null if not found
+ */
+async function updateTemplate(id, { name, definition, is_default }) {
+  const pool = await getConnection();
+  const request = pool.request().input("id", sql.Int, id);
+  const sets = ["updated_at = GETDATE()"];
+
+  if (name !== undefined) {
+    request.input("name", sql.NVarChar(255), name);
+    sets.push("name = @name");
+  }
+  if (definition !== undefined) {
+    request.input(
+      "definition",
+      sql.NVarChar(sql.MAX),
+      JSON.stringify(definition)
+    );
+    sets.push("definition = @definition");
+  }
+  if (is_default !== undefined) {
+    request.input("is_default", sql.Bit, Boolean(is_default));
+    sets.push("is_default = @is_default");
+  }
+
+  const result = await request.query(`
+    UPDATE certificate_templates SET ${sets.join(", ")}
+    OUTPUT INSERTED.*
+    WHERE id = @id
+  `);
+
+  const template = toTemplate(result.recordset[0]);
+  if (template && template.is_default) {
+    await clearDefaultTemplate(pool, template.event_id, template.id);
+  }
+  return template;
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<boolean>} - false if not found
+ */
+async function deleteTemplate(id) {
+  const pool = await getConnection();
+  const result = await pool
+    .request()
+    .input("id", sql.Int, id)
+    .query("DELETE FROM certificate_templates WHERE id = @id");
+  return result.rowsAffected[0] > 0;
+}
+
+/**
+ * Delete every template of an event, as part of deleting the event
+ * @param {number} eventId
+ * @param {Object} options - { transaction }
+ * @returns {Promise<number>} - How many templates were deleted
+ */
+async function deleteTemplatesForEvent(eventId, { transaction }) {
+  const result = await transaction
+    .request()
+    .input("event_id", sql.Int, eventId)
+    .query("DELETE FROM certificate_templates WHERE event_id = @event_id");
+  return result.rowsAffected[0];
+}
+
+/**
+ * Check a template payload
+ * @param {Object} data - { event_id, name, definition, is_default }
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields present
+ * @returns {{value: Object, errors: {field: string, message: string}[]}}
+ */
+function validateTemplateFields(data, { partial = false } = {}) {
+  return validate(TEMPLATE_SCHEMA, data, { partial });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  getTemplateById,
+  getTemplateForEvent,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  deleteTemplatesForEvent,
+  validateTemplateFields,
+};
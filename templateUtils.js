@@ -0,0 +1,58 @@
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Resolve a dotted path such as "participant.name" against an object
+ * @param {Object} context
+ * @param {string} key
+ * @returns {*} - undefined if any segment is missing
+ */
+function resolvePath(context, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, segment) =>
+        value === null || value === undefined ? undefined : value[segment],
+      context
+    );
+}
+
+/**
+ * Replace {{placeholder}} bindings in a template string
+ * Unknown placeholders render as an empty string
+ * @param {string} template - e.g. "Namaste {{participant.name}}!"
+ * @param {Object} context - Values available to the template
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - HTML-escape substituted values
+ * @returns {string}
+ */
+function interpolate(template, context, { html = false } = {}) {
+  if (template === null || template === undefined) {
+    return "";
+  }
+
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = resolvePath(context, key);
+    if (value === null || value === undefined) {
+      return "";
+    }
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+module.exports = {
+  escapeHtml,
+  interpolate,
+  resolvePath,
+};
@@ -0,0 +1,224 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, setup, reset, request } = require("./helpers");
+
+describe("authentication", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("signs in with the right password", async () => {
+    const response = await request("POST", "/api/auth/login", {
+      body: { email: "Admin@Example.org", password: PASSWORD },
+    });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.token);
+    assert.equal(response.body.user.email, "admin@example.org");
+    assert.equal(response.body.user.role, "admin");
+    assert.equal(response.body.user.password_hash, undefined);
+  });
+
+  it("rejects a wrong password or unknown user alike", async () => {
+    const wrongPassword = await request("POST", "/api/auth/login", {
+      body: { email: "admin@example.org", password: "nope" },
+    });
+    const unknownUser = await request("POST", "/api/auth/login", {
+      body: { email: "nobody@example.org", password: PASSWORD },
+    });
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownUser.status, 401);
+    assert.deepEqual(wrongPassword.body, unknownUser.body);
+  });
+
+  it("validates the sign-in form", async () => {
+    const response = await request("POST", "/api/auth/login", {
+      body: { email: "not-an-email" },
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.details.map((detail) => detail.field).sort(),
+      ["email", "password"]
+    );
+  });
+
+  it("rejects a sign-in without a body", async () => {
+    const response = await request("POST", "/api/auth/login");
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.details.map((detail) => detail.field).sort(),
+      ["email", "password"]
+    );
+  });
+
+  it("limits sign-in attempts per email", async () => {
+    let response;
+    for (let i = 0; i < 11; i++) {
+      response = await request("POST", "/api/auth/login", {
+        body: { email: "admin@example.org", password: "nope" },
+      });
+    }
+
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get("retry-after")) > 0);
+  });
+
+  it("returns the signed-in user", async () => {
+    const response = await request("GET", "/api/auth/me", { as: "viewer" });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.id, context.users.viewer.id);
+  });
+
+  it("requires a valid token", async () => {
+    const missing = await request("GET", "/api/auth/me");
+    const invalid = await request("GET", "/api/auth/me", {
+      headers: { Authorization: "Bearer not-a-token" },
+    });
+
+    assert.equal(missing.status, 401);
+    assert.equal(invalid.status, 401);
+  });
+
+  it("enforces roles", async () => {
+    const viewer = await request("GET", "/api/admin/users", { as: "viewer" });
+    const operator = await request("GET", "/api/admin/users", {
+      as: "operator",
+    });
+    const admin = await request("GET", "/api/admin/users", { as: "admin" });
+
+    assert.equal(viewer.status, 403);
+    assert.equal(operator.status, 403);
+    assert.equal(admin.status, 200);
+    assert.equal(admin.body.length, 3);
+  });
+
+  it("stops accepting the token of a deactivated user", async () => {
+    await request("PUT", `/api/admin/users/${context.users.viewer.id}`, {
+      as: "admin",
+      body: { is_active: false },
+    });
+
+    const response = await request("GET", "/api/auth/me", { as: "viewer" });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe("user management", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("creates a user who can then sign in", async () => {
+    const created = await request("POST", "/api/admin/users", {
+      as: "admin",
+      body: {
+        email: "new@example.org",
+        name: "New User",
+        password: "another long password",
+        role: "operator",
+      },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.role, "operator");
+
+    const login = await request("POST", "/api/auth/login", {
+      body: { email: "new@example.org", password: "another long password" },
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it("rejects a duplicate email and invalid fields", async () => {
+    const duplicate = await request("POST", "/api/admin/users", {
+      as: "admin",
+      body: { email: "VIEWER@example.org", password: PASSWORD },
+    });
+    const invalid = await request("POST", "/api/admin/users", {
+      as: "admin",
+      body: { email: "someone@example.org", password: "x", role: "owner" },
+    });
+
+    assert.equal(duplicate.status, 409);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(
+      invalid.body.details.map((detail) => detail.field).sort(),
+      ["password", "role"]
+    );
+  });
+
+  it("updates a user's role", async () => {
+    const response = await request(
+      "PUT",
+      `/api/admin/users/${context.users.viewer.id}`,
+      { as: "admin", body: { role: "operator", name: "Promoted" } }
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.role, "operator");
+    assert.equal(response.body.name, "Promoted");
+  });
+
+  it("does not let admins demote, deactivate or delete themselves", async () => {
+    const { id } = context.users.admin;
+    const demote = await request("PUT", `/api/admin/users/${id}`, {
+      as: "admin",
+      body: { role: "viewer" },
+    });
+    const remove = await request("DELETE", `/api/admin/users/${id}`, {
+      as: "admin",
+    });
+
+    assert.equal(demote.status, 400);
+    assert.equal(remove.status, 400);
+  });
+
+  it("deletes a user", async () => {
+    const response = await request(
+      "DELETE",
+      `/api/admin/users/${context.users.operator.id}`,
+      { as: "admin" }
+    );
+    const again = await request(
+      "DELETE",
+      `/api/admin/users/${context.users.operator.id}`,
+      { as: "admin" }
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(again.status, 404);
+  });
+
+  it("reports unknown users", async () => {
+    const response = await request("PUT", "/api/admin/users/9999", {
+      as: "admin",
+      body: { name: "Nobody" },
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  it("rejects user updates without a body or a numeric id", async () => {
+    const userUrl = `/api/admin/users/${context.users.viewer.id}`;
+    const noBody = await request("PUT", userUrl, { as: "admin" });
+    const update = await request("PUT", "/api/admin/users/abc", {
+      as: "admin",
+      body: { name: "Nobody" },
+    });
+    const remove = await request("DELETE", "/api/admin/users/1e3", {
+      as: "admin",
+    });
+
+    assert.equal(noBody.status, 200);
+    assert.equal(noBody.body.id, context.users.viewer.id);
+    assert.equal(update.status, 400);
+    assert.equal(update.body.details[0].field, "id");
+    assert.equal(remove.status, 400);
+  });
+});
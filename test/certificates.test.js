@@ -0,0 +1,585 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const twilio = require("twilio");
+const {
+  setup,
+  reset,
+  request,
+  submit,
+  runJobs,
+  pdfText,
+} = require("./helpers");
+const { extractPdfMetadata } = require("../certificateSigning");
+
+/**
+ * A registered participant whose certificate went out by email
+ * @returns {Promise<Buffer>} - The emailed PDF
+ */
+async function issueCertificate(context, fields = {}) {
+  await submit(fields);
+  await runJobs();
+  return context.mail.sent[context.mail.sent.length - 1].attachments[0].content;
+}
+
+describe("certificate generation and delivery", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("generates a certificate and links to the stored copy", async () => {
+    await submit({ name: "Asha Rao" });
+
+    const response = await request("POST", "/api/generate-certificate/1", {
+      as: "operator",
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.layoutWarnings, []);
+
+    const file = await fetch(response.body.certificateUrl);
+    assert.equal(file.status, 200);
+    const text = await pdfText(Buffer.from(await file.arrayBuffer()));
+    assert.match(text, /Asha Rao/);
+    assert.match(text, /YV-1-2026/);
+
+    const [row] = context.database.rows("submissions");
+    assert.equal(row.certificate_path, response.body.certificatePath);
+    assert.ok(row.certificate_issued_at);
+  });
+
+  it("downloads the certificate with the participant's name", async () => {
+    await issueCertificate(context, { name: "Ravi Kumar" });
+
+    const response = await request("GET", "/api/download-certificate/1", {
+      as: "viewer",
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(
+      response.headers.get("content-disposition"),
+      /Ravi_Kumar\.pdf/
+    );
+    assert.match(await pdfText(response.buffer), /Ravi Kumar/);
+  });
+
+  it("serves byte ranges and answers conditional requests", async () => {
+    await issueCertificate(context);
+    const url = "/api/download-certificate/1";
+
+    const full = await request("GET", url, { as: "viewer" });
+    const etag = full.headers.get("etag");
+    assert.ok(etag);
+    assert.equal(full.headers.get("accept-ranges"), "bytes");
+
+    const part = await request("GET", url, {
+      as: "viewer",
+      headers: { Range: "bytes=0-4" },
+    });
+    assert.equal(part.status, 206);
+    assert.equal(part.text, "%PDF-");
+    assert.equal(
+      part.headers.get("content-range"),
+      `bytes 0-4/${full.buffer.length}`
+    );
+
+    // fetch adds Cache-Control: no-cache to conditional requests unless
+    // told otherwise, and no-cache asks for the full response
+    const unchanged = await request("GET", url, {
+      as: "viewer",
+      headers: { "If-None-Match": etag, "Cache-Control": "max-age=0" },
+    });
+    assert.equal(unchanged.status, 304);
+
+    const outside = await request("GET", url, {
+      as: "viewer",
+      headers: { Range: `bytes=${full.buffer.length}-` },
+    });
+    assert.equal(outside.status, 416);
+  });
+
+  it("redraws a lost certificate before emailing it", async () => {
+    await issueCertificate(context);
+    context.mail.clear();
+    const [before] = context.database.rows("submissions");
+    fs.rmSync(path.join(context.storageDir, before.certificate_path));
+
+    const response = await request("POST", "/api/send-certificate/1", {
+      as: "operator",
+    });
+    await runJobs();
+
+    assert.equal(response.status, 202);
+    const [after] = context.database.rows("submissions");
+    assert.notEqual(after.certificate_path, before.certificate_path);
+    assert.deepEqual(
+      context.mail.sent[0].attachments[0].content,
+      fs.readFileSync(path.join(context.storageDir, after.certificate_path))
+    );
+  });
+
+  it("removes certificate PDFs left on disk by older versions", async () => {
+    const { removeLeftoverCertificates } = require("../certificateService");
+    const directory = path.join(__dirname, "..", "certificates");
+    const leftover = path.join(directory, `certificate_1_${Date.now()}.pdf`);
+    fs.writeFileSync(leftover, "%PDF-1.3");
+
+    await issueCertificate(context);
+
+    assert.equal(await removeLeftoverCertificates(), 1);
+    assert.equal(fs.existsSync(leftover), false);
+    assert.ok(fs.existsSync(path.join(directory, ".image-cache")));
+  });
+
+  it("emails the certificate on request", async () => {
+    await issueCertificate(context);
+    context.mail.clear();
+
+    const response = await request("POST", "/api/send-certificate/1", {
+      as: "operator",
+    });
+    assert.equal(response.status, 202);
+    assert.equal(context.mail.sent.length, 0);
+
+    await runJobs();
+    assert.equal(context.mail.sent.length, 1);
+    assert.match(
+      await pdfText(context.mail.sent[0].attachments[0].content),
+      /Certificate ID: YV-1-2026/
+    );
+  });
+
+  it("texts the certificate link on request", async () => {
+    await issueCertificate(context);
+
+    const response = await request("POST", "/api/send-sms/1", {
+      as: "operator",
+    });
+    await runJobs();
+
+    assert.equal(response.status, 202);
+    const job = await request("GET", response.body.statusUrl, {
+      as: "viewer",
+    });
+    assert.equal(job.body.status, "completed");
+    assert.equal(context.sms.sent.length, 1);
+    const link = context.sms.sent[0].body.match(/https?:\/\/\S+/)[0];
+    const file = await fetch(link);
+    assert.equal(file.status, 200);
+  });
+
+  it("returns 404 for an unknown participant", async () => {
+    for (const [method, url] of [
+      ["POST", "/api/generate-certificate/99"],
+      ["POST", "/api/send-certificate/99"],
+      ["POST", "/api/send-sms/99"],
+      ["GET", "/api/download-certificate/99"],
+      ["GET", "/api/submissions/99/deliveries"],
+    ]) {
+      const response = await request(method, url, { as: "operator" });
+      assert.equal(response.status, 404, `${method} ${url}`);
+    }
+  });
+
+  it("refuses to email a participant without an address", async () => {
+    await submit({ email: undefined });
+
+    const response = await request("POST", "/api/send-certificate/1", {
+      as: "operator",
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it("is not open to viewers", async () => {
+    await submit();
+
+    const response = await request("POST", "/api/generate-certificate/1", {
+      as: "viewer",
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("certificate verification", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("verifies an issued certificate by ID and signature", async () => {
+    const pdf = await issueCertificate(context);
+    const { signature } = extractPdfMetadata(pdf);
+
+    const plain = await request("GET", "/api/verify/YV-1-2026");
+    const signed = await request(
+      "GET",
+      `/api/verify/YV-1-2026?sig=${signature}`
+    );
+    const forged = await request("GET", "/api/verify/YV-1-2026?sig=forged");
+
+    assert.equal(plain.body.status, "valid");
+    assert.equal(plain.body.name, "Asha Rao");
+    assert.equal(signed.body.signatureValid, true);
+    assert.equal(forged.body.status, "invalid");
+  });
+
+  it("does not know IDs that were never issued", async () => {
+    await submit();
+
+    const notGenerated = await request("GET", "/api/verify/YV-1-2026");
+    const malformed = await request("GET", "/api/verify/hello");
+
+    assert.equal(notGenerated.status, 404);
+    assert.equal(malformed.status, 404);
+  });
+
+  it("checks an uploaded PDF against the record", async () => {
+    const pdf = await issueCertificate(context);
+
+    const form = new FormData();
+    form.append("file", new Blob([pdf]), "certificate.pdf");
+    const valid = await request("POST", "/api/verify-file", {
+      multipart: form,
+    });
+    const modified = await request("POST", "/api/verify-file", {
+      raw: Buffer.concat([pdf, Buffer.from("\n% edited\n")]),
+      headers: { "Content-Type": "application/pdf" },
+    });
+
+    assert.equal(valid.body.status, "valid");
+    assert.equal(valid.body.certificateId, "YV-1-2026");
+    assert.equal(modified.body.status, "modified");
+  });
+
+  it("detects changed certificate details", async () => {
+    const pdf = await issueCertificate(context);
+    const forgedPayload = Buffer.from(
+      JSON.stringify({
+        id: "YV-1-2026",
+        name: "Someone Else",
+        event: "Vemana Vignana Yatra",
+        issued: "2026-01-01",
+      })
+    ).toString("base64url");
+
+    const response = await request("POST", "/api/verify-file", {
+      raw: Buffer.concat([
+        pdf,
+        Buffer.from(`\n<< /CertificatePayload (${forgedPayload}) >>\n`),
+      ]),
+      headers: { "Content-Type": "application/pdf" },
+    });
+
+    assert.equal(response.body.status, "tampered");
+  });
+
+  it("rejects uploads that are not signed certificates", async () => {
+    const missing = await request("POST", "/api/verify-file", {
+      raw: Buffer.alloc(0),
+      headers: { "Content-Type": "application/pdf" },
+    });
+    const notPdf = await request("POST", "/api/verify-file", {
+      raw: Buffer.from("hello"),
+      headers: { "Content-Type": "application/pdf" },
+    });
+    const unsigned = await request("POST", "/api/verify-file", {
+      raw: Buffer.from("%PDF-1.4\n%%EOF\n"),
+      headers: { "Content-Type": "application/pdf" },
+    });
+
+    assert.equal(missing.status, 400);
+    assert.equal(notPdf.status, 400);
+    assert.equal(unsigned.body.status, "unrecognised");
+  });
+
+  it("does not trust malformed signed fields", async () => {
+    const payload = Buffer.from(
+      JSON.stringify({
+        id: "YV-1-2026",
+        name: "Asha Rao",
+        event: "Vemana",
+        issued: "not a date",
+      })
+    ).toString("base64url");
+    const crafted = Buffer.from(
+      `%PDF-1.4\n1 0 obj << /CertificatePayload (${payload}) /CertificateSignature (${"A".repeat(
+        43
+      )}) >> endobj\n%%EOF\n`,
+      "latin1"
+    );
+
+    const response = await request("POST", "/api/verify-file", {
+      raw: crafted,
+      headers: { "Content-Type": "application/pdf" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, "unrecognised");
+  });
+
+  it("reports revoked certificates", async () => {
+    const pdf = await issueCertificate(context);
+
+    const revoke = await request("POST", "/api/revoke-certificate/1", {
+      as: "admin",
+      body: { reason: "Issued by mistake" },
+    });
+    assert.equal(revoke.status, 200);
+    assert.equal(revoke.body.certificateId, "YV-1-2026");
+
+    const byId = await request("GET", "/api/verify/YV-1-2026");
+    const byFile = await request("POST", "/api/verify-file", {
+      raw: pdf,
+      headers: { "Content-Type": "application/pdf" },
+    });
+    assert.equal(byId.body.status, "revoked");
+    assert.equal(byId.body.reason, "Issued by mistake");
+    assert.equal(byFile.body.status, "revoked");
+  });
+
+  it("only lets admins revoke", async () => {
+    await submit();
+
+    const operator = await request("POST", "/api/revoke-certificate/1", {
+      as: "operator",
+      body: {},
+    });
+    const unknown = await request("POST", "/api/revoke-certificate/99", {
+      as: "admin",
+      body: {},
+    });
+
+    assert.equal(operator.status, 403);
+    assert.equal(unknown.status, 404);
+  });
+
+  it("limits verification requests per IP", async () => {
+    let response;
+    for (let i = 0; i < 61; i++) {
+      response = await request("GET", "/api/verify/hello");
+    }
+
+    assert.equal(response.status, 429);
+  });
+});
+
+describe("stored files", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("serves a file only with a valid signed link", async () => {
+    await issueCertificate(context);
+    await request("POST", "/api/send-sms/1", { as: "operator" });
+    await runJobs();
+    const [link] = context.sms.sent[0].body.match(/https?:\/\/\S+/);
+    const redirect = await request("GET", new URL(link).pathname);
+    const url = new URL(redirect.headers.get("location"));
+
+    const valid = await request("GET", `${url.pathname}${url.search}`);
+    url.searchParams.set("sig", "forged");
+    const forged = await request("GET", `${url.pathname}${url.search}`);
+    const unsigned = await request("GET", url.pathname);
+
+    assert.equal(valid.status, 200);
+    assert.equal(valid.headers.get("content-type"), "application/pdf");
+    assert.equal(forged.status, 403);
+    assert.equal(unsigned.status, 403);
+  });
+});
+
+describe("short certificate links", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  async function textedLink() {
+    await request("POST", "/api/send-sms/1", { as: "operator" });
+    await runJobs();
+    const { body } = context.sms.sent[context.sms.sent.length - 1];
+    return new URL(body.match(/https?:\/\/\S+/)[0]).pathname;
+  }
+
+  it("redirects to a storage link signed for a few minutes", async () => {
+    await issueCertificate(context);
+    const link = await textedLink();
+
+    const response = await request("GET", link);
+
+    assert.match(link, /^\/c\/[\w-]{16}$/);
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get("cache-control"), "no-store");
+    const target = new URL(response.headers.get("location"));
+    const expiresIn = target.searchParams.get("expires") - Date.now() / 1000;
+    assert.ok(expiresIn > 0 && expiresIn <= 15 * 60);
+    const file = await request("GET", `${target.pathname}${target.search}`);
+    assert.equal(file.status, 200);
+
+    const [row] = context.database.rows("submissions");
+    assert.equal("certificate_url" in row, false);
+  });
+
+  it("keeps the link when the certificate is redrawn", async () => {
+    await issueCertificate(context);
+    const link = await textedLink();
+
+    await request("POST", "/api/generate-certificate/1", { as: "operator" });
+
+    assert.equal(await textedLink(), link);
+    assert.equal((await request("GET", link)).status, 302);
+  });
+
+  it("stops following links once they are revoked", async () => {
+    await issueCertificate(context);
+    const link = await textedLink();
+
+    const operator = await request("POST", "/api/revoke-certificate-links/1", {
+      as: "operator",
+    });
+    const admin = await request("POST", "/api/revoke-certificate-links/1", {
+      as: "admin",
+    });
+
+    assert.equal(operator.status, 403);
+    assert.equal(admin.status, 200);
+    assert.equal(admin.body.revoked, 1);
+    assert.equal((await request("GET", link)).status, 404);
+
+    const newLink = await textedLink();
+    assert.notEqual(newLink, link);
+    assert.equal((await request("GET", newLink)).status, 302);
+  });
+
+  it("does not open revoked certificates", async () => {
+    await issueCertificate(context);
+    const link = await textedLink();
+
+    await request("POST", "/api/revoke-certificate/1", {
+      as: "admin",
+      body: { reason: "Issued in error" },
+    });
+
+    assert.equal((await request("GET", link)).status, 410);
+    assert.equal((await request("GET", "/c/unknown-token-12345")).status, 404);
+  });
+});
+
+describe("delivery tracking", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  function postStatus(params, signature) {
+    const url = `${context.baseUrl}/api/webhooks/twilio/status`;
+    return request("POST", "/api/webhooks/twilio/status", {
+      form: params,
+      headers: {
+        "X-Twilio-Signature":
+          signature ||
+          twilio.getExpectedTwilioSignature(
+            process.env.TWILIO_AUTH_TOKEN,
+            url,
+            params
+          ),
+      },
+    });
+  }
+
+  it("lists delivery attempts", async () => {
+    await issueCertificate(context);
+
+    const response = await request("GET", "/api/submissions/1/deliveries", {
+      as: "viewer",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.certificateSent, true);
+    assert.equal(response.body.sendMethod, "email");
+    assert.deepEqual(
+      response.body.deliveries.map(({ channel, status }) => [channel, status]),
+      [["email", "sent"]]
+    );
+  });
+
+  it("applies Twilio status callbacks", async () => {
+    await submit({ email: undefined });
+    await runJobs();
+    const [{ sid }] = context.sms.sent;
+
+    const delivered = await postStatus({
+      MessageSid: sid,
+      MessageStatus: "delivered",
+    });
+    assert.equal(delivered.status, 204);
+
+    const [delivery] = context.database.rows("deliveries");
+    assert.equal(delivery.status, "delivered");
+  });
+
+  it("ignores callbacks that arrive out of order", async () => {
+    await submit({ email: undefined });
+    await runJobs();
+    const [{ sid }] = context.sms.sent;
+    const statusAfter = async (MessageStatus) => {
+      await postStatus({ MessageSid: sid, MessageStatus });
+      return context.database.rows("deliveries")[0].status;
+    };
+
+    assert.equal(await statusAfter("sending"), "sending");
+    assert.equal(await statusAfter("queued"), "sending");
+    assert.equal(await statusAfter("delivered"), "delivered");
+    assert.equal(await statusAfter("sent"), "delivered");
+  });
+
+  it("marks a submission unsent when its SMS fails", async () => {
+    await submit({ email: undefined });
+    await runJobs();
+    const [{ sid }] = context.sms.sent;
+
+    await postStatus({
+      MessageSid: sid,
+      MessageStatus: "undelivered",
+      ErrorCode: "30003",
+    });
+
+    const [submission] = context.database.rows("submissions");
+    const [delivery] = context.database.rows("deliveries");
+    assert.equal(submission.certificate_sent, false);
+    assert.equal(delivery.error, "Twilio error 30003");
+  });
+
+  it("logs a text to an invalid number as a failed attempt", async () => {
+    await submit({ email: undefined });
+    await runJobs();
+    context.database.execute("UPDATE submissions SET phone = '12345'");
+
+    await request("POST", "/api/send-sms/1", { as: "operator" });
+    await runJobs();
+
+    const attempts = context.database.rows("deliveries");
+    assert.equal(attempts.length, 2);
+    assert.equal(attempts[1].recipient, "12345");
+    assert.equal(attempts[1].status, "failed");
+    assert.match(attempts[1].error, /Invalid phone number/);
+  });
+
+  it("ignores callbacks without a valid signature", async () => {
+    const response = await postStatus(
+      { MessageSid: "SM1", MessageStatus: "delivered" },
+      "forged"
+    );
+
+    assert.equal(response.status, 403);
+  });
+});
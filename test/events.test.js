@@ -0,0 +1,441 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  reset,
+  request,
+  submit,
+  runJobs,
+  pdfText,
+} = require("./helpers");
+
+const WORKSHOP = {
+  slug: "science-workshop",
+  name: "Science Workshop",
+  certificate_id_prefix: "SW",
+  certificate_id_suffix: "2026",
+  email_subject: "Your {{event.name}} certificate",
+};
+
+const SIMPLE_TEMPLATE = {
+  page: { size: "A4", layout: "landscape" },
+  elements: [
+    { type: "text", text: "WORKSHOP CERTIFICATE", y: 100, size: 30 },
+    { type: "text", text: "{{participant.name}}", y: 200, size: 24 },
+    { type: "text", text: "ID {{certificate.id}}", y: 300, size: 12 },
+  ],
+};
+
+describe("events", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("creates an event that takes registrations", async () => {
+    const created = await request("POST", "/api/events", {
+      as: "admin",
+      body: WORKSHOP,
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.is_active, true);
+
+    const response = await submit({ event: "science-workshop" });
+    assert.equal(response.body.certificateId, "SW-1-2026");
+
+    await runJobs();
+    assert.equal(
+      context.mail.sent[0].subject,
+      "Your Science Workshop certificate"
+    );
+  });
+
+  it("lists events and fetches one by ID or slug", async () => {
+    const { body: event } = await request("POST", "/api/events", {
+      as: "admin",
+      body: WORKSHOP,
+    });
+
+    const list = await request("GET", "/api/events", { as: "viewer" });
+    const byId = await request("GET", `/api/events/${event.id}`, {
+      as: "viewer",
+    });
+    const bySlug = await request("GET", "/api/events/science-workshop", {
+      as: "viewer",
+    });
+    const missing = await request("GET", "/api/events/nothing-here", {
+      as: "viewer",
+    });
+
+    assert.equal(list.body.length, 2);
+    assert.equal(byId.body.slug, "science-workshop");
+    assert.equal(bySlug.body.id, event.id);
+    assert.equal(missing.status, 404);
+  });
+
+  it("validates events and keeps slugs unique", async () => {
+    const invalid = await request("POST", "/api/events", {
+      as: "admin",
+      body: { slug: "Not A Slug", name: "", certificate_id_prefix: "a-b" },
+    });
+    const duplicate = await request("POST", "/api/events", {
+      as: "admin",
+      body: { ...WORKSHOP, slug: "vemana-vignana-yatra-2026" },
+    });
+
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(
+      invalid.body.details.map((detail) => detail.field).sort(),
+      ["certificate_id_prefix", "name", "slug"]
+    );
+    assert.equal(duplicate.status, 409);
+  });
+
+  it("keeps what issued certificates depend on", async () => {
+    await submit();
+    await runJobs();
+
+    const renamed = await request("PUT", "/api/events/1", {
+      as: "admin",
+      body: { name: "Renamed", certificate_id_prefix: "XX" },
+    });
+    const reworded = await request("PUT", "/api/events/1", {
+      as: "admin",
+      body: { tagline: "A new tagline" },
+    });
+
+    assert.equal(renamed.status, 409);
+    assert.match(renamed.body.error, /name, certificate_id_prefix/);
+    assert.equal(reworded.status, 200);
+    const verified = await request("GET", "/api/verify/YV-1-2026");
+    assert.equal(verified.body.status, "valid");
+  });
+
+  it("stops registrations for an inactive event", async () => {
+    const { body: event } = await request("POST", "/api/events", {
+      as: "admin",
+      body: WORKSHOP,
+    });
+
+    const updated = await request("PUT", `/api/events/${event.id}`, {
+      as: "admin",
+      body: { is_active: false },
+    });
+    assert.equal(updated.body.is_active, false);
+
+    const list = await request("GET", "/api/events", { as: "viewer" });
+    const all = await request("GET", "/api/events?all=true", {
+      as: "viewer",
+    });
+    assert.equal(list.body.length, 1);
+    assert.equal(all.body.length, 2);
+
+    const response = await submit({ event: "science-workshop" });
+    assert.equal(response.status, 400);
+  });
+
+  it("deletes only events without submissions", async () => {
+    const { body: event } = await request("POST", "/api/events", {
+      as: "admin",
+      body: WORKSHOP,
+    });
+    await submit();
+
+    const inUse = await request("DELETE", "/api/events/1", { as: "admin" });
+    const deleted = await request("DELETE", `/api/events/${event.id}`, {
+      as: "admin",
+    });
+    const missing = await request("DELETE", `/api/events/${event.id}`, {
+      as: "admin",
+    });
+
+    assert.equal(inUse.status, 409);
+    assert.equal(deleted.status, 200);
+    assert.equal(missing.status, 404);
+  });
+
+  it("deletes an event together with its templates", async () => {
+    const { body: event } = await request("POST", "/api/events", {
+      as: "admin",
+      body: WORKSHOP,
+    });
+    await request("POST", "/api/templates", {
+      as: "admin",
+      body: { event_id: event.id, name: "Simple", definition: SIMPLE_TEMPLATE },
+    });
+
+    const deleted = await request("DELETE", `/api/events/${event.id}`, {
+      as: "admin",
+    });
+
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(
+      context.database
+        .rows("certificate_templates")
+        .filter((template) => template.event_id === event.id),
+      []
+    );
+  });
+
+  it("keeps events that job batches refer to", async () => {
+    const { body: event } = await request("POST", "/api/events", {
+      as: "admin",
+      body: WORKSHOP,
+    });
+    context.database.insert("job_batches", {
+      type: "import",
+      event_id: event.id,
+    });
+
+    const response = await request("DELETE", `/api/events/${event.id}`, {
+      as: "admin",
+    });
+
+    assert.equal(response.status, 409);
+  });
+
+  it("is managed by admins only", async () => {
+    const response = await request("POST", "/api/events", {
+      as: "operator",
+      body: WORKSHOP,
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("certificate templates", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  async function createTemplate(fields = {}) {
+    return request("POST", "/api/templates", {
+      as: "admin",
+      body: {
+        event_id: 1,
+        name: "Simple",
+        definition: SIMPLE_TEMPLATE,
+        is_default: true,
+        ...fields,
+      },
+    });
+  }
+
+  it("draws certificates with an event's default template", async () => {
+    const created = await createTemplate();
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.definition, SIMPLE_TEMPLATE);
+
+    await submit({ name: "Asha Rao" });
+    await runJobs();
+
+    const text = await pdfText(context.mail.sent[0].attachments[0].content);
+    assert.match(text, /WORKSHOP CERTIFICATE/);
+    assert.match(text, /Asha Rao/);
+    assert.match(text, /ID YV-1-2026/);
+  });
+
+  it("lists, updates and deletes templates", async () => {
+    const { body: template } = await createTemplate();
+
+    const list = await request("GET", "/api/templates?eventId=1", {
+      as: "viewer",
+    });
+    const updated = await request("PUT", `/api/templates/${template.id}`, {
+      as: "admin",
+      body: { name: "Renamed", event_id: 99 },
+    });
+    const fetched = await request("GET", `/api/templates/${template.id}`, {
+      as: "viewer",
+    });
+    const unchanged = await request("PUT", `/api/templates/${template.id}`, {
+      as: "admin",
+    });
+    const deleted = await request("DELETE", `/api/templates/${template.id}`, {
+      as: "admin",
+    });
+    const missing = await request("GET", `/api/templates/${template.id}`, {
+      as: "viewer",
+    });
+
+    assert.equal(list.body.length, 1);
+    assert.equal(updated.body.name, "Renamed");
+    assert.equal(fetched.body.event_id, 1);
+    assert.equal(unchanged.status, 200);
+    assert.equal(unchanged.body.name, "Renamed");
+    assert.equal(deleted.status, 200);
+    assert.equal(missing.status, 404);
+  });
+
+  it("rejects definitions the renderer cannot draw", async () => {
+    const invalid = await createTemplate({
+      definition: { elements: [{ type: "text", y: "top" }] },
+    });
+    const outsideFonts = await createTemplate({
+      definition: {
+        ...SIMPLE_TEMPLATE,
+        fonts: { telugu: { regular: "../package.json" } },
+      },
+    });
+    const outsideImages = await createTemplate({
+      definition: {
+        elements: [{ type: "image", src: "package.json", y: 0, height: 50 }],
+      },
+    });
+    const unknownEvent = await createTemplate({ event_id: 99 });
+
+    assert.equal(invalid.status, 400);
+    assert.equal(outsideFonts.status, 400);
+    assert.match(outsideFonts.body.error, /fonts\.telugu\.regular/);
+    assert.equal(outsideImages.status, 400);
+    assert.match(outsideImages.body.error, /src must be a path inside/);
+    assert.ok(
+      invalid.body.details.every((detail) => detail.field === "definition")
+    );
+    assert.equal(unknownEvent.status, 400);
+    assert.equal(unknownEvent.body.details[0].field, "event_id");
+  });
+
+  it("draws only fonts from the fonts folder", () => {
+    const { selectFont } = require("../fontRegistry");
+
+    const font = selectFont("తెలుగు", "Helvetica", {
+      telugu: { regular: "../package.json" },
+    });
+
+    assert.match(font, /AnekTelugu-Regular\.ttf$/);
+  });
+
+  it("draws names the standard fonts cannot encode with Noto Sans", async () => {
+    const { selectFont } = require("../fontRegistry");
+    assert.equal(selectFont("José Müller", "Helvetica"), "Helvetica");
+    assert.match(selectFont("Łukasz", "Helvetica-Bold"), /NotoSans-Bold\.ttf$/);
+
+    const response = await request("POST", "/api/certificates/preview", {
+      as: "operator",
+      body: {
+        participant: { name: "Łukasz Дмитрий Γιώργος" },
+        template: SIMPLE_TEMPLATE,
+      },
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(await pdfText(response.buffer), /Łukasz Дмитрий Γιώργος/);
+  });
+});
+
+describe("POST /api/certificates/preview", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("renders a sample PDF without storing anything", async () => {
+    const response = await request("POST", "/api/certificates/preview", {
+      as: "operator",
+      body: { participant: { name: "Preview Person" } },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "application/pdf");
+    assert.match(await pdfText(response.buffer), /Preview Person/);
+    assert.equal(context.database.rows("submissions").length, 0);
+  });
+
+  it("renders an inline template as a PNG", async () => {
+    const response = await request("POST", "/api/certificates/preview", {
+      as: "operator",
+      body: { template: SIMPLE_TEMPLATE, format: "png", width: 200 },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "image/png");
+    assert.equal(response.buffer.subarray(1, 4).toString("latin1"), "PNG");
+    assert.equal(response.buffer.readUInt32BE(16), 200);
+  });
+
+  it("reports text that does not fit without logging it", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const response = await request("POST", "/api/certificates/preview", {
+      as: "operator",
+      body: {
+        participant: { name: "Venkata Subrahmanya Lakshmi Narasimha Rao" },
+        template: {
+          elements: [
+            {
+              type: "text",
+              id: "name",
+              text: "{{participant.name}}",
+              y: 200,
+              size: 24,
+              width: 60,
+              fit: { minSize: 20, maxLines: 1 },
+            },
+          ],
+        },
+      },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("x-certificate-warnings"), "name");
+    assert.equal(warn.mock.callCount(), 0);
+  });
+
+  it("validates the request", async () => {
+    const invalid = await request("POST", "/api/certificates/preview", {
+      as: "operator",
+      body: {
+        participant: { name: ["Asha"] },
+        eventId: "first",
+        templateId: 1.5,
+        format: "gif",
+        width: 5,
+      },
+    });
+    const missing = await request("POST", "/api/certificates/preview", {
+      as: "operator",
+      body: { templateId: 99 },
+    });
+    const oversized = await request("POST", "/api/certificates/preview", {
+      as: "operator",
+      body: {
+        template: {
+          elements: [
+            { type: "text", text: "Big", y: 100, size: 1e9, width: 200 },
+            { type: "text", text: "Fit", y: 200, width: -1e9, fit: {} },
+            {
+              type: "text",
+              text: "Fit",
+              y: 300,
+              size: 20,
+              fit: { minSize: 30 },
+            },
+            { type: "qr", value: "x", x: 10, y: 10, size: 100000 },
+          ],
+        },
+      },
+    });
+
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(
+      invalid.body.details.map((detail) => detail.field),
+      ["participant.name", "eventId", "templateId", "format", "width"]
+    );
+    assert.equal(missing.status, 404);
+    assert.equal(oversized.status, 400);
+    assert.deepEqual(
+      oversized.body.details.map((detail) => detail.message),
+      [
+        "elements[0].size must be a number from 1 to 200",
+        "elements[1].width must be a number from -5000 to 5000",
+        "elements[2].fit.minSize must be a number from 1 to 20",
+        "elements[3].size must be a number from 1 to 500",
+      ]
+    );
+  });
+});
@@ -0,0 +1,1553 @@
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { MIGRATIONS_DIR } = require("../../migrator");
+
+/**
+ * An in-memory stand-in for the SQL Server connection pool
+ *
+ * Tables are built from the CREATE TABLE / ALTER TABLE statements in
+ * migrations/, and the part of T-SQL the app uses is interpreted:
+ * SELECT (TOP, WHERE, GROUP BY with COUNT, ORDER BY, OFFSET/FETCH,
+ * subqueries, EXISTS, OPENJSON), INSERT/UPDATE with OUTPUT INSERTED,
+ * DELETE, and a CTE followed by UPDATE. Comparisons are case-insensitive
+ * like the default collation, and PRIMARY KEY/UNIQUE/NOT NULL/FOREIGN KEY
+ * violations fail with SQL Server's error numbers. Anything else (MERGE, IF,
+ * DECLARE, ...) throws, so a test notices instead of passing silently.
+ *
+ * Transactions snapshot every table on begin and restore it on rollback;
+ * they do not isolate concurrent requests.
+ */
+
+const KEYWORDS = new Set(
+  `SELECT TOP FROM WHERE GROUP BY ORDER ASC DESC OFFSET ROWS FETCH NEXT ONLY
+  INSERT INTO VALUES OUTPUT UPDATE SET DELETE WITH AS AND OR NOT NULL IS IN
+  LIKE ESCAPE EXISTS CASE WHEN THEN ELSE END ON JOIN`.split(/\s+/)
+);
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let match;
+    if ((match = /^\s+/.exec(rest))) {
+      i += match[0].length;
+    } else if ((match = /^--[^\n]*/.exec(rest))) {
+      i += match[0].length;
+    } else if ((match = /^N?'((?:[^']|'')*)'/.exec(rest))) {
+      tokens.push({ type: "string", value: match[1].replace(/''/g, "'") });
+      i += match[0].length;
+    } else if ((match = /^\d+(\.\d+)?/.exec(rest))) {
+      tokens.push({ type: "number", value: Number(match[0]) });
+      i += match[0].length;
+    } else if ((match = /^@(\w+)/.exec(rest))) {
+      tokens.push({ type: "param", value: match[1] });
+      i += match[0].length;
+    } else if ((match = /^\[([^\]]+)\]/.exec(rest))) {
+      tokens.push({ type: "word", value: match[1], quoted: true });
+      i += match[0].length;
+    } else if ((match = /^[A-Za-z_][\w$]*/.exec(rest))) {
+      tokens.push({ type: "word", value: match[0] });
+      i += match[0].length;
+    } else if ((match = /^(<>|!=|<=|>=|[=<>(),;.*+\-/%])/.exec(rest))) {
+      tokens.push({ type: "op", value: match[0] });
+      i += match[0].length;
+    } else {
+      throw new Error(
+        `FakeDatabase cannot read SQL near: ${rest.slice(0, 30)}`
+      );
+    }
+  }
+  tokens.push({ type: "eof" });
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isWord(value, offset = 0) {
+    const token = this.peek(offset);
+    return (
+      token.type === "word" &&
+      !token.quoted &&
+      token.value.toUpperCase() === value
+    );
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === "op" && token.value === value;
+  }
+
+  acceptWord(value) {
+    if (this.isWord(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expectWord(value) {
+    if (!this.acceptWord(value)) {
+      this.fail(`expected ${value}`);
+    }
+  }
+
+  expectOp(value) {
+    if (!this.acceptOp(value)) {
+      this.fail(`expected "${value}"`);
+    }
+  }
+
+  identifier() {
+    const token = this.next();
+    if (token.type !== "word") {
+      this.position--;
+      this.fail("expected a name");
+    }
+    return token.value;
+  }
+
+  fail(message) {
+    const token = this.peek();
+    throw new Error(
+      `FakeDatabase: ${message} at ${JSON.stringify(
+        token.value
+      )} in: ${this.text.trim().slice(0, 200)}`
+    );
+  }
+
+  statements() {
+    const statements = [];
+    while (this.peek().type !== "eof") {
+      if (this.acceptOp(";")) {
+        continue;
+      }
+      statements.push(this.statement());
+    }
+    return statements;
+  }
+
+  statement() {
+    if (this.isWord("SELECT")) {
+      return this.select();
+    }
+    if (this.isWord("INSERT")) {
+      return this.insert();
+    }
+    if (this.isWord("UPDATE")) {
+      return this.update();
+    }
+    if (this.isWord("DELETE")) {
+      return this.delete();
+    }
+    if (this.isWord("WITH")) {
+      this.next();
+      const name = this.identifier();
+      this.expectWord("AS");
+      this.expectOp("(");
+      const query = this.select();
+      this.expectOp(")");
+      return { type: "with", name, query, statement: this.statement() };
+    }
+    return this.fail("unsupported statement");
+  }
+
+  select() {
+    this.expectWord("SELECT");
+    const query = { type: "select", columns: [], orderBy: [] };
+
+    if (this.acceptWord("TOP")) {
+      query.top = this.isOp("(") ? this.primary() : this.primary();
+    }
+
+    do {
+      query.columns.push(this.selectItem());
+    } while (this.acceptOp(","));
+
+    if (this.acceptWord("FROM")) {
+      query.from = this.source();
+    }
+    if (this.acceptWord("WHERE")) {
+      query.where = this.expression();
+    }
+    if (this.acceptWord("GROUP")) {
+      this.expectWord("BY");
+      query.groupBy = [];
+      do {
+        query.groupBy.push(this.expression());
+      } while (this.acceptOp(","));
+    }
+    if (this.acceptWord("ORDER")) {
+      this.expectWord("BY");
+      do {
+        const expr = this.expression();
+        const desc = this.acceptWord("DESC");
+        if (!desc) {
+          this.acceptWord("ASC");
+        }
+        query.orderBy.push({ expr, desc });
+      } while (this.acceptOp(","));
+    }
+    if (this.acceptWord("OFFSET")) {
+      query.offset = this.expression();
+      this.expectWord("ROWS");
+      if (this.acceptWord("FETCH")) {
+        this.expectWord("NEXT");
+        query.fetch = this.expression();
+        this.expectWord("ROWS");
+        this.expectWord("ONLY");
+      }
+    }
+    return query;
+  }
+
+  selectItem() {
+    if (this.acceptOp("*")) {
+      return { star: true };
+    }
+    if (this.peek().type === "word" && this.isOp(".", 1) && this.isOp("*", 2)) {
+      const table = this.identifier();
+      this.next();
+      this.next();
+      return { star: true, table };
+    }
+    const expr = this.expression();
+    let alias = null;
+    if (this.acceptWord("AS")) {
+      alias = this.identifier();
+    } else if (
+      this.peek().type === "word" &&
+      !KEYWORDS.has(this.peek().value.toUpperCase())
+    ) {
+      alias = this.identifier();
+    }
+    return { expr, alias };
+  }
+
+  source() {
+    let source;
+    if (this.isWord("OPENJSON")) {
+      this.next();
+      this.expectOp("(");
+      source = { openJson: this.expression() };
+      this.expectOp(")");
+    } else {
+      source = { table: this.identifier() };
+    }
+    this.acceptWord("AS");
+    if (
+      this.peek().type === "word" &&
+      !KEYWORDS.has(this.peek().value.toUpperCase())
+    ) {
+      source.alias = this.identifier();
+    }
+    this.tableHints();
+    return source;
+  }
+
+  // WITH (UPDLOCK, HOLDLOCK) and similar only matter to real locking
+  tableHints() {
+    if (this.isWord("WITH") && this.isOp("(", 1)) {
+      this.next();
+      this.next();
+      while (!this.acceptOp(")")) {
+        this.next();
+      }
+    }
+  }
+
+  output() {
+    const items = [];
+    if (this.acceptWord("OUTPUT")) {
+      do {
+        items.push(this.selectItem());
+      } while (this.acceptOp(","));
+    }
+    return items;
+  }
+
+  insert() {
+    this.expectWord("INSERT");
+    this.acceptWord("INTO");
+    const table = this.identifier();
+    const columns = [];
+    this.expectOp("(");
+    do {
+      columns.push(this.identifier());
+    } while (this.acceptOp(","));
+    this.expectOp(")");
+    const output = this.output();
+    this.expectWord("VALUES");
+    const rows = [];
+    do {
+      this.expectOp("(");
+      const values = [];
+      do {
+        values.push(this.expression());
+      } while (this.acceptOp(","));
+      this.expectOp(")");
+      rows.push(values);
+    } while (this.acceptOp(","));
+    return { type: "insert", table, columns, output, rows };
+  }
+
+  update() {
+    this.expectWord("UPDATE");
+    const table = this.identifier();
+    this.tableHints();
+    this.expectWord("SET");
+    const sets = [];
+    do {
+      const column = this.identifier();
+      this.expectOp("=");
+      sets.push({ column, expr: this.expression() });
+    } while (this.acceptOp(","));
+    const output = this.output();
+    const where = this.acceptWord("WHERE") ? this.expression() : null;
+    return { type: "update", table, sets, output, where };
+  }
+
+  delete() {
+    this.expectWord("DELETE");
+    this.acceptWord("FROM");
+    const table = this.identifier();
+    const where = this.acceptWord("WHERE") ? this.expression() : null;
+    return { type: "delete", table, where };
+  }
+
+  expression() {
+    let left = this.and();
+    while (this.acceptWord("OR")) {
+      left = { type: "binary", op: "OR", left, right: this.and() };
+    }
+    return left;
+  }
+
+  and() {
+    let left = this.not();
+    while (this.acceptWord("AND")) {
+      left = { type: "binary", op: "AND", left, right: this.not() };
+    }
+    return left;
+  }
+
+  not() {
+    if (this.acceptWord("NOT")) {
+      return { type: "not", expr: this.not() };
+    }
+    return this.comparison();
+  }
+
+  comparison() {
+    const left = this.additive();
+
+    if (this.acceptWord("IS")) {
+      const not = this.acceptWord("NOT");
+      this.expectWord("NULL");
+      return { type: "isNull", expr: left, not };
+    }
+
+    const not =
+      this.isWord("NOT") && (this.isWord("LIKE", 1) || this.isWord("IN", 1));
+    if (not) {
+      this.next();
+    }
+    if (this.acceptWord("LIKE")) {
+      const pattern = this.additive();
+      const escape = this.acceptWord("ESCAPE") ? this.additive() : null;
+      return { type: "like", expr: left, pattern, escape, not };
+    }
+    if (this.acceptWord("IN")) {
+      this.expectOp("(");
+      let node;
+      if (this.isWord("SELECT")) {
+        node = { type: "in", expr: left, query: this.select(), not };
+      } else {
+        const list = [];
+        do {
+          list.push(this.expression());
+        } while (this.acceptOp(","));
+        node = { type: "in", expr: left, list, not };
+      }
+      this.expectOp(")");
+      return node;
+    }
+
+    const token = this.peek();
+    if (
+      token.type === "op" &&
+      ["=", "<>", "!=", "<", "<=", ">", ">="].includes(token.value)
+    ) {
+      this.next();
+      return {
+        type: "binary",
+        op: token.value === "!=" ? "<>" : token.value,
+        left,
+        right: this.additive(),
+      };
+    }
+    return left;
+  }
+
+  additive() {
+    let left = this.multiplicative();
+    while (this.isOp("+") || this.isOp("-")) {
+      const op = this.next().value;
+      left = { type: "binary", op, left, right: this.multiplicative() };
+    }
+    return left;
+  }
+
+  multiplicative() {
+    let left = this.unary();
+    while (this.isOp("*") || this.isOp("/") || this.isOp("%")) {
+      const op = this.next().value;
+      left = { type: "binary", op, left, right: this.unary() };
+    }
+    return left;
+  }
+
+  unary() {
+    if (this.acceptOp("-")) {
+      return { type: "negate", expr: this.unary() };
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const token = this.next();
+
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "param") {
+      return { type: "param", name: token.value };
+    }
+    if (token.type === "op" && token.value === "(") {
+      const node = this.isWord("SELECT")
+        ? { type: "subquery", query: this.select() }
+        : this.expression();
+      this.expectOp(")");
+      return node;
+    }
+    if (token.type !== "word") {
+      this.position--;
+      return this.fail("unexpected token");
+    }
+
+    const word = token.value.toUpperCase();
+    if (!token.quoted) {
+      if (word === "NULL") {
+        return { type: "literal", value: null };
+      }
+      if (word === "EXISTS") {
+        this.expectOp("(");
+        const query = this.select();
+        this.expectOp(")");
+        return { type: "exists", query };
+      }
+      if (word === "CASE") {
+        const whens = [];
+        while (this.acceptWord("WHEN")) {
+          const when = this.expression();
+          this.expectWord("THEN");
+          whens.push({ when, then: this.expression() });
+        }
+        const otherwise = this.acceptWord("ELSE") ? this.expression() : null;
+        this.expectWord("END");
+        return { type: "case", whens, otherwise };
+      }
+      if (word === "CAST" && this.isOp("(")) {
+        this.next();
+        const expr = this.expression();
+        this.expectWord("AS");
+        const dataType = this.identifier().toUpperCase();
+        if (this.acceptOp("(")) {
+          while (!this.acceptOp(")")) {
+            this.next();
+          }
+        }
+        this.expectOp(")");
+        return { type: "cast", expr, dataType };
+      }
+    }
+
+    if (this.isOp("(")) {
+      this.next();
+      const args = [];
+      if (this.acceptOp("*")) {
+        args.push({ type: "star" });
+      } else if (!this.isOp(")")) {
+        do {
+          args.push(this.expression());
+        } while (this.acceptOp(","));
+      }
+      this.expectOp(")");
+      return { type: "call", name: word, args };
+    }
+
+    if (this.acceptOp(".")) {
+      return { type: "column", table: token.value, name: this.identifier() };
+    }
+    return { type: "column", name: token.value };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Values
+
+function sqlError(number, message) {
+  const error = new Error(message);
+  error.number = number;
+  error.name = "RequestError";
+  return error;
+}
+
+function cloneValue(value) {
+  return value instanceof Date ? new Date(value) : value;
+}
+
+function cloneRow(row) {
+  return Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, cloneValue(value)])
+  );
+}
+
+function comparable(a, b) {
+  if (typeof a === "boolean") {
+    a = a ? 1 : 0;
+  }
+  if (typeof b === "boolean") {
+    b = b ? 1 : 0;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return [new Date(a).getTime(), new Date(b).getTime()];
+  }
+  if (typeof a === "number" || typeof b === "number") {
+    return [Number(a), Number(b)];
+  }
+  return [String(a).toLowerCase(), String(b).toLowerCase()];
+}
+
+/**
+ * -1, 0 or 1, or null when either side is NULL
+ */
+function compare(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return null;
+  }
+  const [x, y] = comparable(a, b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function likeToRegExp(pattern, escape) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (escape && char === escape) {
+      i++;
+      source += (pattern[i] || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "%") {
+      source += "[\\s\\S]*";
+    } else if (char === "_") {
+      source += "[\\s\\S]";
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+const DATE_UNITS = {
+  MILLISECOND: 1,
+  SECOND: 1000,
+  MINUTE: 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+};
+
+function coerce(column, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (/^(INT|BIGINT|SMALLINT|TINYINT|FLOAT|REAL|DECIMAL)/.test(column.type)) {
+    const number = typeof value === "boolean" ? Number(value) : Number(value);
+    if (Number.isNaN(number)) {
+      throw sqlError(245, `Conversion failed for value '${value}'`);
+    }
+    return number;
+  }
+  if (column.type === "BIT") {
+    return typeof value === "string" ? value !== "0" : Boolean(Number(value));
+  }
+  if (/^DATE/.test(column.type)) {
+    const date = value instanceof Date ? new Date(value) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw sqlError(241, `Conversion failed for date '${value}'`);
+    }
+    return date;
+  }
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// ---------------------------------------------------------------------------
+// Schema
+
+/**
+ * Read the tables defined by the .up.sql migrations, in order
+ */
+function loadSchema(dir = MIGRATIONS_DIR) {
+  const tables = {};
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => /^\d+_[\w-]+\.up\.sql$/.test(file))
+    .sort();
+
+  files.forEach((file) => {
+    const parser = new Parser(fs.readFileSync(path.join(dir, file), "utf8"));
+    while (parser.peek().type !== "eof") {
+      if (parser.isWord("CREATE") && parser.isWord("TABLE", 1)) {
+        parser.position += 2;
+        const name = parser.identifier().toLowerCase();
+        const table = { name, columns: {}, keys: [] };
+        parser.expectOp("(");
+        do {
+          readColumnDefinition(parser, table);
+        } while (parser.acceptOp(","));
+        parser.expectOp(")");
+        tables[name] = table;
+      } else if (parser.isWord("ALTER") && parser.isWord("TABLE", 1)) {
+        parser.position += 2;
+        const table = tables[parser.identifier().toLowerCase()];
+        if (parser.acceptWord("ADD") && table) {
+          readColumnDefinition(parser, table, { ifMissing: true });
+        } else if (parser.acceptWord("DROP") && table) {
+          parser.expectWord("COLUMN");
+          delete table.columns[parser.identifier().toLowerCase()];
+        }
+      } else {
+        parser.next();
+      }
+    }
+  });
+
+  return tables;
+}
+
+function readColumnDefinition(parser, table, { ifMissing = false } = {}) {
+  if (parser.isWord("PRIMARY") || parser.isWord("UNIQUE")) {
+    parser.acceptWord("PRIMARY");
+    parser.acceptWord("KEY");
+    parser.acceptWord("UNIQUE");
+    parser.expectOp("(");
+    const columns = [];
+    do {
+      columns.push(parser.identifier().toLowerCase());
+    } while (parser.acceptOp(","));
+    parser.expectOp(")");
+    table.keys.push(columns);
+    return;
+  }
+
+  const name = parser.identifier().toLowerCase();
+  const column = {
+    name,
+    type: parser.identifier().toUpperCase(),
+    nullable: true,
+    default: null,
+    identity: false,
+    references: null,
+  };
+  if (parser.acceptOp("(")) {
+    while (!parser.acceptOp(")")) {
+      parser.next();
+    }
+  }
+
+  for (;;) {
+    if (parser.acceptWord("NOT")) {
+      parser.expectWord("NULL");
+      column.nullable = false;
+    } else if (parser.acceptWord("NULL")) {
+      column.nullable = true;
+    } else if (parser.acceptWord("IDENTITY")) {
+      parser.expectOp("(");
+      while (!parser.acceptOp(")")) {
+        parser.next();
+      }
+      column.identity = true;
+    } else if (parser.acceptWord("PRIMARY")) {
+      parser.expectWord("KEY");
+      column.nullable = false;
+      table.keys.push([name]);
+    } else if (parser.acceptWord("UNIQUE")) {
+      table.keys.push([name]);
+    } else if (parser.acceptWord("DEFAULT")) {
+      column.default = parser.primary();
+    } else if (parser.acceptWord("CONSTRAINT")) {
+      parser.identifier();
+    } else if (parser.acceptWord("REFERENCES")) {
+      const target = parser.identifier().toLowerCase();
+      parser.expectOp("(");
+      column.references = {
+        table: target,
+        column: parser.identifier().toLowerCase(),
+      };
+      parser.expectOp(")");
+    } else {
+      break;
+    }
+  }
+
+  if (!(ifMissing && table.columns[name])) {
+    table.columns[name] = column;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Execution
+
+class FakeDatabase {
+  constructor({ migrationsDir } = {}) {
+    this.schema = loadSchema(migrationsDir);
+    // Requests the app cancelled (e.g. an export the client abandoned)
+    this.cancelledRequests = 0;
+    this.reset();
+  }
+
+  /**
+   * Empty every table and restart identities
+   */
+  reset() {
+    this.data = {};
+    Object.keys(this.schema).forEach((name) => {
+      this.data[name] = { rows: [], identity: 0 };
+    });
+  }
+
+  snapshot() {
+    return Object.fromEntries(
+      Object.entries(this.data).map(([name, { rows, identity }]) => [
+        name,
+        { rows: rows.map(cloneRow), identity },
+      ])
+    );
+  }
+
+  restore(snapshot) {
+    this.data = snapshot;
+  }
+
+  /**
+   * Rows of a table, for assertions (copies)
+   * @param {string} name
+   * @returns {Object[]}
+   */
+  rows(name) {
+    return this.table(name).data.rows.map(cloneRow);
+  }
+
+  /**
+   * Add a row directly, filling defaults like an INSERT
+   * @param {string} name
+   * @param {Object} values
+   * @returns {Object} - The stored row (copy)
+   */
+  insert(name, values) {
+    const context = this.context({});
+    return cloneRow(this.insertRow(this.table(name), values, context));
+  }
+
+  table(name) {
+    const key = name.toLowerCase();
+    if (!this.schema[key]) {
+      throw sqlError(208, `Invalid object name '${name}'`);
+    }
+    return { schema: this.schema[key], data: this.data[key] };
+  }
+
+  context(params) {
+    return { params, scopes: [], ctes: {}, identity: null };
+  }
+
+  /**
+   * Run a batch of statements like mssql's request.query
+   * @param {string} text
+   * @param {Object} params
+   * @returns {Object} - { recordset, recordsets, rowsAffected, output }
+   */
+  execute(text, params) {
+    const statements = new Parser(text).statements();
+    const context = this.context(params);
+    const recordsets = [];
+    const rowsAffected = [];
+
+    statements.forEach((statement) => {
+      const result = this.run(statement, context);
+      if (result.recordset) {
+        recordsets.push(result.recordset);
+      }
+      if (result.rowsAffected !== undefined) {
+        rowsAffected.push(result.rowsAffected);
+      }
+    });
+
+    return {
+      recordsets,
+      recordset: recordsets[0],
+      rowsAffected,
+      output: {},
+    };
+  }
+
+  run(statement, context) {
+    switch (statement.type) {
+      case "select": {
+        const { rows } = this.select(statement, context);
+        return { recordset: rows, rowsAffected: rows.length };
+      }
+      case "insert":
+        return this.runInsert(statement, context);
+      case "update":
+        return this.runUpdate(statement, context);
+      case "delete":
+        return this.runDelete(statement, context);
+      case "with": {
+        const { sourceRows, table } = this.select(statement.query, context);
+        context.ctes[statement.name.toLowerCase()] = {
+          rows: sourceRows,
+          table,
+        };
+        return this.run(statement.statement, context);
+      }
+      default:
+        throw new Error(`FakeDatabase cannot run ${statement.type}`);
+    }
+  }
+
+  /**
+   * @returns {{rows: Object[], sourceRows: Object[], table: Object}} -
+   *   projected copies, and the underlying rows (for a CTE update)
+   */
+  select(query, context) {
+    let sourceRows = [{}];
+    let names = [];
+    let table = null;
+
+    if (query.from && query.from.openJson) {
+      const json = this.evaluate(query.from.openJson, context);
+      const values = json === null ? [] : JSON.parse(json);
+      sourceRows = Object.entries(values).map(([key, value]) => ({
+        key,
+        value:
+          value === null || typeof value === "object"
+            ? JSON.stringify(value)
+            : String(value),
+      }));
+      names = [query.from.alias || "openjson"];
+    } else if (query.from) {
+      const cte = context.ctes[query.from.table.toLowerCase()];
+      if (cte) {
+        sourceRows = cte.rows;
+        table = cte.table;
+      } else {
+        table = this.table(query.from.table);
+        sourceRows = table.data.rows;
+      }
+      names = [query.from.table, query.from.alias].filter(Boolean);
+    }
+
+    const scoped = (row) => ({
+      ...context,
+      scopes: [...context.scopes, { names, row }],
+    });
+
+    let rows = sourceRows.filter(
+      (row) => !query.where || this.evaluate(query.where, scoped(row)) === true
+    );
+
+    const aggregate =
+      query.groupBy ||
+      query.columns.some((column) => column.expr && hasAggregate(column.expr));
+
+    let groups;
+    if (aggregate) {
+      const byKey = new Map();
+      rows.forEach((row) => {
+        const key = JSON.stringify(
+          (query.groupBy || []).map((expr) => {
+            const value = this.evaluate(expr, scoped(row));
+            return typeof value === "string" ? value.toLowerCase() : value;
+          })
+        );
+        if (!byKey.has(key)) {
+          byKey.set(key, []);
+        }
+        byKey.get(key).push(row);
+      });
+      groups = [...byKey.values()];
+      if (groups.length === 0 && !query.groupBy) {
+        groups = [[]];
+      }
+    } else {
+      groups = rows.map((row) => [row]);
+    }
+
+    let results = groups.map((group) => {
+      const rowContext = { ...scoped(group[0] || {}), group };
+      return {
+        source: group[0],
+        context: rowContext,
+        projected: this.project(query.columns, rowContext, table, names),
+      };
+    });
+
+    if (query.orderBy.length > 0) {
+      const keyed = results.map((result) => ({
+        result,
+        keys: query.orderBy.map(({ expr }) => this.orderValue(expr, result)),
+      }));
+      keyed.sort((a, b) => {
+        for (let i = 0; i < query.orderBy.length; i++) {
+          const x = a.keys[i];
+          const y = b.keys[i];
+          // NULLs sort first, as in SQL Server
+          let order =
+            x === null && y === null
+              ? 0
+              : x === null
+              ? -1
+              : y === null
+              ? 1
+              : compare(x, y);
+          if (query.orderBy[i].desc) {
+            order = -order;
+          }
+          if (order !== 0) {
+            return order;
+          }
+        }
+        return 0;
+      });
+      results = keyed.map(({ result }) => result);
+    }
+
+    if (query.offset) {
+      const offset = Number(this.evaluate(query.offset, context));
+      const fetch = query.fetch
+        ? Number(this.evaluate(query.fetch, context))
+        : Infinity;
+      results = results.slice(offset, offset + fetch);
+    }
+    if (query.top) {
+      results = results.slice(0, Number(this.evaluate(query.top, context)));
+    }
+
+    return {
+      rows: results.map((result) => result.projected),
+      sourceRows: results.map((result) => result.source),
+      table,
+    };
+  }
+
+  orderValue(expr, result) {
+    if (
+      expr.type === "column" &&
+      !expr.table &&
+      Object.prototype.hasOwnProperty.call(result.projected, expr.name) &&
+      !(result.source && expr.name.toLowerCase() in result.source)
+    ) {
+      return result.projected[expr.name];
+    }
+    return this.evaluate(expr, result.context);
+  }
+
+  project(columns, context, table, names) {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column.star) {
+        const scope = column.table
+          ? findScope(context, column.table)
+          : context.scopes[context.scopes.length - 1];
+        Object.entries(scope ? scope.row : {}).forEach(([key, value]) => {
+          row[key] = cloneValue(value);
+        });
+        return;
+      }
+      const name =
+        column.alias ||
+        (column.expr.type === "column" ? column.expr.name.toLowerCase() : "");
+      row[name || (index === 0 ? "" : `column${index}`)] = cloneValue(
+        this.evaluate(column.expr, context)
+      );
+    });
+    return row;
+  }
+
+  insertRow(table, values, context) {
+    const row = {};
+    Object.values(table.schema.columns).forEach((column) => {
+      if (Object.prototype.hasOwnProperty.call(values, column.name)) {
+        row[column.name] = coerce(column, values[column.name]);
+      } else if (column.identity) {
+        row[column.name] = ++table.data.identity;
+        context.identity = row[column.name];
+      } else if (column.default) {
+        row[column.name] = coerce(
+          column,
+          this.evaluate(column.default, context)
+        );
+      } else {
+        row[column.name] = null;
+      }
+    });
+
+    Object.keys(values).forEach((name) => {
+      if (!table.schema.columns[name]) {
+        throw sqlError(207, `Invalid column name '${name}'`);
+      }
+    });
+    this.checkRow(table, row, null, "INSERT");
+    table.data.rows.push(row);
+    return row;
+  }
+
+  checkRow(table, row, existing, action) {
+    Object.values(table.schema.columns).forEach((column) => {
+      if (!column.nullable && row[column.name] === null) {
+        throw sqlError(
+          515,
+          `Cannot insert the value NULL into column '${column.name}', table '${table.schema.name}'`
+        );
+      }
+    });
+    table.schema.keys.forEach((key) => {
+      const clash = table.data.rows.find(
+        (other) =>
+          other !== existing &&
+          key.every((name) => compare(other[name], row[name]) === 0)
+      );
+      if (clash) {
+        throw sqlError(
+          2627,
+          `Violation of UNIQUE KEY constraint on ${
+            table.schema.name
+          } (${key.join(", ")})`
+        );
+      }
+    });
+    Object.values(table.schema.columns).forEach((column) => {
+      const { references } = column;
+      if (!references || row[column.name] === null) {
+        return;
+      }
+      const found = this.data[references.table].rows.some(
+        (other) => compare(other[references.column], row[column.name]) === 0
+      );
+      if (!found) {
+        throw sqlError(
+          547,
+          `The ${action} statement conflicted with the FOREIGN KEY constraint on ${table.schema.name} (${column.name}) referencing ${references.table} (${references.column})`
+        );
+      }
+    });
+  }
+
+  /**
+   * Fail like SQL Server when rows about to be deleted are still
+   * referenced by another table's foreign key
+   */
+  checkReferences(table, rows) {
+    Object.values(this.schema).forEach((other) => {
+      Object.values(other.columns).forEach((column) => {
+        const { references } = column;
+        if (!references || references.table !== table.schema.name) {
+          return;
+        }
+        const referenced = this.data[other.name].rows.some((otherRow) =>
+          rows.some(
+            (row) =>
+              otherRow[column.name] !== null &&
+              compare(otherRow[column.name], row[references.column]) === 0
+          )
+        );
+        if (referenced) {
+          throw sqlError(
+            547,
+            `The DELETE statement conflicted with the REFERENCE constraint on ${other.name} (${column.name}) referencing ${table.schema.name} (${references.column})`
+          );
+        }
+      });
+    });
+  }
+
+  runInsert(statement, context) {
+    const table = this.table(statement.table);
+    const inserted = statement.rows.map((values) => {
+      const row = {};
+      statement.columns.forEach((column, index) => {
+        row[column.toLowerCase()] = this.evaluate(values[index], context);
+      });
+      return this.insertRow(table, row, context);
+    });
+    return {
+      recordset: this.outputRows(statement.output, inserted, context),
+      rowsAffected: inserted.length,
+    };
+  }
+
+  runUpdate(statement, context) {
+    const cte = context.ctes[statement.table.toLowerCase()];
+    const table = cte ? cte.table : this.table(statement.table);
+    const names = [statement.table];
+    const candidates = cte ? cte.rows : table.data.rows;
+    const targets = candidates.filter(
+      (row) =>
+        !statement.where ||
+        this.evaluate(statement.where, {
+          ...context,
+          scopes: [{ names, row }],
+        }) === true
+    );
+
+    targets.forEach((row) => {
+      const rowContext = { ...context, scopes: [{ names, row }] };
+      const changes = statement.sets.map(({ column, expr }) => {
+        const definition = table.schema.columns[column.toLowerCase()];
+        if (!definition) {
+          throw sqlError(207, `Invalid column name '${column}'`);
+        }
+        return [
+          definition,
+          coerce(definition, this.evaluate(expr, rowContext)),
+        ];
+      });
+      const updated = { ...row };
+      changes.forEach(([definition, value]) => {
+        updated[definition.name] = value;
+      });
+      this.checkRow(table, updated, row, "UPDATE");
+      Object.assign(row, updated);
+    });
+
+    return {
+      recordset: this.outputRows(statement.output, targets, context),
+      rowsAffected: targets.length,
+    };
+  }
+
+  runDelete(statement, context) {
+    const table = this.table(statement.table);
+    const names = [statement.table];
+    const targets = table.data.rows.filter(
+      (row) =>
+        !statement.where ||
+        this.evaluate(statement.where, {
+          ...context,
+          scopes: [{ names, row }],
+        }) === true
+    );
+    this.checkReferences(table, targets);
+    table.data.rows = table.data.rows.filter((row) => !targets.includes(row));
+    return { rowsAffected: targets.length };
+  }
+
+  outputRows(output, rows, context) {
+    if (output.length === 0) {
+      return undefined;
+    }
+    return rows.map((row) =>
+      this.project(
+        output,
+        { ...context, scopes: [{ names: ["inserted"], row }] },
+        null,
+        ["inserted"]
+      )
+    );
+  }
+
+  evaluate(node, context) {
+    switch (node.type) {
+      case "literal":
+        return node.value;
+      case "param": {
+        if (!Object.prototype.hasOwnProperty.call(context.params, node.name)) {
+          throw sqlError(
+            137,
+            `Must declare the scalar variable "@${node.name}"`
+          );
+        }
+        const value = context.params[node.name];
+        return value === undefined ? null : value;
+      }
+      case "column":
+        return lookupColumn(context, node);
+      case "negate": {
+        const value = this.evaluate(node.expr, context);
+        return value === null ? null : -value;
+      }
+      case "not": {
+        const value = this.evaluate(node.expr, context);
+        return value === null ? null : !value;
+      }
+      case "isNull": {
+        const value = this.evaluate(node.expr, context);
+        const isNull = value === null || value === undefined;
+        return node.not ? !isNull : isNull;
+      }
+      case "like": {
+        const value = this.evaluate(node.expr, context);
+        const pattern = this.evaluate(node.pattern, context);
+        if (value === null || pattern === null) {
+          return null;
+        }
+        const escape = node.escape ? this.evaluate(node.escape, context) : null;
+        const matches = likeToRegExp(String(pattern), escape).test(
+          String(value)
+        );
+        return node.not ? !matches : matches;
+      }
+      case "in": {
+        const value = this.evaluate(node.expr, context);
+        if (value === null) {
+          return null;
+        }
+        const candidates = node.query
+          ? this.select(node.query, context).rows.map(
+              (row) => Object.values(row)[0]
+            )
+          : node.list.map((item) => this.evaluate(item, context));
+        const found = candidates.some(
+          (candidate) => compare(value, candidate) === 0
+        );
+        return node.not ? !found : found;
+      }
+      case "exists":
+        return this.select(node.query, context).rows.length > 0;
+      case "subquery": {
+        const [row] = this.select(node.query, context).rows;
+        return row ? Object.values(row)[0] : null;
+      }
+      case "case": {
+        const match = node.whens.find(
+          ({ when }) => this.evaluate(when, context) === true
+        );
+        if (match) {
+          return this.evaluate(match.then, context);
+        }
+        return node.otherwise ? this.evaluate(node.otherwise, context) : null;
+      }
+      case "cast": {
+        const value = this.evaluate(node.expr, context);
+        return coerce({ type: node.dataType }, value);
+      }
+      case "binary":
+        return this.binary(node, context);
+      case "call":
+        return this.call(node, context);
+      default:
+        throw new Error(`FakeDatabase cannot evaluate ${node.type}`);
+    }
+  }
+
+  binary(node, context) {
+    if (node.op === "AND" || node.op === "OR") {
+      const left = this.evaluate(node.left, context);
+      if (node.op === "AND" && left === false) {
+        return false;
+      }
+      if (node.op === "OR" && left === true) {
+        return true;
+      }
+      const right = this.evaluate(node.right, context);
+      if (node.op === "AND") {
+        return right === false
+          ? false
+          : left === null || right === null
+          ? null
+          : true;
+      }
+      return right === true
+        ? true
+        : left === null || right === null
+        ? null
+        : false;
+    }
+
+    const left = this.evaluate(node.left, context);
+    const right = this.evaluate(node.right, context);
+    if (["=", "<>", "<", "<=", ">", ">="].includes(node.op)) {
+      const order = compare(left, right);
+      if (order === null) {
+        return null;
+      }
+      return {
+        "=": order === 0,
+        "<>": order !== 0,
+        "<": order < 0,
+        "<=": order <= 0,
+        ">": order > 0,
+        ">=": order >= 0,
+      }[node.op];
+    }
+
+    if (left === null || right === null) {
+      return null;
+    }
+    switch (node.op) {
+      case "+":
+        return typeof left === "string" || typeof right === "string"
+          ? `${left}${right}`
+          : left + right;
+      case "-":
+        return left - right;
+      case "*":
+        return left * right;
+      case "/":
+        return Number.isInteger(left) && Number.isInteger(right)
+          ? Math.trunc(left / right)
+          : left / right;
+      case "%":
+        return left % right;
+      default:
+        throw new Error(`FakeDatabase cannot apply ${node.op}`);
+    }
+  }
+
+  call(node, context) {
+    const args = () => node.args.map((arg) => this.evaluate(arg, context));
+    switch (node.name) {
+      case "GETDATE":
+      case "SYSUTCDATETIME":
+      case "SYSDATETIME":
+      case "GETUTCDATE":
+        return new Date();
+      case "SCOPE_IDENTITY":
+        return context.identity;
+      case "COUNT": {
+        const group = context.group || [];
+        if (node.args[0].type === "star") {
+          return group.length;
+        }
+        return group.filter(
+          (row) =>
+            this.evaluate(node.args[0], {
+              ...context,
+              scopes: [
+                ...context.scopes.slice(0, -1),
+                { ...context.scopes[context.scopes.length - 1], row },
+              ],
+            }) !== null
+        ).length;
+      }
+      case "DATEADD": {
+        const unit = node.args[0].name && node.args[0].name.toUpperCase();
+        if (!DATE_UNITS[unit]) {
+          throw new Error(`FakeDatabase cannot DATEADD by ${unit}`);
+        }
+        const amount = this.evaluate(node.args[1], context);
+        const date = this.evaluate(node.args[2], context);
+        if (amount === null || date === null) {
+          return null;
+        }
+        return new Date(new Date(date).getTime() + amount * DATE_UNITS[unit]);
+      }
+      case "LOWER": {
+        const [value] = args();
+        return value === null ? null : String(value).toLowerCase();
+      }
+      case "UPPER": {
+        const [value] = args();
+        return value === null ? null : String(value).toUpperCase();
+      }
+      case "LTRIM": {
+        const [value] = args();
+        return value === null ? null : String(value).replace(/^\s+/, "");
+      }
+      case "RTRIM": {
+        const [value] = args();
+        return value === null ? null : String(value).replace(/\s+$/, "");
+      }
+      case "ISNULL":
+      case "COALESCE":
+        return args().find((value) => value !== null) ?? null;
+      default:
+        throw new Error(`FakeDatabase does not know ${node.name}()`);
+    }
+  }
+
+  /**
+   * A connection pool to hand to db.setConnection
+   */
+  pool() {
+    const database = this;
+    return {
+      connected: true,
+      request: () => new FakeRequest(database),
+      transaction: () => new FakeTransaction(database),
+      close: async () => {},
+    };
+  }
+}
+
+function hasAggregate(node) {
+  if (!node || typeof node !== "object") {
+    return false;
+  }
+  if (node.type === "call" && node.name === "COUNT") {
+    return true;
+  }
+  if (node.type === "subquery" || node.type === "exists") {
+    return false;
+  }
+  return Object.values(node).some((value) =>
+    Array.isArray(value) ? value.some(hasAggregate) : hasAggregate(value)
+  );
+}
+
+function findScope(context, name) {
+  const wanted = name.toLowerCase();
+  for (let i = context.scopes.length - 1; i >= 0; i--) {
+    if (
+      context.scopes[i].names.some(
+        (scopeName) => scopeName.toLowerCase() === wanted
+      )
+    ) {
+      return context.scopes[i];
+    }
+  }
+  return null;
+}
+
+function lookupColumn(context, node) {
+  const name = node.name.toLowerCase();
+  if (node.table) {
+    const scope = findScope(context, node.table);
+    if (scope && name in scope.row) {
+      return scope.row[name];
+    }
+  } else {
+    for (let i = context.scopes.length - 1; i >= 0; i--) {
+      if (name in context.scopes[i].row) {
+        return context.scopes[i].row[name];
+      }
+    }
+  }
+  throw sqlError(
+    207,
+    `Invalid column name '${node.table ? `${node.table}.` : ""}${node.name}'`
+  );
+}
+
+/**
+ * Mimics the parts of an mssql Request the app uses
+ */
+class FakeRequest {
+  constructor(database, transaction = null) {
+    this.database = database;
+    this.transaction = transaction;
+    this.params = {};
+    this.stream = false;
+    this.readable = null;
+  }
+
+  input(name, type, value) {
+    this.params[name] = arguments.length === 2 ? type : value;
+    return this;
+  }
+
+  async query(text) {
+    if (this.transaction && !this.transaction.active) {
+      throw new Error("Transaction has not begun");
+    }
+    let result;
+    try {
+      result = this.database.execute(text, this.params);
+    } catch (error) {
+      if (this.readable) {
+        this.readable.destroy(error);
+        return undefined;
+      }
+      throw error;
+    }
+    if (this.readable) {
+      (result.recordset || []).forEach((row) => this.readable.push(row));
+      this.readable.push(null);
+      return undefined;
+    }
+    return result;
+  }
+
+  batch(text) {
+    return this.query(text);
+  }
+
+  cancel() {
+    this.database.cancelledRequests++;
+  }
+
+  toReadableStream(options = {}) {
+    this.readable = new Readable({ ...options, objectMode: true, read() {} });
+    return this.readable;
+  }
+}
+
+class FakeTransaction {
+  constructor(database) {
+    this.database = database;
+    this.active = false;
+    this.saved = null;
+  }
+
+  async begin() {
+    this.saved = this.database.snapshot();
+    this.active = true;
+  }
+
+  async commit() {
+    this.saved = null;
+    this.active = false;
+  }
+
+  async rollback() {
+    if (this.saved) {
+      this.database.restore(this.saved);
+    }
+    this.saved = null;
+    this.active = false;
+  }
+
+  request() {
+    return new FakeRequest(this.database, this);
+  }
+}
+
+module.exports = { FakeDatabase };
@@ -0,0 +1,27 @@
+/**
+ * A nodemailer-style transport that keeps messages instead of sending them
+ * Attachment contents are kept as Buffers, whatever they were given as.
+ * @returns {Object} - { sent, sendMail, clear }
+ */
+function createFakeMailTransport() {
+  const sent = [];
+
+  return {
+    sent,
+
+    async sendMail(message) {
+      const attachments = (message.attachments || []).map((attachment) => ({
+        ...attachment,
+        content: Buffer.from(attachment.content),
+      }));
+      sent.push({ ...message, attachments });
+      return { messageId: `<test-${sent.length}@example.org>` };
+    },
+
+    clear() {
+      sent.length = 0;
+    },
+  };
+}
+
+module.exports = { createFakeMailTransport };
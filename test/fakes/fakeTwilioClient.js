@@ -0,0 +1,26 @@
+/**
+ * Stands in for the Twilio client: messages.create records the message and
+ * answers like the API does for a queued SMS
+ * @returns {Object} - { sent, messages, clear }
+ */
+function createFakeTwilioClient() {
+  const sent = [];
+
+  return {
+    sent,
+
+    messages: {
+      async create(message) {
+        const sid = `SM${String(sent.length + 1).padStart(32, "0")}`;
+        sent.push({ ...message, sid });
+        return { sid, status: "queued" };
+      },
+    },
+
+    clear() {
+      sent.length = 0;
+    },
+  };
+}
+
+module.exports = { createFakeTwilioClient };
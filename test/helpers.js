@@ -0,0 +1,218 @@
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { FakeDatabase } = require("./fakes/fakeDatabase");
+const { createFakeMailTransport } = require("./fakes/fakeMailTransport");
+const { createFakeTwilioClient } = require("./fakes/fakeTwilioClient");
+
+// Read by the app's modules when they load, so set before requiring them
+Object.assign(process.env, {
+  DOTENV_CONFIG_QUIET: "true",
+  JWT_SECRET: "test-jwt-secret",
+  CERTIFICATE_SIGNING_SECRET: "test-certificate-secret",
+  TWILIO_ACCOUNT_SID: "ACtest",
+  TWILIO_AUTH_TOKEN: "test-twilio-token",
+  TWILIO_PHONE_NUMBER: "+15005550006",
+  SMTP_USER: "certificates@example.org",
+  STORAGE_BACKEND: "local",
+  CAPTCHA_PROVIDER: "none",
+  RATE_LIMIT_STORE: "memory",
+});
+
+// The app logs every step; TEST_LOGS=true shows it
+if (process.env.TEST_LOGS !== "true") {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const PASSWORD = "correct horse battery staple";
+const ROLES = ["viewer", "operator", "admin"];
+
+let context = null;
+
+/**
+ * Start the app on a free port against in-memory fakes
+ * The database, SMTP, Twilio, CAPTCHA and rate limit store are replaced;
+ * certificates are stored in a temporary directory. Every test file runs
+ * in its own process, so this happens once per file.
+ * @returns {Promise<Object>} - { baseUrl, database, mail, sms, tokens,
+ *   users, storageDir }
+ */
+async function setup() {
+  if (context) {
+    return context;
+  }
+
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "certificates-"));
+  process.env.PUBLIC_BASE_URL = baseUrl;
+  process.env.STORAGE_LOCAL_DIR = storageDir;
+  process.on("exit", () =>
+    fs.rmSync(storageDir, { recursive: true, force: true })
+  );
+
+  const database = new FakeDatabase();
+  const mail = createFakeMailTransport();
+  const sms = createFakeTwilioClient();
+  require("../db").setConnection(database.pool());
+  require("../emailService").setMailTransport(mail);
+  require("../smsService").setTwilioClient(sms);
+
+  const app = require("../server");
+  server.on("request", app);
+  server.unref();
+
+  await require("../storage").initializeStorage();
+  await require("../eventService").ensureDefaultEvent();
+
+  const { createUser } = require("../authService");
+  const users = {};
+  for (const role of ROLES) {
+    users[role] = await createUser({
+      email: `${role}@example.org`,
+      name: `Test ${role}`,
+      password: PASSWORD,
+      role,
+    });
+  }
+
+  context = {
+    baseUrl,
+    database,
+    mail,
+    sms,
+    users,
+    storageDir,
+    tokens: {},
+    seed: database.snapshot(),
+  };
+  for (const role of ROLES) {
+    const { body } = await request("POST", "/api/auth/login", {
+      body: { email: users[role].email, password: PASSWORD },
+    });
+    context.tokens[role] = body.token;
+  }
+  return context;
+}
+
+/**
+ * Back to the state setup() left: the default event and one user per role,
+ * no mail or SMS sent, fresh rate limits, CAPTCHAs off
+ */
+function reset() {
+  const { database, mail, sms } = context;
+  database.restore(context.seed);
+  context.seed = database.snapshot();
+  mail.clear();
+  sms.clear();
+
+  const { setDefaultStore, MemoryStore } = require("../rateLimiter");
+  setDefaultStore(new MemoryStore());
+  require("../captchaService").setCaptchaProvider(null);
+}
+
+/**
+ * Call the app
+ * @param {string} method
+ * @param {string} url - Path, e.g. /api/data?page=2
+ * @param {Object} [options]
+ * @param {string} [options.as] - Role to sign in as (see ROLES)
+ * @param {Object} [options.body] - Sent as JSON
+ * @param {Object} [options.form] - Sent form-encoded
+ * @param {Buffer|string} [options.raw] - Sent as is, with headers giving
+ *   its Content-Type
+ * @param {FormData} [options.multipart]
+ * @param {Object} [options.headers]
+ * @returns {Promise<Object>} - { status, headers, body, text, buffer }; body
+ *   is parsed JSON when the response is JSON
+ */
+async function request(method, url, options = {}) {
+  const headers = { ...options.headers };
+  let body;
+  if (options.as) {
+    headers.Authorization = `Bearer ${context.tokens[options.as]}`;
+  }
+  if (options.body !== undefined) {
+    headers["Content-Type"] = "application/json";
+    body = JSON.stringify(options.body);
+  } else if (options.form !== undefined) {
+    body = new URLSearchParams(options.form).toString();
+    headers["Content-Type"] = "application/x-www-form-urlencoded";
+  } else if (options.raw !== undefined) {
+    body = options.raw;
+  } else if (options.multipart !== undefined) {
+    body = options.multipart;
+  }
+
+  const response = await fetch(`${context.baseUrl}${url}`, {
+    method,
+    headers,
+    body,
+    redirect: "manual",
+  });
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const text = buffer.toString("utf8");
+  const isJson = (response.headers.get("content-type") || "").includes(
+    "application/json"
+  );
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: isJson && text ? JSON.parse(text) : undefined,
+    text,
+    buffer,
+  };
+}
+
+/**
+ * Register a participant through /api/submit
+ * @param {Object} [fields] - Overrides for the default participant
+ * @param {Object} [options] - Passed to request()
+ */
+function submit(fields = {}, options = {}) {
+  return request("POST", "/api/submit", {
+    ...options,
+    body: {
+      name: "Asha Rao",
+      email: "asha@example.org",
+      phone: "+91 98765 43210",
+      ...fields,
+    },
+  });
+}
+
+/**
+ * Run the certificate jobs queued so far, as the worker would
+ */
+function runJobs() {
+  return require("../jobQueue").runDueJobs();
+}
+
+/**
+ * The text of every page of a PDF
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function pdfText(buffer) {
+  const mupdf = await import("mupdf");
+  const document = mupdf.Document.openDocument(buffer, "application/pdf");
+  const pages = [];
+  for (let i = 0; i < document.countPages(); i++) {
+    pages.push(document.loadPage(i).toStructuredText().asText());
+  }
+  return pages.join("\n");
+}
+
+module.exports = {
+  PASSWORD,
+  setup,
+  reset,
+  request,
+  submit,
+  runJobs,
+  pdfText,
+};
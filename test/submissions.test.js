@@ -0,0 +1,415 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const ExcelJS = require("exceljs");
+const { setup, reset, request, submit, runJobs } = require("./helpers");
+
+async function registerParticipants() {
+  await submit({
+    name: "Asha Rao",
+    email: "asha@example.org",
+    phone: undefined,
+    location: { city: "Kadiri", state: "Andhra Pradesh", country: "India" },
+  });
+  await submit({
+    name: "Ravi Kumar",
+    email: undefined,
+    phone: "+91 91234 56789",
+    location: { city: "Anantapur", state: "Andhra Pradesh", country: "India" },
+  });
+  await submit({
+    name: "Meena 100% Sharma",
+    email: "meena@example.org",
+    phone: undefined,
+    location: { city: "Chennai", state: "Tamil Nadu", country: "India" },
+  });
+}
+
+describe("GET /api/data", () => {
+  before(setup);
+  beforeEach(async () => {
+    reset();
+    await registerParticipants();
+  });
+
+  it("lists submissions with pagination", async () => {
+    const response = await request("GET", "/api/data?pageSize=2", {
+      as: "viewer",
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.pagination, {
+      page: 1,
+      pageSize: 2,
+      total: 3,
+      totalPages: 2,
+    });
+    assert.deepEqual(
+      response.body.data.map((row) => row.name),
+      ["Meena 100% Sharma", "Ravi Kumar"]
+    );
+
+    const second = await request("GET", "/api/data?pageSize=2&page=2", {
+      as: "viewer",
+    });
+    assert.deepEqual(
+      second.body.data.map((row) => row.name),
+      ["Asha Rao"]
+    );
+  });
+
+  it("filters and sorts", async () => {
+    const byState = await request(
+      "GET",
+      "/api/data?state=andhra%20pradesh&sort=name&order=asc",
+      { as: "viewer" }
+    );
+    const bySearch = await request("GET", "/api/data?q=100%25", {
+      as: "viewer",
+    });
+    const bySendMethod = await request("GET", "/api/data?sendMethod=none", {
+      as: "viewer",
+    });
+
+    assert.deepEqual(
+      byState.body.data.map((row) => row.name),
+      ["Asha Rao", "Ravi Kumar"]
+    );
+    assert.deepEqual(
+      bySearch.body.data.map((row) => row.name),
+      ["Meena 100% Sharma"]
+    );
+    assert.equal(bySendMethod.body.pagination.total, 3);
+  });
+
+  it("rejects unknown sort columns and bad pages", async () => {
+    const response = await request("GET", "/api/data?sort=password&page=0", {
+      as: "viewer",
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details.length, 2);
+  });
+});
+
+describe("GET /api/submissions/export", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(async () => {
+    reset();
+    await registerParticipants();
+  });
+
+  it("exports CSV with the chosen columns", async () => {
+    const response = await request(
+      "GET",
+      "/api/submissions/export?columns=certificate_id,name,city&sort=id&order=asc",
+      { as: "viewer" }
+    );
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /text\/csv/);
+    const lines = response.text.replace(/^﻿/, "").trim().split(/\r?\n/);
+    assert.deepEqual(lines, [
+      "Certificate ID,Name,City",
+      "YV-1-2026,Asha Rao,Kadiri",
+      "YV-2-2026,Ravi Kumar,Anantapur",
+      "YV-3-2026,Meena 100% Sharma,Chennai",
+    ]);
+  });
+
+  it("exports a filtered XLSX workbook", async () => {
+    const response = await request(
+      "GET",
+      "/api/submissions/export?format=xlsx&state=Tamil%20Nadu",
+      { as: "viewer" }
+    );
+
+    assert.equal(response.status, 200);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.buffer);
+    const sheet = workbook.worksheets[0];
+    assert.equal(sheet.rowCount, 2);
+    assert.equal(sheet.getRow(2).getCell(4).value, "Meena 100% Sharma");
+  });
+
+  it("stops reading submissions when the client goes away", async () => {
+    // Enough data, and random so XLSX cannot compress it, that a response
+    // cannot all sit in socket buffers
+    for (let i = 0; i < 3000; i++) {
+      context.database.insert("submissions", {
+        event_id: 1,
+        name: `Participant ${i}`,
+        message: crypto.randomBytes(1000).toString("hex"),
+      });
+    }
+
+    for (const format of ["csv", "xlsx"]) {
+      const cancelled = context.database.cancelledRequests;
+      const controller = new AbortController();
+      const response = await fetch(
+        `${context.baseUrl}/api/submissions/export?format=${format}&columns=id,message`,
+        {
+          headers: { Authorization: `Bearer ${context.tokens.viewer}` },
+          signal: controller.signal,
+        }
+      );
+      await response.body.getReader().read();
+      controller.abort();
+
+      const deadline = Date.now() + 5000;
+      while (
+        context.database.cancelledRequests === cancelled &&
+        Date.now() < deadline
+      ) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      assert.equal(context.database.cancelledRequests, cancelled + 1, format);
+    }
+  });
+
+  it("rejects unknown formats and columns", async () => {
+    const response = await request(
+      "GET",
+      "/api/submissions/export?format=pdf&columns=name,password_hash",
+      { as: "viewer" }
+    );
+
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("POST /api/submissions/import", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  const csv = [
+    "Full Name,E-mail,Mobile,City",
+    "Lakshmi Devi,lakshmi@example.org,,Kadiri",
+    "Invalid Row,not-an-email,,Kadiri",
+    "Suresh Babu,,+91 99887 76655,Hindupur",
+  ].join("\n");
+
+  it("checks a file without importing it on a dry run", async () => {
+    const response = await request(
+      "POST",
+      "/api/submissions/import?dryRun=true",
+      { as: "operator", raw: csv, headers: { "Content-Type": "text/csv" } }
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dryRun, true);
+    assert.deepEqual(
+      response.body.rows.map((row) => row.status),
+      ["valid", "invalid", "valid"]
+    );
+    assert.equal(context.database.rows("submissions").length, 0);
+  });
+
+  it("imports the valid rows as a batch", async () => {
+    const form = new FormData();
+    form.append("file", new Blob([csv], { type: "text/csv" }), "people.csv");
+    const response = await request("POST", "/api/submissions/import", {
+      as: "operator",
+      multipart: form,
+    });
+
+    assert.equal(response.status, 202);
+    assert.equal(context.database.rows("submissions").length, 2);
+
+    await runJobs();
+    const batch = await request("GET", response.body.statusUrl, {
+      as: "viewer",
+    });
+    assert.equal(batch.body.status, "completed");
+    assert.equal(batch.body.counts.completed, 2);
+    assert.equal(context.mail.sent.length, 1);
+    assert.equal(context.sms.sent.length, 1);
+  });
+
+  it("reports the rows saved before an import fails", async (t) => {
+    const lines = ["Name,Email"];
+    for (let i = 1; i <= 150; i += 1) {
+      lines.push(`Participant ${i},participant${i}@example.org`);
+    }
+    let inserts = 0;
+    const execute = context.database.execute;
+    t.mock.method(context.database, "execute", function (text, params) {
+      if (/INSERT INTO submissions/i.test(text) && ++inserts === 120) {
+        throw new Error("Connection lost");
+      }
+      return execute.call(this, text, params);
+    });
+
+    const response = await request("POST", "/api/submissions/import", {
+      as: "operator",
+      raw: lines.join("\n"),
+      headers: { "Content-Type": "text/csv" },
+    });
+
+    assert.equal(response.status, 500);
+    const statuses = response.body.rows.map((row) => row.status);
+    assert.equal(statuses.filter((s) => s === "imported").length, 100);
+    assert.equal(statuses.filter((s) => s === "failed").length, 50);
+    assert.equal(context.database.rows("submissions").length, 100);
+
+    await runJobs();
+    const batch = await request("GET", response.body.statusUrl, {
+      as: "viewer",
+    });
+    assert.equal(batch.body.status, "failed");
+    assert.equal(batch.body.total, 100);
+    assert.equal(batch.body.counts.completed, 100);
+    assert.equal(batch.body.error, "Connection lost");
+  });
+
+  it("skips rows already registered", async () => {
+    await submit({ email: "lakshmi@example.org", phone: undefined });
+
+    const response = await request(
+      "POST",
+      "/api/submissions/import?dryRun=true",
+      { as: "operator", raw: csv, headers: { "Content-Type": "text/csv" } }
+    );
+
+    assert.equal(response.body.rows[0].status, "duplicate");
+  });
+
+  it("requires a name column", async () => {
+    const response = await request("POST", "/api/submissions/import", {
+      as: "operator",
+      raw: "Email\nsomeone@example.org",
+      headers: { "Content-Type": "text/csv" },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details[0].field, "file");
+  });
+
+  it("is not open to viewers", async () => {
+    const response = await request("POST", "/api/submissions/import", {
+      as: "viewer",
+      raw: csv,
+      headers: { "Content-Type": "text/csv" },
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("POST /api/certificates/bulk", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(async () => {
+    reset();
+    await registerParticipants();
+    await runJobs();
+    context.mail.clear();
+    context.sms.clear();
+  });
+
+  it("plans an action on a dry run", async () => {
+    const response = await request("POST", "/api/certificates/bulk", {
+      as: "operator",
+      body: { action: "resend-email", ids: [1, 2, 3, 99], dryRun: true },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dryRun, true);
+    assert.deepEqual(response.body.notFound, [99]);
+    assert.deepEqual(
+      response.body.skipped.map((entry) => entry.id),
+      [2]
+    );
+  });
+
+  it("resends by filter and reports batch progress", async () => {
+    const response = await request("POST", "/api/certificates/bulk", {
+      as: "operator",
+      body: {
+        action: "resend-preferred",
+        filter: { state: "Andhra Pradesh" },
+      },
+    });
+    assert.equal(response.status, 202);
+
+    await runJobs();
+    const batch = await request("GET", response.body.statusUrl, {
+      as: "viewer",
+    });
+    assert.equal(batch.body.total, 2);
+    assert.equal(batch.body.percent, 100);
+    assert.deepEqual(
+      context.mail.sent.map((message) => message.to),
+      ["asha@example.org"]
+    );
+    assert.deepEqual(
+      context.sms.sent.map((message) => message.to),
+      ["+919123456789"]
+    );
+  });
+
+  it("reports the jobs queued before a bulk action fails", async (t) => {
+    for (let i = 1; i <= 147; i += 1) {
+      context.database.insert("submissions", {
+        event_id: 1,
+        name: `Participant ${i}`,
+        email: `participant${i}@example.org`,
+      });
+    }
+    let inserts = 0;
+    const execute = context.database.execute;
+    t.mock.method(context.database, "execute", function (text, params) {
+      if (/INSERT INTO jobs/i.test(text) && ++inserts === 120) {
+        throw new Error("Connection lost");
+      }
+      return execute.call(this, text, params);
+    });
+
+    const response = await request("POST", "/api/certificates/bulk", {
+      as: "operator",
+      body: {
+        action: "regenerate",
+        ids: Array.from({ length: 150 }, (_, i) => i + 1),
+      },
+    });
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.queued.length, 100);
+    assert.equal(response.body.notQueued.length, 50);
+    assert.equal(response.body.notQueued[0], 101);
+
+    await runJobs();
+    const batch = await request("GET", response.body.statusUrl, {
+      as: "viewer",
+    });
+    assert.equal(batch.body.status, "failed");
+    assert.equal(batch.body.total, 100);
+    assert.equal(batch.body.counts.completed, 100);
+    assert.equal(batch.body.error, "Connection lost");
+  });
+
+  it("rejects a request with both ids and a filter", async () => {
+    const response = await request("POST", "/api/certificates/bulk", {
+      as: "operator",
+      body: { action: "regenerate", ids: [1], filter: { city: "Kadiri" } },
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it("returns 404 for an unknown batch", async () => {
+    const response = await request("GET", "/api/batches/42", {
+      as: "viewer",
+    });
+
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setup,
+  reset,
+  request,
+  submit,
+  runJobs,
+  pdfText,
+} = require("./helpers");
+const { setCaptchaProvider } = require("../captchaService");
+
+describe("POST /api/submit", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("registers a participant and emails the certificate", async () => {
+    const response = await submit({ name: "  Asha Rao " });
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.id, 1);
+    assert.equal(response.body.certificateId, "YV-1-2026");
+    assert.equal(response.body.statusUrl, `/api/jobs/${response.body.jobId}`);
+
+    await runJobs();
+
+    const job = await request("GET", response.body.statusUrl, {
+      as: "viewer",
+    });
+    assert.equal(job.body.status, "completed");
+
+    assert.equal(context.mail.sent.length, 1);
+    const [message] = context.mail.sent;
+    assert.equal(message.to, "asha@example.org");
+    assert.match(message.html, /YV-1-2026/);
+    assert.equal(message.attachments[0].filename.endsWith(".pdf"), true);
+
+    const text = await pdfText(message.attachments[0].content);
+    assert.match(text, /Asha Rao/);
+    assert.match(text, /Certificate ID: YV-1-2026/);
+
+    const [row] = context.database.rows("submissions");
+    assert.equal(row.name, "Asha Rao");
+    assert.equal(row.phone, "+919876543210");
+    assert.equal(row.certificate_sent, true);
+    assert.equal(row.send_method, "email");
+    assert.ok(row.certificate_sha256);
+  });
+
+  it("texts the certificate link when there is no email", async () => {
+    const response = await submit({ email: undefined });
+    assert.equal(response.status, 202);
+
+    await runJobs();
+
+    assert.equal(context.mail.sent.length, 0);
+    assert.equal(context.sms.sent.length, 1);
+    const [message] = context.sms.sent;
+    assert.equal(message.to, "+919876543210");
+    assert.match(message.body, /YV-1-2026/);
+    assert.match(message.body, new RegExp(`${context.baseUrl}/c/[\\w-]+`));
+
+    const [row] = context.database.rows("submissions");
+    assert.equal(row.send_method, "sms");
+  });
+
+  it("rejects invalid fields", async () => {
+    const response = await submit({
+      name: "",
+      email: "not-an-email",
+      location: { latitude: 123 },
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(
+      response.body.details.map((detail) => detail.field).sort(),
+      ["email", "location.latitude", "name"]
+    );
+    assert.equal(context.database.rows("submissions").length, 0);
+  });
+
+  it("requires an email or phone", async () => {
+    const response = await submit({ email: undefined, phone: undefined });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details[0].field, "email");
+  });
+
+  it("rejects an unknown event", async () => {
+    const response = await submit({ event: "no-such-event" });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details[0].field, "event");
+  });
+
+  it("points a second registration to the first", async () => {
+    const first = await submit();
+    const second = await submit({
+      name: "Asha R.",
+      email: "ASHA@example.org",
+      phone: undefined,
+    });
+
+    assert.equal(second.status, 200);
+    assert.equal(second.body.duplicate, true);
+    assert.equal(second.body.id, first.body.id);
+    assert.equal(second.body.jobId, first.body.jobId);
+    assert.equal(context.database.rows("submissions").length, 1);
+  });
+
+  it("replays the response for a repeated Idempotency-Key", async () => {
+    const headers = { "Idempotency-Key": "form-attempt-1" };
+    const first = await submit({}, { headers });
+    const retry = await submit({}, { headers });
+
+    assert.equal(retry.status, first.status);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.equal(context.database.rows("submissions").length, 1);
+    assert.equal(context.database.rows("jobs").length, 1);
+  });
+
+  it("refuses to reuse an Idempotency-Key for another request", async () => {
+    const headers = { "Idempotency-Key": "form-attempt-1" };
+    await submit({}, { headers });
+    const other = await submit({ name: "Someone Else" }, { headers });
+
+    assert.equal(other.status, 422);
+  });
+
+  it("rejects a malformed Idempotency-Key", async () => {
+    const response = await submit(
+      {},
+      { headers: { "Idempotency-Key": "has spaces" } }
+    );
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details[0].field, "Idempotency-Key");
+  });
+
+  it("requires a passing CAPTCHA when one is configured", async () => {
+    const tokens = [];
+    setCaptchaProvider({
+      async verify(token) {
+        tokens.push(token);
+        return { success: token === "good", errors: ["invalid-input"] };
+      },
+    });
+
+    const missing = await submit();
+    const failed = await submit({ captchaToken: "bad" });
+    const passed = await submit({}, { headers: { "X-Captcha-Token": "good" } });
+
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.details[0].field, "captchaToken");
+    assert.equal(failed.status, 403);
+    assert.equal(passed.status, 202);
+    assert.deepEqual(tokens, ["bad", "good"]);
+  });
+
+  it("limits registrations per email", async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      const response = await submit({ phone: `+9198765432${10 + i}` });
+      statuses.push(response.status);
+    }
+
+    assert.deepEqual(statuses.slice(0, 5), [202, 200, 200, 200, 200]);
+    assert.equal(statuses[5], 429);
+  });
+});
+
+describe("GET /api/jobs/:id", () => {
+  before(setup);
+  beforeEach(reset);
+
+  it("reports a queued job and then its steps", async () => {
+    const { body } = await submit();
+
+    const queued = await request("GET", body.statusUrl, { as: "viewer" });
+    assert.equal(queued.body.status, "queued");
+    assert.equal(queued.body.submissionId, body.id);
+
+    await runJobs();
+    const completed = await request("GET", body.statusUrl, { as: "viewer" });
+    assert.deepEqual(
+      completed.body.steps.map((step) => step.status),
+      ["completed", "completed", "completed"]
+    );
+    assert.ok(completed.body.completedAt);
+  });
+
+  it("returns 404 for an unknown job", async () => {
+    const response = await request("GET", "/api/jobs/999", { as: "viewer" });
+
+    assert.equal(response.status, 404);
+  });
+});
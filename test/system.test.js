@@ -0,0 +1,66 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { setup, reset, request } = require("./helpers");
+
+describe("service checks", () => {
+  let context;
+  before(async () => {
+    context = await setup();
+  });
+  beforeEach(reset);
+
+  it("reports health without signing in", async () => {
+    const response = await request("GET", "/api/health");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, "Server is running");
+  });
+
+  it("sends a test email", async () => {
+    const response = await request("POST", "/api/test-email", {
+      as: "admin",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(context.mail.sent.length, 1);
+    assert.equal(context.mail.sent[0].to, process.env.SMTP_USER);
+  });
+
+  it("sends a test SMS to a normalised number", async () => {
+    const response = await request("POST", "/api/test-sms", {
+      as: "admin",
+      body: { phoneNumber: "+91 98765 43210" },
+    });
+    const invalid = await request("POST", "/api/test-sms", {
+      as: "admin",
+      body: { phoneNumber: "12" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(context.sms.sent[0].to, "+919876543210");
+    assert.equal(invalid.status, 400);
+  });
+
+  it("limits test SMS per number", async () => {
+    let response;
+    for (let i = 0; i < 6; i++) {
+      response = await request("POST", "/api/test-sms", {
+        as: "admin",
+        body: { phoneNumber: "+91 98765 43210" },
+      });
+    }
+
+    assert.equal(response.status, 429);
+    assert.equal(context.sms.sent.length, 5);
+  });
+
+  it("keeps test messages to admins", async () => {
+    const email = await request("POST", "/api/test-email", {
+      as: "operator",
+    });
+    const sms = await request("POST", "/api/test-sms", { as: "operator" });
+
+    assert.equal(email.status, 403);
+    assert.equal(sms.status, 403);
+  });
+});
@@ -0,0 +1,335 @@
+const { parsePhoneNumberFromString } = require("libphonenumber-js");
+require("dotenv").config();
+
+// Country assumed for phone numbers written without a +country code
+const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || "IN";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Control characters other than tab and newlines
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+/**
+ * Field rules
+ * Each builder returns a rule (input, field) => { value } | { error }.
+ * Missing values are accepted unless the rule is `required`. They are left
+ * out, except that text given as null or "" becomes null so an update can
+ * clear it.
+ */
+
+function isMissing(input) {
+  return input === undefined || input === null || input === "";
+}
+
+function missing(field, required, clear = false) {
+  if (required) {
+    return { error: `${field} is required` };
+  }
+  return { value: clear ? null : undefined };
+}
+
+/**
+ * Text, Unicode-normalised (NFC) and trimmed; runs of whitespace become one
+ * space unless `multiline`
+ * @param {Object} [options] - { required, maxLength, pattern, patternMessage,
+ *   multiline }
+ */
+function string({
+  required = false,
+  maxLength = 255,
+  pattern,
+  patternMessage = "is not valid",
+  multiline = false,
+} = {}) {
+  return (input, field) => {
+    if (isMissing(input)) {
+      return missing(field, required, input !== undefined);
+    }
+    if (typeof input !== "string") {
+      return { error: `${field} must be text` };
+    }
+
+    let value = input.normalize("NFC").replace(CONTROL_CHARACTERS, "").trim();
+    value = multiline
+      ? value.replace(/\r\n?/g, "\n")
+      : value.replace(/\s+/g, " ");
+    if (value === "") {
+      return missing(field, required, true);
+    }
+    if (value.length > maxLength) {
+      return { error: `${field} must be at most ${maxLength} characters` };
+    }
+    if (pattern && !pattern.test(value)) {
+      return { error: `${field} ${patternMessage}` };
+    }
+    return { value };
+  };
+}
+
+/**
+ * An email address, lower-cased
+ * @param {Object} [options] - { required }
+ */
+function email({ required = false } = {}) {
+  const text = string({ required, maxLength: 254 });
+  return (input, field) => {
+    const result = text(input, field);
+    if (result.error || typeof result.value !== "string") {
+      return result;
+    }
+    const value = result.value.toLowerCase();
+    return EMAIL_PATTERN.test(value)
+      ? { value }
+      : { error: `${field} must be a valid email address` };
+  };
+}
+
+/**
+ * A phone number in E.164 form (+919876543210)
+ * @param {string} input
+ * @returns {string|null} - null when it is not a valid number
+ */
+function toE164(input) {
+  if (typeof input !== "string" || input.trim() === "") {
+    return null;
+  }
+  const phone = parsePhoneNumberFromString(input, DEFAULT_PHONE_COUNTRY);
+  return phone && phone.isValid() ? phone.number : null;
+}
+
+/**
+ * A phone number, stored in E.164 form; numbers without a country code are
+ * read as DEFAULT_PHONE_COUNTRY numbers
+ * @param {Object} [options] - { required }
+ */
+function phone({ required = false } = {}) {
+  const text = string({ required, maxLength: 50 });
+  return (input, field) => {
+    const result = text(input, field);
+    if (result.error || typeof result.value !== "string") {
+      return result;
+    }
+    const value = toE164(result.value);
+    return value
+      ? { value }
+      : { error: `${field} must be a valid phone number` };
+  };
+}
+
+/**
+ * A finite number, from a number or numeric string
+ * @param {Object} [options] - { required, min, max, integer }
+ */
+function number({ required = false, min, max, integer = false } = {}) {
+  return (input, field) => {
+    if (isMissing(input)) {
+      return missing(field, required);
+    }
+    const value = typeof input === "string" ? Number(input.trim()) : input;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return { error: `${field} must be a number` };
+    }
+    if (integer && !Number.isInteger(value)) {
+      return { error: `${field} must be a whole number` };
+    }
+    if (
+      min !== undefined &&
+      max !== undefined &&
+      (value < min || value > max)
+    ) {
+      return { error: `${field} must be between ${min} and ${max}` };
+    }
+    if (min !== undefined && value < min) {
+      return { error: `${field} must be at least ${min}` };
+    }
+    if (max !== undefined && value > max) {
+      return { error: `${field} must be at most ${max}` };
+    }
+    return { value };
+  };
+}
+
+/**
+ * true/false, also accepting "true"/"false"
+ * @param {Object} [options] - { required }
+ */
+function boolean({ required = false } = {}) {
+  return (input, field) => {
+    if (isMissing(input)) {
+      return missing(field, required);
+    }
+    if (input === true || input === "true") {
+      return { value: true };
+    }
+    if (input === false || input === "false") {
+      return { value: false };
+    }
+    return { error: `${field} must be true or false` };
+  };
+}
+
+/**
+ * A date, from an ISO string or milliseconds since the epoch
+ * @param {Object} [options] - { required }
+ */
+function date({ required = false } = {}) {
+  return (input, field) => {
+    if (isMissing(input)) {
+      return missing(field, required);
+    }
+    const value =
+      typeof input === "number" || typeof input === "string"
+        ? new Date(input)
+        : null;
+    // SQL Server DATETIME starts in 1753
+    if (!value || Number.isNaN(value.getTime()) || value.getFullYear() < 1753) {
+      return { error: `${field} must be a date` };
+    }
+    return { value };
+  };
+}
+
+/**
+ * One of a fixed list of values
+ * @param {Array} values
+ * @param {Object} [options] - { required }
+ */
+function oneOf(values, { required = false } = {}) {
+  return (input, field) => {
+    if (isMissing(input)) {
+      return missing(field, required);
+    }
+    return values.includes(input)
+      ? { value: input }
+      : { error: `${field} must be one of ${values.join(", ")}` };
+  };
+}
+
+/**
+ * A list whose items all pass `item`
+ * @param {Function} item - Rule for each entry
+ * @param {Object} [options] - { required, maxItems }
+ */
+function array(item, { required = false, maxItems = 1000 } = {}) {
+  return (input, field) => {
+    if (input === undefined || input === null) {
+      return missing(field, required);
+    }
+    if (!Array.isArray(input) || (required && input.length === 0)) {
+      return { error: `${field} must be a non-empty list` };
+    }
+    if (input.length > maxItems) {
+      return { error: `${field} can have at most ${maxItems} entries` };
+    }
+    const value = [];
+    for (let index = 0; index < input.length; index++) {
+      const itemField = `${field}[${index}]`;
+      const result = item(input[index], itemField);
+      if (result.error) {
+        return { errors: [{ field: itemField, message: result.error }] };
+      }
+      if (result.errors) {
+        return result;
+      }
+      value.push(result.value);
+    }
+    return { value };
+  };
+}
+
+/**
+ * A nested object checked against its own schema; its errors are reported
+ * as "field.child"
+ * @param {Object} schema
+ * @param {Object} [options] - { required }
+ */
+function object(schema, { required = false } = {}) {
+  return (input, field) => {
+    if (input === undefined || input === null) {
+      return missing(field, required);
+    }
+    if (typeof input !== "object" || Array.isArray(input)) {
+      return { error: `${field} must be an object` };
+    }
+    const { value, errors } = validate(schema, input, { prefix: `${field}.` });
+    return errors.length > 0 ? { errors } : { value };
+  };
+}
+
+/**
+ * Check data against a schema of field rules
+ * Fields not in the schema are dropped; with `partial`, fields that are
+ * absent are left out instead of being checked.
+ * @param {Object} schema - { field: rule }
+ * @param {Object} data - e.g. req.body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - For updates
+ * @param {string} [options.prefix] - Prepended to field names in errors
+ * @returns {{value: Object, errors: {field: string, message: string}[]}}
+ */
+function validate(schema, data, { partial = false, prefix = "" } = {}) {
+  const value = {};
+  const errors = [];
+  const input = data && typeof data === "object" ? data : {};
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    if (partial && input[key] === undefined) {
+      return;
+    }
+    const field = `${prefix}${key}`;
+    const result = rule(input[key], field);
+    if (result.errors) {
+      errors.push(...result.errors);
+    } else if (result.error) {
+      errors.push({ field, message: result.error });
+    } else if (result.value !== undefined) {
+      value[key] = result.value;
+    }
+  });
+
+  return { value, errors };
+}
+
+/**
+ * Turn plain messages into the { field, message } shape
+ * @param {string[]} messages
+ * @param {string|null} [field]
+ * @returns {{field: string|null, message: string}[]}
+ */
+function toValidationErrors(messages, field = null) {
+  return messages.map((message) => ({ field, message }));
+}
+
+/**
+ * Answer 400 with the validation error shape used by every route:
+ * { error: "all messages, joined", details: [{ field, message }] }
+ * @param {Object} res - Express response
+ * @param {Array<string|Object>} errors - { field, message } or messages
+ * @param {Object} [extra] - More properties for the body
+ */
+function sendValidationError(res, errors, extra = {}) {
+  const details = errors.map((error) =>
+    typeof error === "string" ? { field: null, message: error } : error
+  );
+  return res.status(400).json({
+    error: details.map((detail) => detail.message).join(", "),
+    details,
+    ...extra,
+  });
+}
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY,
+  string,
+  email,
+  phone,
+  number,
+  boolean,
+  date,
+  oneOf,
+  array,
+  object,
+  validate,
+  toE164,
+  toValidationErrors,
+  sendValidationError,
+};